@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+const {
+  encodeEmbedding,
+  decodeEmbedding,
+} = require("../src/utils/embeddingCodec");
+const {
+  calculateCosineSimilarity,
+  normalizeVector,
+} = require("../src/utils/similarity");
+
+// Similarity error report for the compact embedding encodings
+// Builds pairs of random unit embeddings spanning the full similarity range,
+// stores one side in each encoding and compares it against the full precision
+// probe, the same way /api/compare does.
+// Usage: node scripts/codec-report.js [--pairs <count>] [--dimension <size>]
+function parseOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : parseInt(process.argv[index + 1]);
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+  return (
+    Math.sqrt(-2 * Math.log(1 - Math.random())) *
+    Math.cos(2 * Math.PI * Math.random())
+  );
+}
+
+function randomUnitVector(dimension) {
+  return normalizeVector(Array.from({ length: dimension }, gaussian));
+}
+
+// Probe with a target similarity to the stored embedding
+function correlatedVector(base, similarity) {
+  const noise = randomUnitVector(base.length);
+  const weight = Math.sqrt(1 - similarity * similarity);
+  return normalizeVector(
+    base.map((v, i) => similarity * v + weight * noise[i])
+  );
+}
+
+function main() {
+  const pairs = parseOption("pairs", 2000);
+  const dimension = parseOption("dimension", 512);
+  const formats = ["f32", "f16", "i8"];
+  const errors = Object.fromEntries(formats.map((format) => [format, []]));
+  const sizes = {};
+
+  for (let i = 0; i < pairs; i++) {
+    const stored = randomUnitVector(dimension);
+    const probe = correlatedVector(stored, Math.random() * 2 - 1);
+    const reference = calculateCosineSimilarity(stored, probe);
+
+    for (const format of formats) {
+      const encoded = encodeEmbedding(stored, format);
+      sizes[format] = encoded.length;
+
+      const { embedding } = decodeEmbedding(encoded);
+      errors[format].push(
+        Math.abs(calculateCosineSimilarity(embedding, probe) - reference)
+      );
+    }
+  }
+
+  console.log(
+    `📏 Similarity error vs full precision (${pairs} pairs, ${dimension}D)`
+  );
+  console.log(
+    `   json: ${JSON.stringify(randomUnitVector(dimension)).length} chars`
+  );
+  for (const format of formats) {
+    const values = errors[format].sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const p99 = values[Math.floor(values.length * 0.99)];
+    console.log(
+      `   ${format}: ${sizes[format]} chars base64, mean ${mean.toExponential(
+        2
+      )}, p99 ${p99.toExponential(2)}, max ${values[
+        values.length - 1
+      ].toExponential(2)}`
+    );
+  }
+}
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const { pool } = require("../src/config/database");
+const {
+  migrate,
+  rollback,
+  getMigrationStatus,
+} = require("../src/config/migrator");
+
+// Schema migration CLI
+// Usage:
+//   node scripts/migrate.js migrate [--to <version>]
+//   node scripts/migrate.js rollback [--steps <count>]
+//   node scripts/migrate.js status
+function parseOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+
+  const value = args[index + 1];
+  if (!/^\d+$/.test(value || "")) {
+    throw new Error(`--${name} expects a non-negative integer`);
+  }
+  return parseInt(value);
+}
+
+async function main() {
+  const [command = "status", ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "migrate": {
+      const result = await migrate(pool, { to: parseOption(args, "to") });
+      console.log(
+        result.applied.length
+          ? `✅ Applied ${result.applied.length} migrations, schema at version ${result.version}`
+          : `✅ Schema already up to date at version ${result.version}`
+      );
+      break;
+    }
+
+    case "rollback": {
+      const result = await rollback(pool, {
+        steps: parseOption(args, "steps"),
+      });
+      console.log(
+        `✅ Reverted ${result.reverted.length} migrations, schema at version ${result.version}`
+      );
+      break;
+    }
+
+    case "status": {
+      const status = await getMigrationStatus(pool);
+      console.log(
+        `📊 Schema version ${status.currentVersion} (latest known: ${status.latestVersion})`
+      );
+      status.applied.forEach((migration) =>
+        console.log(
+          `   ✅ ${migration.version}_${migration.name} (${new Date(
+            migration.appliedAt
+          ).toISOString()})`
+        )
+      );
+      status.pending.forEach((migration) =>
+        console.log(`   ⏳ ${migration.version}_${migration.name} (pending)`)
+      );
+      status.unknown.forEach((migration) =>
+        console.log(
+          `   ❓ ${migration.version}_${migration.name} (unknown to this release)`
+        )
+      );
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown command "${command}". Use migrate, rollback or status.`
+      );
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error("❌ Migration command failed:", error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const {
+  pool,
+  embeddingColumns,
+  decodeEmbedding,
+} = require("../src/config/database");
+const encryptionService = require("../src/services/encryptionService");
+const vectorIndex = require("../src/services/vectorIndex");
+
+// Embedding key rotation
+// Usage:
+//   node scripts/rotate-keys.js [--batch-size <rows>]  re-wrap data keys under the current master key
+//   node scripts/rotate-keys.js --reencrypt            new data key and ciphertext for every row
+//   node scripts/rotate-keys.js --decrypt              write plaintext back (before disabling encryption)
+//   node scripts/rotate-keys.js --generate-key         print a new random master key
+//
+// Plaintext rows are encrypted, and rows encrypted before ciphertexts were
+// bound to their user are re-encrypted, in every mode except --decrypt. Rows
+// are processed in small batches and each update only applies if the row is
+// unchanged since it was read, so the service keeps running during rotation
+// as long as the keyring holds both the old and the new master key. The
+// vector index snapshot is resealed under the current master key, or written
+// back in plaintext with --decrypt.
+const TABLES = ["users", "face_templates"];
+
+function parseBatchSize(args) {
+  const index = args.indexOf("--batch-size");
+  if (index === -1) return 500;
+
+  const value = parseInt(args[index + 1]);
+  if (isNaN(value) || value < 1) {
+    throw new Error("--batch-size expects a positive integer");
+  }
+  return value;
+}
+
+// Rows that need work in the given mode
+function selectCondition(mode) {
+  switch (mode) {
+    case "rewrap":
+      return {
+        condition:
+          "AND (t.embedding_ciphertext IS NULL OR t.key_version <> $3 OR t.cipher_version IS DISTINCT FROM $4)",
+        params: [
+          encryptionService.currentVersion,
+          encryptionService.cipherVersion,
+        ],
+      };
+    case "decrypt":
+      return {
+        condition: "AND t.embedding_ciphertext IS NOT NULL",
+        params: [],
+      };
+    default:
+      return { condition: "", params: [] };
+  }
+}
+
+// New column values for a row
+function transformRow(mode, row) {
+  if (mode === "decrypt") {
+    return [decodeEmbedding(row), null, null, null, null];
+  }
+
+  if (
+    mode === "rewrap" &&
+    row.embedding_ciphertext &&
+    row.cipher_version === encryptionService.cipherVersion
+  ) {
+    const { wrappedKey, keyVersion } = encryptionService.rewrapKey(
+      row.wrapped_key,
+      row.key_version
+    );
+    return [
+      null,
+      row.embedding_ciphertext,
+      wrappedKey,
+      keyVersion,
+      row.cipher_version,
+    ];
+  }
+
+  const { ciphertext, wrappedKey, keyVersion, cipherVersion } =
+    encryptionService.encryptEmbedding(
+      decodeEmbedding(row),
+      row.embedding_owner
+    );
+  return [null, ciphertext, wrappedKey, keyVersion, cipherVersion];
+}
+
+async function rotateTable(table, mode, batchSize) {
+  const stats = { table, updated: 0, skipped: 0 };
+  const { condition, params } = selectCondition(mode);
+  let lastId = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT t.id, ${embeddingColumns("t", table)} FROM ${table} t
+       WHERE t.id > $1 ${condition}
+       ORDER BY t.id LIMIT $2`,
+      [lastId, batchSize, ...params]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      // Optimistic check: skip rows rewritten by the service in the meantime
+      const update = await pool.query(
+        `UPDATE ${table}
+         SET embedding = $2, embedding_ciphertext = $3, wrapped_key = $4, key_version = $5,
+             cipher_version = $6
+         WHERE id = $1
+           AND embedding IS NOT DISTINCT FROM $7
+           AND embedding_ciphertext IS NOT DISTINCT FROM $8
+           AND wrapped_key IS NOT DISTINCT FROM $9`,
+        [
+          row.id,
+          ...transformRow(mode, row),
+          row.embedding,
+          row.embedding_ciphertext,
+          row.wrapped_key,
+        ]
+      );
+
+      if (update.rowCount === 1) {
+        stats.updated++;
+      } else {
+        stats.skipped++;
+      }
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+    console.log(`   ${table}: ${stats.updated} rows updated so far`);
+  }
+
+  return stats;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--generate-key")) {
+    console.log(encryptionService.generateMasterKey());
+    return;
+  }
+
+  const mode = args.includes("--decrypt")
+    ? "decrypt"
+    : args.includes("--reencrypt")
+    ? "reencrypt"
+    : "rewrap";
+  const batchSize = parseBatchSize(args);
+
+  if (!encryptionService.isEnabled()) {
+    throw new Error(
+      "No master key configured. Set MASTER_KEY_FILE or MASTER_KEY first."
+    );
+  }
+
+  console.log(
+    `🔑 Running ${mode} with master key version ${encryptionService.currentVersion}`
+  );
+
+  for (const table of TABLES) {
+    const stats = await rotateTable(table, mode, batchSize);
+    console.log(
+      `✅ ${table}: ${stats.updated} rows updated, ${stats.skipped} skipped (changed concurrently)`
+    );
+  }
+
+  if (vectorIndex.resealSnapshot(mode === "decrypt")) {
+    console.log(
+      `✅ Vector index snapshot ${
+        mode === "decrypt" ? "decrypted" : "resealed"
+      }: ${vectorIndex.snapshotPath}`
+    );
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error("❌ Key rotation failed:", error.message);
+    await pool.end();
+    process.exit(1);
+  });
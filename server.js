@@ -3,8 +3,29 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const faceRoutes = require("./src/routes/faceRoutes");
-const { initializeDatabase } = require("./src/config/database");
-const { initializeModel } = require("./src/services/modelService");
+const userRoutes = require("./src/routes/userRoutes");
+const livenessRoutes = require("./src/routes/livenessRoutes");
+const {
+  initializeDatabase,
+  countTemplatesByModel,
+} = require("./src/config/database");
+const {
+  initializeModels,
+  getModelConfig,
+  findModelByFingerprint,
+} = require("./src/services/modelService");
+const landmarkService = require("./src/services/landmarkService");
+const livenessService = require("./src/services/livenessService");
+const faceDetection = require("./src/services/faceDetection");
+const vectorIndex = require("./src/services/vectorIndex");
+const analysisPool = require("./src/services/analysisPool");
+const encryptionService = require("./src/services/encryptionService");
+const templateTokenService = require("./src/services/templateTokenService");
+const embeddingService = require("./src/services/embeddingService");
+const livenessSessionService = require("./src/services/livenessSessionService");
+const { mountJsonParsers } = require("./src/middleware/jsonBody");
+const { errorHandler, sendError } = require("./src/middleware/errorHandler");
+const { NotFoundError } = require("./src/utils/errors");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,10 +33,17 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+// Image routes accept JSON bodies sized for their base64 frames; every other
+// route is capped at JSON_BODY_LIMIT
+mountJsonParsers(app, {
+  burstMaxFrames: embeddingService.burstMaxFrames,
+  sessionMaxFrames: livenessSessionService.maxFrames,
+});
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Routes
+app.use("/api/users", userRoutes);
+app.use("/api/liveness", livenessRoutes);
 app.use("/api", faceRoutes);
 
 // Health check endpoint
@@ -28,20 +56,11 @@ app.get("/health", (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("Error:", err.message);
-  res.status(500).json({
-    error: "Internal server error",
-    message:
-      process.env.NODE_ENV === "development"
-        ? err.message
-        : "Something went wrong",
-  });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use("*", (req, res) => {
-  res.status(404).json({ error: "Endpoint not found" });
+  sendError(res, new NotFoundError("ENDPOINT_NOT_FOUND", "Endpoint not found"));
 });
 
 // Initialize and start server
@@ -49,12 +68,39 @@ async function startServer() {
   try {
     console.log("🚀 Starting Face Verification Microservice...");
 
+    if (encryptionService.isEnabled()) {
+      console.log(
+        `🔐 Embedding encryption enabled (master key version ${encryptionService.currentVersion})`
+      );
+    } else {
+      console.warn(
+        "⚠️ No master key configured, face embeddings are stored unencrypted"
+      );
+    }
+
+    if (templateTokenService.strict && !templateTokenService.isEnabled()) {
+      console.warn(
+        "⚠️ TEMPLATE_TOKEN_STRICT is on but no token key is configured, /api/compare will reject every request"
+      );
+    }
+
     // Initialize database (optional)
     console.log("📊 Initializing database...");
     try {
       await initializeDatabase();
       console.log("✅ Database initialized successfully");
+
+      // Load embeddings into the in-memory search index
+      console.log("🗂️ Building vector index...");
+      await vectorIndex.initialize();
     } catch (error) {
+      // Never run against a schema this release does not understand
+      if (
+        error.code === "SCHEMA_VERSION_UNKNOWN" ||
+        error.code === "SCHEMA_OUTDATED"
+      ) {
+        throw error;
+      }
       console.warn(
         "⚠️ Database initialization failed, continuing without database:",
         error.message
@@ -64,10 +110,39 @@ async function startServer() {
       );
     }
 
-    // Initialize AI model
-    console.log("🤖 Loading ArcFace model...");
-    await initializeModel();
-    console.log("✅ ArcFace model loaded successfully");
+    // Initialize recognition models (fails if the default model cannot load)
+    console.log("🤖 Loading recognition models...");
+    await initializeModels();
+    // Requests pass the selected model's size; this is the default for others
+    faceDetection.targetSize = getModelConfig().inputSize;
+
+    // Warn about templates enrolled with a model that is not loaded; they are
+    // refused at comparison time until the users are re-enrolled
+    try {
+      const foreignTemplates = (await countTemplatesByModel())
+        .filter(
+          (group) =>
+            group.modelFingerprint &&
+            !findModelByFingerprint(group.modelFingerprint)
+        )
+        .reduce((sum, group) => sum + group.count, 0);
+      if (foreignTemplates > 0) {
+        console.warn(
+          `⚠️ ${foreignTemplates} templates were enrolled with a model that is not loaded and cannot be compared until re-enrolled`
+        );
+      }
+    } catch (error) {
+      // Database unavailable, nothing to check
+    }
+
+    // Initialize face detector backend (falls back to heuristics)
+    await faceDetection.initializeDetector();
+
+    // Initialize optional landmark model (falls back to detector landmarks)
+    await landmarkService.initialize();
+
+    // Initialize optional anti-spoofing model (falls back to texture cues)
+    await livenessService.initialize();
 
     // Start server
     app.listen(PORT, () => {
@@ -78,6 +153,15 @@ async function startServer() {
         `   POST http://localhost:${PORT}/api/encode - Register face`
       );
       console.log(`   POST http://localhost:${PORT}/api/compare - Verify face`);
+      console.log(
+        `   POST http://localhost:${PORT}/api/verify - Verify enrolled user`
+      );
+      console.log(
+        `   POST http://localhost:${PORT}/api/identify - Identify face (1:N)`
+      );
+      console.log(
+        `   POST http://localhost:${PORT}/api/liveness/sessions - Start liveness challenge`
+      );
       console.log(
         `\n🛡️  Environment: ${process.env.NODE_ENV || "development"}`
       );
@@ -89,14 +173,19 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on("SIGINT", () => {
+async function shutdown() {
   console.log("\n🛑 Shutting down server gracefully...");
+  try {
+    // Persist pending index changes so the next start can reuse the snapshot
+    await vectorIndex.flush();
+  } catch (error) {
+    console.error("❌ Failed to flush vector index:", error.message);
+  }
+  await analysisPool.close();
   process.exit(0);
-});
+}
 
-process.on("SIGTERM", () => {
-  console.log("\n🛑 Shutting down server gracefully...");
-  process.exit(0);
-});
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
 
 startServer();
@@ -1,4 +1,17 @@
 const { Pool } = require("pg");
+const { EventEmitter } = require("events");
+const { computeCentroid } = require("../utils/similarity");
+const encryptionService = require("../services/encryptionService");
+const {
+  migrate,
+  getMigrationStatus,
+  assertKnownSchema,
+} = require("./migrator");
+const { ConflictError, ServiceUnavailableError } = require("../utils/errors");
+
+// Emits "embeddingStored", "userRenamed" and "userDeleted" after writes so
+// in-memory consumers (the vector index) can stay in sync
+const databaseEvents = new EventEmitter();
 
 // Database connection pool
 const pool = new Pool({
@@ -14,71 +27,523 @@ const pool = new Pool({
   acquireTimeoutMillis: 10000,
 });
 
-// Initialize database tables
+// Errors meaning Postgres cannot be reached, as opposed to a failing query:
+// network errors, server shutdown/startup, too many connections and
+// connection exceptions (SQLSTATE class 08)
+const CONNECTION_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "57P01",
+  "57P02",
+  "57P03",
+  "53300",
+];
+
+function isConnectionError(error) {
+  return (
+    CONNECTION_ERROR_CODES.includes(error.code) ||
+    (typeof error.code === "string" && error.code.startsWith("08")) ||
+    /Connection terminated|timeout exceeded when trying to connect/i.test(
+      error.message
+    )
+  );
+}
+
+// Rethrow connection failures as DB_UNAVAILABLE so routes answer 503
+function toDatabaseError(error) {
+  if (!isConnectionError(error)) return error;
+  return new ServiceUnavailableError(
+    "DB_UNAVAILABLE",
+    `Database unavailable: ${error.message}`
+  );
+}
+
+// pool.query / pool.connect with connection failures mapped to DB_UNAVAILABLE
+async function runQuery(text, params) {
+  try {
+    return await pool.query(text, params);
+  } catch (error) {
+    throw toDatabaseError(error);
+  }
+}
+
+async function getClient() {
+  try {
+    return await pool.connect();
+  } catch (error) {
+    throw toDatabaseError(error);
+  }
+}
+
+// Column holding the internal user ID that encrypted embeddings are bound to
+const EMBEDDING_OWNER_COLUMNS = { users: "id", face_templates: "user_ref" };
+
+// Columns holding an embedding, either as plaintext FLOAT8[] or
+// envelope-encrypted (ciphertext, wrapped data key, master key version,
+// envelope format), plus the owning user as embedding_owner
+function embeddingColumns(alias, table = "users") {
+  return [
+    "embedding",
+    "embedding_ciphertext",
+    "wrapped_key",
+    "key_version",
+    "cipher_version",
+  ]
+    .map((column) => `${alias}.${column}`)
+    .concat(`${alias}.${EMBEDDING_OWNER_COLUMNS[table]} AS embedding_owner`)
+    .join(", ");
+}
+
+// Query parameters for the five embedding columns of a row owned by the user
+// with internal ID owner
+// Embeddings are only stored in plaintext while no master key is configured
+function encodeEmbedding(embedding, owner) {
+  if (!encryptionService.isEnabled()) {
+    return [embedding, null, null, null, null];
+  }
+
+  const { ciphertext, wrappedKey, keyVersion, cipherVersion } =
+    encryptionService.encryptEmbedding(embedding, owner);
+  return [null, ciphertext, wrappedKey, keyVersion, cipherVersion];
+}
+
+// Read the embedding of a row selected with embeddingColumns()
+function decodeEmbedding(row) {
+  if (row.embedding_ciphertext) {
+    return encryptionService.decryptEmbedding(
+      row.embedding_ciphertext,
+      row.wrapped_key,
+      row.key_version,
+      row.embedding_owner,
+      row.cipher_version
+    );
+  }
+  return row.embedding;
+}
+
+// Bring the schema up to date
+// Pending migrations are applied at boot unless DB_AUTO_MIGRATE=false, in which
+// case they must be applied with `npm run migrate` before the server starts.
+// A schema newer than this release is always rejected
 async function initializeDatabase() {
   try {
-    // Create users table for storing embeddings
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) UNIQUE NOT NULL,
-        embedding FLOAT8[] NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    if (process.env.DB_AUTO_MIGRATE !== "false") {
+      const result = await migrate(pool);
+      console.log(`✅ Database schema at version ${result.version}`);
+      return result;
+    }
 
-    // Create index on user_id for faster lookups
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id)
-    `);
+    const schema = await getMigrationStatus(pool);
+    assertKnownSchema(schema);
+    if (schema.pending.length > 0) {
+      const error = new Error(
+        `Database schema version ${schema.currentVersion} is behind this release ` +
+          `(${schema.pending.length} pending migrations). Run "npm run migrate".`
+      );
+      error.code = "SCHEMA_OUTDATED";
+      throw error;
+    }
 
-    console.log("✅ Database initialized successfully");
+    console.log(`✅ Database schema at version ${schema.currentVersion}`);
+    return { applied: [], version: schema.currentVersion };
   } catch (error) {
     console.error("❌ Database initialization failed:", error);
     throw error;
   }
 }
 
-// Store user embedding
-async function storeUserEmbedding(userId, embedding) {
+// Store a new enrollment template for a user
+// Earlier templates are kept; users.embedding is refreshed to their centroid
+async function storeUserEmbedding(userId, embedding, options = {}) {
+  const client = await getClient();
   try {
-    const query = `
-      INSERT INTO users (user_id, embedding, updated_at) 
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
+    await client.query("BEGIN");
+
+    // Create the user on first enrollment; the row lock serializes concurrent
+    // enrollments for the same user
+    // The ID is allocated up front because encrypted embeddings are bound to
+    // it; users.embedding is replaced by the template centroid below
+    const idResult = await client.query(
+      "SELECT nextval(pg_get_serial_sequence('users', 'id'))::int AS id"
+    );
+    const newId = idResult.rows[0].id;
+    const userQuery = `
+      INSERT INTO users (id, user_id, embedding, embedding_ciphertext, wrapped_key, key_version, cipher_version, model_fingerprint, updated_at) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
-        embedding = EXCLUDED.embedding,
+        model_fingerprint = COALESCE(EXCLUDED.model_fingerprint, users.model_fingerprint),
         updated_at = CURRENT_TIMESTAMP
       RETURNING id, user_id, created_at, updated_at
     `;
+    const userResult = await client.query(userQuery, [
+      newId,
+      userId,
+      ...encodeEmbedding(embedding, newId),
+      options.modelFingerprint || null,
+    ]);
+    const user = userResult.rows[0];
+
+    // Templates of one user must come from the same model, otherwise their
+    // centroid and fused scores are meaningless
+    if (options.modelFingerprint) {
+      const foreignResult = await client.query(
+        `SELECT DISTINCT model_fingerprint FROM face_templates
+         WHERE user_ref = $1 AND model_fingerprint IS NOT NULL AND model_fingerprint <> $2`,
+        [user.id, options.modelFingerprint]
+      );
+      if (foreignResult.rows.length > 0) {
+        throw new ConflictError(
+          "MODEL_MISMATCH",
+          `Model fingerprint mismatch: user ${userId} has templates created with model ${foreignResult.rows[0].model_fingerprint}, ` +
+            `but the loaded model is ${options.modelFingerprint}. Delete the user and re-enroll.`
+        );
+      }
+    }
+
+    const templateQuery = `
+      INSERT INTO face_templates (user_ref, embedding, embedding_ciphertext, wrapped_key, key_version, cipher_version, source, quality, model_fingerprint, tta)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id, source, quality, key_version, model_fingerprint, tta, captured_at
+    `;
+    const templateResult = await client.query(templateQuery, [
+      user.id,
+      ...encodeEmbedding(embedding, user.id),
+      options.source || "encode",
+      options.quality || null,
+      options.modelFingerprint || null,
+      options.tta || null,
+    ]);
+
+    // Augmentation modes now present among the user's templates; more than
+    // one means scores mix embeddings made with and without TTA
+    const ttaResult = await client.query(
+      `SELECT DISTINCT COALESCE(tta, 'none') AS tta FROM face_templates
+       WHERE user_ref = $1 ORDER BY 1`,
+      [user.id]
+    );
 
-    const result = await pool.query(query, [userId, embedding]);
-    return result.rows[0];
+    const { centroid, templateCount, modelFingerprint } =
+      await refreshUserCentroid(client, user.id);
+
+    await client.query("COMMIT");
+    databaseEvents.emit("embeddingStored", {
+      userId,
+      embedding: centroid,
+      modelFingerprint,
+    });
+
+    return {
+      ...user,
+      template: templateResult.rows[0],
+      template_count: templateCount,
+      tta_modes: ttaResult.rows.map((row) => row.tta),
+    };
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Error storing user embedding:", error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
+// Recompute users.embedding as the normalized centroid of all templates
+// Also returns the user's model fingerprint for the vector index
+async function refreshUserCentroid(client, userRef) {
+  const result = await client.query(
+    `SELECT ${embeddingColumns(
+      "t",
+      "face_templates"
+    )} FROM face_templates t WHERE t.user_ref = $1`,
+    [userRef]
+  );
+  const centroid = computeCentroid(result.rows.map(decodeEmbedding));
+
+  const updateResult = await client.query(
+    `UPDATE users
+     SET embedding = $2, embedding_ciphertext = $3, wrapped_key = $4, key_version = $5,
+         cipher_version = $6, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING model_fingerprint`,
+    [userRef, ...encodeEmbedding(centroid, userRef)]
+  );
+
+  return {
+    centroid,
+    templateCount: result.rows.length,
+    modelFingerprint: updateResult.rows[0].model_fingerprint,
+  };
+}
+
 // Get user embedding
 async function getUserEmbedding(userId) {
   try {
-    const query = "SELECT embedding FROM users WHERE user_id = $1";
-    const result = await pool.query(query, [userId]);
-    return result.rows[0]?.embedding || null;
+    const query = `SELECT ${embeddingColumns(
+      "u"
+    )} FROM users u WHERE u.user_id = $1`;
+    const result = await runQuery(query, [userId]);
+    return result.rows[0] ? decodeEmbedding(result.rows[0]) : null;
   } catch (error) {
     console.error("Error getting user embedding:", error);
     throw error;
   }
 }
 
+// Get all enrollment templates of a user, oldest first
+// Returns null when the user does not exist
+async function getUserTemplates(userId) {
+  try {
+    const templateColumns = embeddingColumns("t", "face_templates");
+    const query = `
+      SELECT u.id AS user_ref, u.user_id, u.created_at, u.updated_at,
+             t.id, ${templateColumns}, t.source, t.quality,
+             t.model_fingerprint, t.tta, t.captured_at
+      FROM users u
+      LEFT JOIN face_templates t ON t.user_ref = u.id
+      WHERE u.user_id = $1
+      ORDER BY t.captured_at, t.id
+    `;
+    const result = await runQuery(query, [userId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [first] = result.rows;
+    return {
+      userRef: first.user_ref,
+      userId: first.user_id,
+      createdAt: first.created_at,
+      updatedAt: first.updated_at,
+      templates: result.rows
+        .filter((row) => row.id !== null)
+        .map((row) => ({
+          id: row.id,
+          embedding: decodeEmbedding(row),
+          source: row.source,
+          quality: row.quality,
+          keyVersion: row.key_version,
+          modelFingerprint: row.model_fingerprint,
+          tta: row.tta || "none",
+          capturedAt: row.captured_at,
+        })),
+    };
+  } catch (error) {
+    console.error("Error getting user templates:", error);
+    throw error;
+  }
+}
+
+// Get the templates of several users at once, grouped by user ID
+async function getTemplatesForUsers(userIds) {
+  try {
+    const templateColumns = embeddingColumns("t", "face_templates");
+    const query = `
+      SELECT u.user_id, t.id, t.model_fingerprint, ${templateColumns}
+      FROM face_templates t
+      JOIN users u ON u.id = t.user_ref
+      WHERE u.user_id = ANY($1)
+    `;
+    const result = await runQuery(query, [userIds]);
+
+    const templatesByUser = new Map();
+    for (const row of result.rows) {
+      if (!templatesByUser.has(row.user_id)) {
+        templatesByUser.set(row.user_id, []);
+      }
+      templatesByUser.get(row.user_id).push({
+        id: row.id,
+        embedding: decodeEmbedding(row),
+        modelFingerprint: row.model_fingerprint,
+      });
+    }
+    return templatesByUser;
+  } catch (error) {
+    console.error("Error getting templates for users:", error);
+    throw error;
+  }
+}
+
+// Get the distinct augmentation modes of the templates of several users
+async function getTtaModesForUsers(userIds) {
+  try {
+    const query = `
+      SELECT u.user_id, COALESCE(t.tta, 'none') AS tta
+      FROM face_templates t
+      JOIN users u ON u.id = t.user_ref
+      WHERE u.user_id = ANY($1)
+      GROUP BY u.user_id, COALESCE(t.tta, 'none')
+    `;
+    const result = await runQuery(query, [userIds]);
+
+    const modesByUser = new Map();
+    for (const row of result.rows) {
+      if (!modesByUser.has(row.user_id)) {
+        modesByUser.set(row.user_id, []);
+      }
+      modesByUser.get(row.user_id).push(row.tta);
+    }
+    return modesByUser;
+  } catch (error) {
+    console.error("Error getting TTA modes for users:", error);
+    throw error;
+  }
+}
+
+// Get the distinct model fingerprints of the templates of several users
+async function getModelFingerprintsForUsers(userIds) {
+  try {
+    const query = `
+      SELECT u.user_id, t.model_fingerprint
+      FROM face_templates t
+      JOIN users u ON u.id = t.user_ref
+      WHERE u.user_id = ANY($1)
+      GROUP BY u.user_id, t.model_fingerprint
+    `;
+    const result = await runQuery(query, [userIds]);
+
+    const fingerprintsByUser = new Map();
+    for (const row of result.rows) {
+      if (!fingerprintsByUser.has(row.user_id)) {
+        fingerprintsByUser.set(row.user_id, []);
+      }
+      fingerprintsByUser.get(row.user_id).push(row.model_fingerprint);
+    }
+    return fingerprintsByUser;
+  } catch (error) {
+    console.error("Error getting model fingerprints for users:", error);
+    throw error;
+  }
+}
+
+// Delete a single template of a user
+// Returns null when the user or template does not exist; the last template
+// cannot be removed (delete the user instead)
+async function deleteUserTemplate(userId, templateId) {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+
+    const userResult = await client.query(
+      "SELECT id FROM users WHERE user_id = $1 FOR UPDATE",
+      [userId]
+    );
+    const user = userResult.rows[0];
+    if (!user) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const templatesResult = await client.query(
+      "SELECT id FROM face_templates WHERE user_ref = $1",
+      [user.id]
+    );
+    const templateIds = templatesResult.rows.map((row) => row.id);
+    if (!templateIds.includes(Number(templateId))) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (templateIds.length <= 1) {
+      throw new ConflictError(
+        "LAST_TEMPLATE",
+        `Cannot remove the last template of user ${userId}. Delete the user instead.`
+      );
+    }
+
+    const deleteResult = await client.query(
+      "DELETE FROM face_templates WHERE id = $1 RETURNING id, source, captured_at",
+      [templateId]
+    );
+    const template = deleteResult.rows[0];
+
+    const { centroid, templateCount, modelFingerprint } =
+      await refreshUserCentroid(client, user.id);
+
+    await client.query("COMMIT");
+    databaseEvents.emit("embeddingStored", {
+      userId,
+      embedding: centroid,
+      modelFingerprint,
+    });
+
+    return { ...template, remaining: templateCount };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error deleting user template:", error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Get a page of enrolled embeddings for gallery search
+// Uses keyset pagination on the primary key so large galleries are streamed
+// in bounded batches instead of one huge result set
+async function getEmbeddingsBatch(afterId = 0, limit = 5000) {
+  try {
+    const query = `SELECT u.id, u.user_id, u.model_fingerprint, ${embeddingColumns(
+      "u"
+    )} FROM users u WHERE u.id > $1 ORDER BY u.id LIMIT $2`;
+    const result = await runQuery(query, [afterId, limit]);
+    return result.rows.map((row) => ({
+      id: row.id,
+      user_id: row.user_id,
+      model_fingerprint: row.model_fingerprint,
+      embedding: decodeEmbedding(row),
+    }));
+  } catch (error) {
+    console.error("Error getting embeddings batch:", error);
+    throw error;
+  }
+}
+
+// Get gallery statistics, used to check whether an index snapshot is stale
+async function getGalleryStats() {
+  try {
+    const query =
+      "SELECT COUNT(*)::int AS count, COALESCE(MAX(id), 0) AS max_id, MAX(updated_at) AS last_updated FROM users";
+    const result = await runQuery(query);
+    const row = result.rows[0];
+    return {
+      count: row.count,
+      maxId: row.max_id,
+      lastUpdated: row.last_updated ? row.last_updated.toISOString() : null,
+    };
+  } catch (error) {
+    console.error("Error getting gallery stats:", error);
+    throw error;
+  }
+}
+
+// Count templates per model fingerprint (NULL = enrolled before fingerprints)
+async function countTemplatesByModel() {
+  try {
+    const query = `
+      SELECT model_fingerprint, COUNT(*)::int AS count
+      FROM face_templates
+      GROUP BY model_fingerprint
+    `;
+    const result = await runQuery(query);
+    return result.rows.map((row) => ({
+      modelFingerprint: row.model_fingerprint,
+      count: row.count,
+    }));
+  } catch (error) {
+    console.error("Error counting templates by model:", error);
+    throw error;
+  }
+}
+
 // Get all users
 async function getAllUsers() {
   try {
     const query =
       "SELECT user_id, created_at, updated_at FROM users ORDER BY created_at DESC";
-    const result = await pool.query(query);
+    const result = await runQuery(query);
     return result.rows;
   } catch (error) {
     console.error("Error getting all users:", error);
@@ -86,11 +551,144 @@ async function getAllUsers() {
   }
 }
 
+// Columns users can be sorted by, mapped to SQL
+const USER_SORT_COLUMNS = {
+  createdAt: "u.created_at",
+  updatedAt: "u.updated_at",
+  userId: "u.user_id",
+};
+
+// List users with pagination, creation date filters and sorting
+async function listUsers(options = {}) {
+  try {
+    const {
+      limit = 20,
+      offset = 0,
+      createdAfter = null,
+      createdBefore = null,
+      sort = "createdAt",
+      order = "desc",
+    } = options;
+
+    const sortColumn = USER_SORT_COLUMNS[sort] || USER_SORT_COLUMNS.createdAt;
+    const sortOrder = order === "asc" ? "ASC" : "DESC";
+
+    const conditions = [];
+    const params = [];
+    if (createdAfter) {
+      params.push(createdAfter);
+      conditions.push(`u.created_at >= $${params.length}`);
+    }
+    if (createdBefore) {
+      params.push(createdBefore);
+      conditions.push(`u.created_at < $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await runQuery(
+      `SELECT COUNT(*)::int AS total FROM users u ${where}`,
+      params
+    );
+
+    const query = `
+      SELECT u.user_id, u.metadata, u.model_fingerprint, u.created_at, u.updated_at,
+             (SELECT COUNT(*)::int FROM face_templates t WHERE t.user_ref = u.id) AS template_count
+      FROM users u
+      ${where}
+      ORDER BY ${sortColumn} ${sortOrder}, u.id ${sortOrder}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+    const result = await runQuery(query, [...params, limit, offset]);
+
+    return { users: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    console.error("Error listing users:", error);
+    throw error;
+  }
+}
+
+// Get a single user with metadata, optionally including the embedding
+async function getUser(userId, includeEmbedding = false) {
+  try {
+    const query = `
+      SELECT u.user_id, u.metadata, u.model_fingerprint, u.created_at, u.updated_at,
+             ${includeEmbedding ? `${embeddingColumns("u")},` : ""}
+             (SELECT COUNT(*)::int FROM face_templates t WHERE t.user_ref = u.id) AS template_count
+      FROM users u
+      WHERE u.user_id = $1
+    `;
+    const result = await runQuery(query, [userId]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    if (!includeEmbedding) {
+      return row;
+    }
+    const {
+      embedding_ciphertext,
+      wrapped_key,
+      key_version,
+      cipher_version,
+      embedding_owner,
+      ...user
+    } = row;
+    return { ...user, embedding: decodeEmbedding(row) };
+  } catch (error) {
+    console.error("Error getting user:", error);
+    throw error;
+  }
+}
+
+// Rename a user and/or merge metadata into the existing metadata
+// Returns null when the user does not exist; renaming onto an existing
+// user ID fails with a conflict error
+async function updateUser(userId, changes = {}) {
+  try {
+    const newUserId = changes.newUserId || userId;
+    const query = `
+      UPDATE users
+      SET user_id = $2,
+          metadata = metadata || $3::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+      RETURNING user_id, metadata, model_fingerprint, created_at, updated_at,
+                (SELECT COUNT(*)::int FROM face_templates t WHERE t.user_ref = users.id) AS template_count
+    `;
+    const result = await runQuery(query, [
+      userId,
+      newUserId,
+      JSON.stringify(changes.metadata || {}),
+    ]);
+
+    const user = result.rows[0] || null;
+    if (user && newUserId !== userId) {
+      databaseEvents.emit("userRenamed", { userId, newUserId });
+    }
+    return user;
+  } catch (error) {
+    // unique_violation on users.user_id
+    if (error.code === "23505") {
+      throw new ConflictError(
+        "USER_EXISTS",
+        `User ${changes.newUserId} already exists`
+      );
+    }
+    console.error("Error updating user:", error);
+    throw error;
+  }
+}
+
 // Delete user
 async function deleteUser(userId) {
   try {
-    const query = "DELETE FROM users WHERE user_id = $1 RETURNING *";
-    const result = await pool.query(query, [userId]);
+    const query =
+      "DELETE FROM users WHERE user_id = $1 RETURNING id, user_id, created_at, updated_at";
+    const result = await runQuery(query, [userId]);
+    if (result.rows[0]) {
+      databaseEvents.emit("userDeleted", { userId });
+    }
     return result.rows[0] || null;
   } catch (error) {
     console.error("Error deleting user:", error);
@@ -101,7 +699,7 @@ async function deleteUser(userId) {
 // Test database connection
 async function testConnection() {
   try {
-    const client = await pool.connect();
+    const client = await getClient();
     await client.query("SELECT NOW()");
     client.release();
     console.log("✅ Database connection successful");
@@ -114,10 +712,24 @@ async function testConnection() {
 
 module.exports = {
   pool,
+  databaseEvents,
+  embeddingColumns,
+  decodeEmbedding,
   initializeDatabase,
   storeUserEmbedding,
   getUserEmbedding,
+  getUserTemplates,
+  getTemplatesForUsers,
+  getModelFingerprintsForUsers,
+  getTtaModesForUsers,
+  deleteUserTemplate,
+  getEmbeddingsBatch,
+  getGalleryStats,
+  countTemplatesByModel,
   getAllUsers,
+  listUsers,
+  getUser,
+  updateUser,
   deleteUser,
   testConnection,
 };
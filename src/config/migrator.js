@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations
+// Migrations live in src/migrations as NNN_description.js files exporting
+// async up(client) and down(client). Applied versions are recorded in the
+// schema_migrations table; every run holds a Postgres advisory lock so
+// replicas starting at the same time apply each migration only once
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary application-wide key for pg_advisory_lock
+const MIGRATION_LOCK_KEY = 72707001;
+
+// Load migration definitions sorted by version
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(directory)
+    .map((file) => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(directory, file));
+      if (
+        typeof migration.up !== "function" ||
+        typeof migration.down !== "function"
+      ) {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(version), name, file, ...migration };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(
+        `Duplicate migration version ${migrations[i].version}: ${
+          migrations[i - 1].file
+        }, ${migrations[i].file}`
+      );
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows;
+}
+
+// Run a callback on a dedicated connection holding the migration lock
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Compare applied versions with the migration files
+function describeSchema(applied, migrations) {
+  const known = new Set(migrations.map((migration) => migration.version));
+  const appliedVersions = new Set(applied.map((row) => row.version));
+
+  return {
+    currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations.length
+      ? migrations[migrations.length - 1].version
+      : 0,
+    applied: applied.map((row) => ({
+      version: row.version,
+      name: row.name,
+      appliedAt: row.applied_at,
+    })),
+    pending: migrations
+      .filter((migration) => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+    unknown: applied
+      .filter((row) => !known.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name })),
+  };
+}
+
+// Refuse to touch a schema written by a newer release
+function assertKnownSchema(schema) {
+  if (schema.unknown.length > 0) {
+    const error = new Error(
+      `Database schema version ${schema.currentVersion} is not known to this release ` +
+        `(latest known: ${
+          schema.latestVersion
+        }, unknown migrations: ${schema.unknown
+          .map((migration) => `${migration.version}_${migration.name}`)
+          .join(", ")})`
+    );
+    error.code = "SCHEMA_VERSION_UNKNOWN";
+    throw error;
+  }
+}
+
+// Apply pending migrations up to the target version (latest by default)
+async function migrate(pool, options = {}) {
+  const migrations = loadMigrations(options.directory);
+
+  return withMigrationLock(pool, async (client) => {
+    const schema = describeSchema(
+      await getAppliedMigrations(client),
+      migrations
+    );
+    assertKnownSchema(schema);
+
+    const target = options.to !== undefined ? options.to : Infinity;
+    const pending = migrations.filter(
+      (migration) =>
+        migration.version <= target &&
+        schema.pending.some((item) => item.version === migration.version)
+    );
+
+    const appliedNow = [];
+    for (const migration of pending) {
+      try {
+        await client.query("BEGIN");
+        await migration.up(client);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [migration.version, migration.name]
+        );
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+
+      console.log(`⬆️ Applied migration ${migration.file}`);
+      appliedNow.push({ version: migration.version, name: migration.name });
+    }
+
+    return {
+      applied: appliedNow,
+      version: appliedNow.length
+        ? appliedNow[appliedNow.length - 1].version
+        : schema.currentVersion,
+    };
+  });
+}
+
+// Revert the most recently applied migrations (one step by default)
+async function rollback(pool, options = {}) {
+  const steps = options.steps !== undefined ? options.steps : 1;
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Rollback steps must be a positive integer, got ${steps}`);
+  }
+  const migrations = loadMigrations(options.directory);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    assertKnownSchema(describeSchema(applied, migrations));
+
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const row of toRevert) {
+      const migration = migrations.find((item) => item.version === row.version);
+      try {
+        await client.query("BEGIN");
+        await migration.down(client);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version,
+        ]);
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw new Error(
+          `Rollback of ${migration.file} failed: ${error.message}`
+        );
+      }
+
+      console.log(`⬇️ Reverted migration ${migration.file}`);
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    const remaining = applied.length - toRevert.length;
+    return {
+      reverted,
+      version: remaining > 0 ? applied[remaining - 1].version : 0,
+    };
+  });
+}
+
+// Report applied, pending and unknown migrations
+async function getMigrationStatus(pool, options = {}) {
+  const migrations = loadMigrations(options.directory);
+  return withMigrationLock(pool, async (client) =>
+    describeSchema(await getAppliedMigrations(client), migrations)
+  );
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+  assertKnownSchema,
+};
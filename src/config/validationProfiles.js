@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+
+// Named sets of image quality thresholds
+// Built-in profiles: strict (kiosks with controlled capture), default, and
+// lenient (handheld mobile capture). VALIDATION_PROFILES_CONFIG points to an
+// optional JSON file that adds profiles, adjusts built-in ones and overrides
+// single values for every profile:
+// {
+//   "default": "lenient",
+//   "profiles": { "kiosk": { "extends": "strict", "minContrast": 20 } },
+//   "overrides": { "maxFileSize": 5242880 }
+// }
+// Profile entries only list the values they change; the rest comes from the
+// profile they extend ("default" unless given).
+// Profile names come from requests, so lookups only ever see own properties:
+// the tables below are null-prototype objects and "constructor" or
+// "__proto__" are unknown names, not inherited values.
+
+const DEFAULT_THRESHOLDS = {
+  minBrightness: 30,
+  maxBrightness: 200,
+  minContrast: 15,
+  blurThreshold: 100, // Laplacian variance
+  minShortSide: 150, // Smaller image dimension (px)
+  minLongSide: 200, // Larger image dimension (px)
+  maxDimension: 4000,
+  minAspectRatio: 0.5,
+  maxAspectRatio: 2.0,
+  minFileSize: 2048, // Bytes
+  maxFileSize: 10 * 1024 * 1024, // Uploads above 10MB are refused anyway
+};
+
+const BUILTIN_PROFILES = {
+  strict: {
+    minBrightness: 50,
+    maxBrightness: 180,
+    minContrast: 25,
+    blurThreshold: 150,
+    minShortSide: 300,
+    minLongSide: 400,
+    minAspectRatio: 0.6,
+    maxAspectRatio: 1.8,
+    minFileSize: 10 * 1024,
+  },
+  default: {},
+  lenient: {
+    minBrightness: 20,
+    maxBrightness: 230,
+    minContrast: 10,
+    blurThreshold: 50,
+    minShortSide: 112,
+    minLongSide: 150,
+    minAspectRatio: 0.4,
+    maxAspectRatio: 2.5,
+    minFileSize: 1024,
+  },
+};
+
+// Check a partial threshold object; names the profile in error messages
+function validateThresholds(values, label) {
+  for (const [key, value] of Object.entries(values)) {
+    if (key === "extends") continue;
+    if (!Object.hasOwn(DEFAULT_THRESHOLDS, key)) {
+      throw new Error(
+        `Unknown threshold "${key}" in ${label}. Use one of ${Object.keys(
+          DEFAULT_THRESHOLDS
+        ).join(", ")}`
+      );
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Threshold ${key} in ${label} must be a number ≥ 0`);
+    }
+  }
+}
+
+// Resolve every profile to a full threshold set
+// Returns { defaultProfile, profiles, overrides, configPath }
+function loadValidationProfiles() {
+  const configPath =
+    process.env.VALIDATION_PROFILES_CONFIG ||
+    path.join(__dirname, "../../validation-profiles.json");
+
+  let config = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Invalid validation profiles config ${configPath}: ${error.message}`
+      );
+    }
+  } else if (process.env.VALIDATION_PROFILES_CONFIG) {
+    throw new Error(`Validation profiles config not found at: ${configPath}`);
+  }
+
+  const declared = Object.assign(Object.create(null), BUILTIN_PROFILES);
+  for (const [name, entry] of Object.entries(config.profiles || {})) {
+    validateThresholds(entry, `profile "${name}"`);
+    declared[name] = {
+      extends:
+        entry.extends ||
+        (Object.hasOwn(BUILTIN_PROFILES, name) ? name : "default"),
+      ...entry,
+    };
+  }
+  const overrides = config.overrides || {};
+  validateThresholds(overrides, "overrides");
+
+  // Follow "extends" chains; built-in profiles extend the defaults
+  const resolved = Object.create(null);
+  const resolve = (name, seen = []) => {
+    if (resolved[name]) return resolved[name];
+    if (seen.includes(name)) {
+      throw new Error(
+        `Validation profile "${name}" extends itself (${[...seen, name].join(
+          " -> "
+        )})`
+      );
+    }
+
+    const entry = declared[name];
+    if (!entry) {
+      throw new Error(`Validation profile "${name}" is not defined`);
+    }
+
+    // A config entry extending its own built-in profile starts from the
+    // built-in values
+    const { extends: parent, ...values } = entry;
+    let base = DEFAULT_THRESHOLDS;
+    if (parent === name) {
+      base = { ...DEFAULT_THRESHOLDS, ...BUILTIN_PROFILES[name] };
+    } else if (parent) {
+      base = resolve(parent, [...seen, name]);
+    }
+
+    resolved[name] = { ...base, ...values };
+    return resolved[name];
+  };
+
+  const profiles = Object.create(null);
+  for (const name of Object.keys(declared)) {
+    profiles[name] = { ...resolve(name), ...overrides };
+  }
+
+  const defaultProfile =
+    process.env.VALIDATION_PROFILE || config.default || "default";
+  if (!profiles[defaultProfile]) {
+    throw new Error(
+      `Default validation profile "${defaultProfile}" is not defined. Available: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+
+  return {
+    defaultProfile,
+    profiles,
+    overrides,
+    configPath: fs.existsSync(configPath) ? configPath : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  BUILTIN_PROFILES,
+  loadValidationProfiles,
+};
@@ -0,0 +1,93 @@
+const multer = require("multer");
+const { ServiceError, ValidationError } = require("../utils/errors");
+
+// Central mapping of errors to HTTP responses
+// Error body: { success: false, error: <message>, code: <ERROR_CODE> }
+// plus `details` when the error carries them. ServiceErrors use the status of
+// their code; anything else is an INTERNAL_ERROR (500).
+function toErrorResponse(error, fallbackMessage = "Internal server error") {
+  if (error instanceof multer.MulterError) {
+    error = toUploadError(error);
+  } else if (error && error.type === "entity.parse.failed") {
+    // Malformed JSON body rejected by express.json()
+    error = new ValidationError(
+      "INVALID_REQUEST",
+      `Invalid JSON body: ${error.message}`
+    );
+  } else if (error && error.type === "entity.too.large") {
+    // JSON body over JSON_BODY_LIMIT; image routes report their own limit
+    // (see middleware/jsonBody)
+    error = new ValidationError(
+      "REQUEST_TOO_LARGE",
+      `Request body too large (limit ${error.limit} bytes).`
+    );
+  }
+
+  if (error instanceof ServiceError) {
+    return {
+      status: error.status,
+      body: {
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.details ? { details: error.details } : {}),
+      },
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      error: (error && error.message) || fallbackMessage,
+      code: "INTERNAL_ERROR",
+    },
+  };
+}
+
+// Send the error response for an error caught in a route
+function sendError(res, error, fallbackMessage) {
+  const { status, body } = toErrorResponse(error, fallbackMessage);
+  return res.status(status).json(body);
+}
+
+// Translate multer upload limits into validation errors
+function toUploadError(error) {
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return new ValidationError(
+        "IMAGE_FILE_TOO_LARGE",
+        "File too large. Maximum size is 10MB."
+      );
+    case "LIMIT_FILE_COUNT":
+      return new ValidationError(
+        "INVALID_REQUEST",
+        "Too many files. Only 1 file allowed."
+      );
+    case "LIMIT_UNEXPECTED_FILE":
+      // Also raised for frames beyond the limit of a multi-frame endpoint
+      return new ValidationError(
+        "INVALID_REQUEST",
+        `Unexpected file field "${error.field}" or too many files. Use "image" field name ("frames" on multi-frame endpoints).`
+      );
+    default:
+      return new ValidationError("INVALID_REQUEST", error.message);
+  }
+}
+
+// Express error middleware for errors passed to next()
+function errorHandler(error, req, res, next) {
+  if (
+    !(error instanceof ServiceError) &&
+    !(error instanceof multer.MulterError)
+  ) {
+    console.error("Route error:", error);
+  }
+  sendError(res, error);
+}
+
+module.exports = {
+  toErrorResponse,
+  sendError,
+  errorHandler,
+};
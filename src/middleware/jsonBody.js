@@ -0,0 +1,66 @@
+const express = require("express");
+const { MAX_FILE_SIZE } = require("./upload");
+const { ValidationError } = require("../utils/errors");
+
+// JSON body parsing
+// Most routes take small JSON bodies, capped at JSON_BODY_LIMIT. Routes that
+// accept base64 images (see jsonImages in middleware/upload) get a parser
+// sized for the number of frames they take. Those parsers are mounted first,
+// so the global parser skips the bodies they have already read.
+const IMAGE_ROUTES = [
+  "/api/encode",
+  "/api/compare",
+  "/api/verify",
+  "/api/identify",
+  "/api/quality",
+  "/api/users/:userId/templates",
+];
+const BURST_ROUTES = [
+  "/api/encode/burst",
+  "/api/compare/burst",
+  "/api/verify/burst",
+];
+const SESSION_FRAMES_ROUTE = "/api/liveness/sessions/:sessionId/frames";
+
+// Body size (bytes) that fits maxFrames images of the largest size as
+// base64, plus room for data URI prefixes and the other fields
+function jsonBodyLimit(maxFrames) {
+  const perImage = Math.ceil(MAX_FILE_SIZE / 3) * 4 + 1024;
+  return perImage * Math.max(1, maxFrames) + 64 * 1024;
+}
+
+// JSON parser for a route taking up to maxFrames base64 images
+// An oversized body is reported like an oversized multipart upload
+function jsonImageBody(maxFrames) {
+  const limit = jsonBodyLimit(maxFrames);
+  const parse = express.json({ limit });
+
+  return (req, res, next) =>
+    parse(req, res, (error) => {
+      if (error && error.type === "entity.too.large") {
+        return next(
+          new ValidationError(
+            "IMAGE_FILE_TOO_LARGE",
+            `Request body too large (limit ${limit} bytes for ${maxFrames} image${
+              maxFrames === 1 ? "" : "s"
+            }). Send fewer or smaller images.`
+          )
+        );
+      }
+      next(error);
+    });
+}
+
+// Mount the JSON parsers on the app, before any router
+function mountJsonParsers(app, { burstMaxFrames, sessionMaxFrames }) {
+  app.post(BURST_ROUTES, jsonImageBody(burstMaxFrames));
+  app.post(IMAGE_ROUTES, jsonImageBody(1));
+  app.post(SESSION_FRAMES_ROUTE, jsonImageBody(sessionMaxFrames));
+  app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "1mb" }));
+}
+
+module.exports = {
+  jsonBodyLimit,
+  jsonImageBody,
+  mountJsonParsers,
+};
@@ -0,0 +1,220 @@
+const multer = require("multer");
+const { isModelLoaded } = require("../services/modelService");
+const { ValidationError, ServiceUnavailableError } = require("../utils/errors");
+const { sendError, errorHandler } = require("./errorHandler");
+
+// Configure multer for file uploads
+const storage = multer.memoryStorage(); // Store files in memory
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit per image
+const ALLOWED_MIMES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+
+// Error for an image type the face pipeline cannot decode
+function unsupportedFormatError() {
+  return new ValidationError(
+    "UNSUPPORTED_IMAGE_FORMAT",
+    `Invalid file type. Allowed types: ${ALLOWED_MIMES.join(", ")}`
+  );
+}
+
+// Accept only image types the face pipeline can decode
+function imageFileFilter(req, file, cb) {
+  // Check file type
+  if (ALLOWED_MIMES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(unsupportedFormatError(), false);
+  }
+}
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1, // Only allow 1 file
+  },
+  fileFilter: imageFileFilter,
+});
+
+// Multi-frame uploads under the "frames" field
+// Routes pass their own frame limit to uploadFrames.array("frames", limit)
+const uploadFrames = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 20, // Hard cap across all multi-frame endpoints
+  },
+  fileFilter: imageFileFilter,
+});
+
+// Image type from the leading bytes, for base64 images without a data URI
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return "image/jpeg";
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))
+  ) {
+    return "image/png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+// Decode a base64 string or data URI from a JSON body into a multer-style file
+// The MIME type comes from the data URI, or the image bytes for plain base64
+function decodeImageField(value, name) {
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new ValidationError(
+      "INVALID_REQUEST",
+      `${name} must be a base64 string or data URI`
+    );
+  }
+
+  let data = value.trim();
+  let mimetype = null;
+  if (data.startsWith("data:")) {
+    const match = /^data:([^;,]*)((?:;[^;,]*)*),/.exec(data);
+    if (!match || !/;base64$/i.test(match[2])) {
+      throw new ValidationError(
+        "INVALID_REQUEST",
+        `${name} data URI must be base64-encoded (data:image/jpeg;base64,...)`
+      );
+    }
+    mimetype = match[1].toLowerCase() || null;
+    data = data.slice(match[0].length);
+  }
+
+  data = data.replace(/\s+/g, "");
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(data)) {
+    throw new ValidationError(
+      "INVALID_IMAGE",
+      `${name} is not valid base64 image data`
+    );
+  }
+  // Reject before decoding; 4 base64 characters hold 3 bytes
+  if (Math.floor((data.length * 3) / 4) > MAX_FILE_SIZE + 2) {
+    throw new ValidationError(
+      "IMAGE_FILE_TOO_LARGE",
+      "File too large. Maximum size is 10MB."
+    );
+  }
+
+  const buffer = Buffer.from(data, "base64");
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw new ValidationError(
+      "IMAGE_FILE_TOO_LARGE",
+      "File too large. Maximum size is 10MB."
+    );
+  }
+
+  mimetype = mimetype || sniffImageType(buffer);
+  if (!ALLOWED_MIMES.includes(mimetype)) {
+    throw unsupportedFormatError();
+  }
+
+  return {
+    fieldname: name.replace(/\[\d+\]$/, ""),
+    originalname: name,
+    encoding: "base64",
+    mimetype,
+    size: buffer.length,
+    buffer,
+  };
+}
+
+// Read images from JSON bodies: `image` holds one base64 string or data URI,
+// `frames` an array of them. The decoded images land in req.file / req.files
+// like multipart uploads, with the same type and size checks.
+function jsonImages(field, maxCount = 1) {
+  return (req, res, next) => {
+    if (!req.is("application/json") || !req.body) return next();
+
+    try {
+      const other = field === "image" ? "frames" : "image";
+      if (req.body[other] !== undefined) {
+        throw new ValidationError(
+          "INVALID_REQUEST",
+          `Unexpected field "${other}". Use "${field}" on this endpoint.`
+        );
+      }
+
+      const value = req.body[field];
+      if (value === undefined || value === null) return next();
+
+      if (field === "image") {
+        req.file = decodeImageField(value, "image");
+      } else {
+        if (!Array.isArray(value)) {
+          throw new ValidationError(
+            "INVALID_REQUEST",
+            "frames must be an array of base64 strings or data URIs"
+          );
+        }
+        if (value.length > maxCount) {
+          throw new ValidationError(
+            "INVALID_REQUEST",
+            `Too many frames. At most ${maxCount} allowed.`
+          );
+        }
+        req.files = value.map((frame, index) =>
+          decodeImageField(frame, `frames[${index}]`)
+        );
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Run two middlewares in sequence, stopping at the first error
+function chain(first, second) {
+  return (req, res, next) =>
+    first(req, res, (error) => (error ? next(error) : second(req, res, next)));
+}
+
+// Single image as multipart "image" field or JSON `image`
+const acceptImage = chain(upload.single("image"), jsonImages("image"));
+
+// Several frames as multipart "frames" fields or JSON `frames` array
+function acceptFrames(maxCount) {
+  return chain(
+    uploadFrames.array("frames", maxCount),
+    jsonImages("frames", maxCount)
+  );
+}
+
+// Middleware to check if model is loaded
+function checkModelLoaded(req, res, next) {
+  if (!isModelLoaded()) {
+    return sendError(
+      res,
+      new ServiceUnavailableError(
+        "MODEL_NOT_LOADED",
+        "AI model not loaded yet. Please wait for initialization to complete."
+      )
+    );
+  }
+  next();
+}
+
+// Error handling middleware for multer and other errors passed to next()
+// Upload limit errors become 400 validation errors (see errorHandler)
+const handleUploadErrors = errorHandler;
+
+module.exports = {
+  MAX_FILE_SIZE,
+  upload,
+  uploadFrames,
+  acceptImage,
+  acceptFrames,
+  checkModelLoaded,
+  handleUploadErrors,
+};
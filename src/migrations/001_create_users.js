@@ -0,0 +1,23 @@
+// Users table, one row per enrolled identity
+// IF NOT EXISTS keeps this safe on databases created before migrations existed
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) UNIQUE NOT NULL,
+        embedding FLOAT8[] NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id)
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS users");
+  },
+};
@@ -0,0 +1,34 @@
+// Templates table, one row per enrollment capture
+// users.embedding keeps the normalized centroid of these templates
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS face_templates (
+        id SERIAL PRIMARY KEY,
+        user_ref INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        embedding FLOAT8[] NOT NULL,
+        source VARCHAR(64) NOT NULL DEFAULT 'encode',
+        quality JSONB,
+        captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_face_templates_user_ref ON face_templates(user_ref)
+    `);
+
+    // Carry over single embeddings enrolled before templates existed
+    await client.query(`
+      INSERT INTO face_templates (user_ref, embedding, source, captured_at)
+      SELECT u.id, u.embedding, 'legacy', u.updated_at
+      FROM users u
+      WHERE NOT EXISTS (
+        SELECT 1 FROM face_templates t WHERE t.user_ref = u.id
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE IF EXISTS face_templates");
+  },
+};
@@ -0,0 +1,12 @@
+// Free-form metadata attached by operators
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE users DROP COLUMN IF EXISTS metadata");
+  },
+};
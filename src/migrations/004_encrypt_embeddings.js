@@ -0,0 +1,55 @@
+// Envelope-encrypted embedding columns
+// Encrypted rows keep the AES-256-GCM ciphertext, the wrapped data key and the
+// master key version; the plaintext embedding column is left NULL for them.
+// Existing plaintext rows are encrypted by `npm run keys:rotate`
+const TABLES = ["users", "face_templates"];
+
+module.exports = {
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS embedding_ciphertext BYTEA,
+          ADD COLUMN IF NOT EXISTS wrapped_key BYTEA,
+          ADD COLUMN IF NOT EXISTS key_version INTEGER,
+          ALTER COLUMN embedding DROP NOT NULL
+      `);
+
+      await client.query(`
+        ALTER TABLE ${table} ADD CONSTRAINT ${table}_embedding_present
+          CHECK (embedding IS NOT NULL OR embedding_ciphertext IS NOT NULL)
+      `);
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_face_templates_key_version ON face_templates(key_version)
+    `);
+  },
+
+  async down(client) {
+    // Plaintext cannot be restored in SQL, so refuse while encrypted rows exist
+    for (const table of TABLES) {
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count FROM ${table} WHERE embedding IS NULL`
+      );
+      if (result.rows[0].count > 0) {
+        throw new Error(
+          `${table} has ${result.rows[0].count} encrypted embeddings. Run "npm run keys:rotate -- --decrypt" first.`
+        );
+      }
+    }
+
+    await client.query("DROP INDEX IF EXISTS idx_face_templates_key_version");
+
+    for (const table of TABLES) {
+      await client.query(`
+        ALTER TABLE ${table}
+          DROP CONSTRAINT IF EXISTS ${table}_embedding_present,
+          DROP COLUMN IF EXISTS embedding_ciphertext,
+          DROP COLUMN IF EXISTS wrapped_key,
+          DROP COLUMN IF EXISTS key_version,
+          ALTER COLUMN embedding SET NOT NULL
+      `);
+    }
+  },
+};
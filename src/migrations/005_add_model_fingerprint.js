@@ -0,0 +1,21 @@
+// Fingerprint of the model that produced each embedding
+// NULL marks rows enrolled before fingerprints were recorded
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE face_templates ADD COLUMN IF NOT EXISTS model_fingerprint VARCHAR(64)
+    `);
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS model_fingerprint VARCHAR(64)
+    `);
+  },
+
+  async down(client) {
+    await client.query(
+      "ALTER TABLE face_templates DROP COLUMN IF EXISTS model_fingerprint"
+    );
+    await client.query(
+      "ALTER TABLE users DROP COLUMN IF EXISTS model_fingerprint"
+    );
+  },
+};
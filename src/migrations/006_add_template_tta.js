@@ -0,0 +1,13 @@
+// Test-time augmentation mode used to create each template ("none" or "flip")
+// NULL marks templates enrolled before the mode was recorded (no augmentation)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE face_templates ADD COLUMN IF NOT EXISTS tta VARCHAR(16)
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE face_templates DROP COLUMN IF EXISTS tta");
+  },
+};
@@ -0,0 +1,36 @@
+// Envelope format of encrypted embeddings
+// Version 2 binds the ciphertext to the owning user (see encryptionService);
+// NULL marks plaintext rows and rows encrypted before the binding, which
+// `npm run keys:rotate` re-encrypts
+const TABLES = ["users", "face_templates"];
+
+module.exports = {
+  async up(client) {
+    for (const table of TABLES) {
+      await client.query(`
+        ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS cipher_version SMALLINT
+      `);
+    }
+  },
+
+  async down(client) {
+    // Bound ciphertexts are unreadable without the column, so refuse while
+    // any exist
+    for (const table of TABLES) {
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count FROM ${table} WHERE cipher_version IS NOT NULL`
+      );
+      if (result.rows[0].count > 0) {
+        throw new Error(
+          `${table} has ${result.rows[0].count} owner-bound encrypted embeddings. Run "npm run keys:rotate -- --decrypt" first.`
+        );
+      }
+    }
+
+    for (const table of TABLES) {
+      await client.query(
+        `ALTER TABLE ${table} DROP COLUMN IF EXISTS cipher_version`
+      );
+    }
+  },
+};
@@ -1,64 +1,105 @@
 const express = require("express");
-const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const embeddingService = require("../services/embeddingService");
+const faceDetection = require("../services/faceDetection");
+const templateTokenService = require("../services/templateTokenService");
+const livenessSessionService = require("../services/livenessSessionService");
+const {
+  resolveEncoding,
+  encodeEmbedding,
+  getEncodingFormat,
+  getEncodedFingerprint,
+} = require("../utils/embeddingCodec");
 const { isModelLoaded } = require("../services/modelService");
+const {
+  acceptImage,
+  acceptFrames,
+  checkModelLoaded,
+  handleUploadErrors,
+} = require("../middleware/upload");
+const { sendError, toErrorResponse } = require("../middleware/errorHandler");
+const { ValidationError, AuthenticationError } = require("../utils/errors");
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage(); // Store files in memory
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1, // Only allow 1 file
-  },
-  fileFilter: (req, file, cb) => {
-    // Check file type
-    const allowedMimes = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
-
-    if (allowedMimes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          `Invalid file type. Allowed types: ${allowedMimes.join(", ")}`
-        ),
-        false
-      );
-    }
-  },
-});
+// Single image under "image", or a burst of frames under "frames" on the
+// /burst variant of a route (multipart or JSON, see middleware/upload)
+const acceptBurst = acceptFrames(embeddingService.burstMaxFrames);
+function uploadImages(req, res, next) {
+  const middleware = req.path.endsWith("/burst") ? acceptBurst : acceptImage;
+  middleware(req, res, next);
+}
 
-// Middleware to check if model is loaded
-function checkModelLoaded(req, res, next) {
-  if (!isModelLoaded()) {
-    return res.status(503).json({
-      success: false,
-      error:
-        "AI model not loaded yet. Please wait for initialization to complete.",
-    });
+// Uploaded image buffer, or the frame buffers of a burst (null when missing)
+function getImageInput(req) {
+  if (req.files) {
+    return req.files.length > 0 ? req.files.map((file) => file.buffer) : null;
+  }
+  return req.file ? req.file.buffer : null;
+}
+
+// Error for a request without image
+function missingImageError(req) {
+  return new ValidationError(
+    "INVALID_REQUEST",
+    req.path.endsWith("/burst")
+      ? 'No frames provided. Upload them under the "frames" field or send a JSON frames array.'
+      : "No image provided. Please upload an image or send it as base64 in a JSON image field."
+  );
+}
+
+// Upload details for responses, one entry per frame for bursts
+function getImageInfo(req) {
+  const describe = (file) => ({
+    originalName: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype,
+  });
+  return req.files ? req.files.map(describe) : describe(req.file);
+}
+
+// One-line upload summary for logs
+function formatUpload(req) {
+  if (req.files) {
+    const bytes = req.files.reduce((sum, file) => sum + file.size, 0);
+    return `burst of ${req.files.length} frames, ${bytes} bytes`;
   }
-  next();
+  return `${req.file.originalname}, ${req.file.size} bytes, ${req.file.mimetype}`;
 }
 
 // POST /encode - Register user and generate embedding
+// POST /encode/burst - Same from a burst of frames fused into one template
 router.post(
-  "/encode",
+  ["/encode", "/encode/burst"],
   checkModelLoaded,
-  upload.single("image"),
+  uploadImages,
   async (req, res) => {
     try {
-      console.log("📝 POST /encode - Starting user registration...");
+      console.log(`📝 POST ${req.path} - Starting user registration...`);
 
       // Validate image upload
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          error: "No image file provided. Please upload an image.",
-        });
+      const imageInput = getImageInput(req);
+      if (!imageInput) {
+        return sendError(res, missingImageError(req));
+      }
+
+      // Response encoding of the embedding (json array or compact base64)
+      let encoding;
+      try {
+        encoding = resolveEncoding(req.body.encoding || req.query.encoding);
+      } catch (encodingError) {
+        return sendError(
+          res,
+          new ValidationError("INVALID_REQUEST", encodingError.message)
+        );
+      }
+
+      // Refuse a token request up front so nothing is stored for it
+      const returnToken =
+        req.body.returnToken === "true" || req.body.returnToken === true;
+      if (returnToken) {
+        templateTokenService.assertEnabled();
       }
 
       // Optional: Get userId from request body or generate one
@@ -67,37 +108,69 @@ router.post(
         `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       console.log(`📝 Processing registration for user: ${userId}`);
-      console.log(
-        `🖼️ Image details: ${req.file.originalname}, ${req.file.size} bytes, ${req.file.mimetype}`
-      );
-
-      // Generate embedding
-      const embedding = await embeddingService.createEmbedding(req.file.buffer);
+      console.log(`🖼️ Image details: ${formatUpload(req)}`);
+
+      // Generate embedding from the detected face region (fused over the
+      // usable frames of a burst)
+      const { embedding, face, quality, liveness, model, tta, burst } =
+        await embeddingService.createProbe(imageInput, {
+          model: req.body.model || req.query.model,
+          tta: req.body.tta || req.query.tta,
+          profile: req.body.profile || req.query.profile,
+        });
 
       // Store embedding in database (as required by specifications)
       const { storeUserEmbedding } = require("../config/database");
-      const dbResult = await storeUserEmbedding(userId, embedding);
+      // Each enrollment is kept as a separate template for the user
+      const dbResult = await storeUserEmbedding(userId, embedding, {
+        source: req.body.source || (burst ? "burst" : "encode"),
+        quality,
+        modelFingerprint: model.fingerprint,
+        tta,
+      });
       console.log(
         `💾 Embedding successfully saved to database for user: ${userId} (DB ID: ${dbResult.id})`
       );
 
+      // Optionally sign the template so it can be sent back to /compare
+      let templateToken;
+      if (returnToken) {
+        templateToken = templateTokenService.issueToken(embedding, {
+          userId,
+          modelVersion: model.version,
+          modelFingerprint: model.fingerprint,
+          tta,
+        });
+      }
+
       // Return success response with embedding
       const response = {
         success: true,
-        embedding: embedding,
+        embedding:
+          encoding === "json"
+            ? embedding
+            : encodeEmbedding(embedding, encoding, {
+                modelFingerprint: model.fingerprint,
+              }),
+        embeddingEncoding: encoding,
+        model,
+        tta,
         userId: userId,
         timestamp: new Date().toISOString(),
         stored: true,
+        ...(templateToken ? { templateToken } : {}),
         dbInfo: {
           id: dbResult.id,
           createdAt: dbResult.created_at,
           updatedAt: dbResult.updated_at,
+          templateId: dbResult.template.id,
+          templateCount: dbResult.template_count,
         },
-        imageInfo: {
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype,
-        },
+        warnings: embeddingService.getTtaWarnings(tta, dbResult.tta_modes),
+        liveness,
+        ...(burst ? { burst } : {}),
+        faceInfo: face,
+        imageInfo: getImageInfo(req),
       };
 
       console.log(`✅ Registration completed for user: ${userId}`);
@@ -105,85 +178,118 @@ router.post(
     } catch (error) {
       console.error("❌ /encode endpoint error:", error);
 
-      // Return appropriate error response
-      const statusCode =
-        error.message.includes("No face detected") ||
-        error.message.includes("Image too") ||
-        error.message.includes("Invalid")
-          ? 400
-          : 500;
-
-      res.status(statusCode).json({
-        success: false,
-        error:
-          error.message || "Failed to process image and generate embedding",
-      });
+      sendError(res, error, "Failed to process image and generate embedding");
     }
   }
 );
 
 // POST /compare - Compare image against stored embedding
+// POST /compare/burst - Same with a burst of frames fused into one probe
 router.post(
-  "/compare",
+  ["/compare", "/compare/burst"],
   checkModelLoaded,
-  upload.single("image"),
+  uploadImages,
   async (req, res) => {
     try {
-      console.log("🔍 POST /compare - Starting face verification...");
+      console.log(`🔍 POST ${req.path} - Starting face verification...`);
 
       // Validate image upload
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          error: "No image file provided. Please upload an image.",
-        });
+      const imageInput = getImageInput(req);
+      if (!imageInput) {
+        return sendError(res, missingImageError(req));
       }
 
-      // Validate stored embedding
-      if (!req.body.storedEmbedding) {
-        return res.status(400).json({
-          success: false,
-          error:
-            "No stored embedding provided. Please provide storedEmbedding in the request body.",
-        });
+      // Validate stored template
+      const { templateToken, storedEmbedding } = req.body;
+      if (!templateToken && !storedEmbedding) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "No stored template provided. Please provide templateToken or storedEmbedding in the request body."
+          )
+        );
       }
 
-      console.log(
-        `🖼️ Verification image: ${req.file.originalname}, ${req.file.size} bytes, ${req.file.mimetype}`
-      );
+      console.log(`🖼️ Verification image: ${formatUpload(req)}`);
 
-      // Parse stored embedding
+      // Signed tokens are verified; raw embeddings are refused in strict mode
       let storedEmbeddingArray;
-      try {
-        storedEmbeddingArray = embeddingService.parseStoredEmbedding(
-          req.body.storedEmbedding
+      let template;
+      if (templateToken) {
+        try {
+          const verified = templateTokenService.verifyToken(templateToken);
+          storedEmbeddingArray = verified.embedding;
+          template = {
+            source: "token",
+            userId: verified.userId,
+            modelVersion: verified.modelVersion,
+            modelFingerprint: verified.modelFingerprint,
+            tta: verified.tta,
+            issuedAt: verified.issuedAt,
+            expiresAt: verified.expiresAt,
+          };
+        } catch (tokenError) {
+          return sendError(res, tokenError);
+        }
+      } else if (templateTokenService.strict) {
+        return sendError(
+          res,
+          new AuthenticationError(
+            "UNSIGNED_TEMPLATE",
+            "Unsigned templates are not accepted. Provide a templateToken issued by /api/encode."
+          )
         );
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid stored embedding format: ${parseError.message}`,
-        });
+      } else {
+        try {
+          storedEmbeddingArray =
+            embeddingService.parseStoredEmbedding(storedEmbedding);
+          // Compact encodings carry the fingerprint, JSON arrays may send it
+          template = {
+            source: "embedding",
+            encoding: getEncodingFormat(storedEmbedding) || "json",
+            modelFingerprint:
+              getEncodedFingerprint(storedEmbedding) ||
+              req.body.modelFingerprint ||
+              null,
+            tta: req.body.templateTta || null,
+          };
+        } catch (parseError) {
+          return sendError(
+            res,
+            new ValidationError(
+              "INVALID_EMBEDDING",
+              `Invalid stored embedding format: ${parseError.message}`
+            )
+          );
+        }
       }
 
       // Compare embeddings
       const comparisonResult = await embeddingService.compareEmbeddings(
-        req.file.buffer,
-        storedEmbeddingArray
+        imageInput,
+        storedEmbeddingArray,
+        {
+          modelFingerprint: template.modelFingerprint,
+          templateTta: template.tta,
+          model: req.body.model || req.query.model,
+          tta: req.body.tta || req.query.tta,
+          profile: req.body.profile || req.query.profile,
+        }
       );
 
       // Add additional metadata to response
+      const { face, newEmbeddingLength, ...result } = comparisonResult;
       const response = {
-        ...comparisonResult,
+        ...result,
         timestamp: new Date().toISOString(),
-        imageInfo: {
-          originalName: req.file.originalname,
-          size: req.file.size,
-          mimeType: req.file.mimetype,
-        },
+        imageInfo: getImageInfo(req),
         embeddingInfo: {
           storedDimensions: storedEmbeddingArray.length,
-          newDimensions: comparisonResult.newEmbeddingLength || 512,
+          newDimensions: newEmbeddingLength || 512,
         },
+        template,
+        faceInfo: face,
       };
 
       console.log(
@@ -193,23 +299,211 @@ router.post(
     } catch (error) {
       console.error("❌ /compare endpoint error:", error);
 
-      // Return appropriate error response
-      const statusCode =
-        error.message.includes("No face detected") ||
-        error.message.includes("Image too") ||
-        error.message.includes("Invalid") ||
-        error.message.includes("dimension mismatch")
-          ? 400
-          : 500;
-
-      res.status(statusCode).json({
-        success: false,
-        error: error.message || "Failed to compare face embeddings",
-      });
+      sendError(res, error, "Failed to compare face embeddings");
     }
   }
 );
 
+// POST /verify - Verify image against the enrolled template of a user
+// POST /verify/burst - Same with a burst of frames fused into one probe
+router.post(
+  ["/verify", "/verify/burst"],
+  checkModelLoaded,
+  uploadImages,
+  async (req, res) => {
+    // Probe of the liveness session claimed by this request, if any
+    let livenessProbe = null;
+    try {
+      console.log(`🔍 POST ${req.path} - Starting server-side verification...`);
+
+      // Validate image upload, or a passed liveness session instead
+      const imageInput = getImageInput(req);
+      const livenessSessionId = req.body.livenessSessionId;
+      if (!imageInput && !livenessSessionId) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "No image provided. Please upload an image, send it as base64 in a JSON image field or pass a livenessSessionId."
+          )
+        );
+      }
+      if (imageInput && livenessSessionId) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "Provide either an image or a livenessSessionId, not both."
+          )
+        );
+      }
+
+      // Validate user ID
+      const userId = req.body.userId;
+      if (!userId) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "No userId provided. Please provide userId in the request body."
+          )
+        );
+      }
+
+      // A liveness session is used up by its first verification that does not
+      // fail on the server's side
+      if (livenessSessionId) {
+        livenessProbe = livenessSessionService.consume(livenessSessionId);
+        console.log(
+          `🎬 Verifying ${userId} with liveness session ${livenessSessionId}`
+        );
+      } else {
+        console.log(
+          `🖼️ Verification image for ${userId}: ${formatUpload(req)}`
+        );
+      }
+
+      // Compare against the template stored in the database
+      const { face, ...result } = await embeddingService.verifyUser(
+        userId,
+        imageInput,
+        {
+          model: livenessProbe
+            ? livenessProbe.model
+            : req.body.model || req.query.model,
+          tta: req.body.tta || req.query.tta,
+          profile: req.body.profile || req.query.profile,
+          probe: livenessProbe,
+        }
+      );
+
+      const response = {
+        ...result,
+        timestamp: new Date().toISOString(),
+        ...(imageInput ? { imageInfo: getImageInfo(req) } : {}),
+        faceInfo: face,
+      };
+
+      if (livenessProbe) {
+        livenessSessionService.settle(livenessSessionId);
+      }
+
+      console.log(
+        `✅ Verification completed for ${userId} - Match: ${result.isMatch}, Similarity: ${result.similarity}`
+      );
+      res.status(200).json(response);
+    } catch (error) {
+      console.error("❌ /verify endpoint error:", error);
+
+      if (livenessProbe) {
+        livenessSessionService.settle(
+          req.body.livenessSessionId,
+          toErrorResponse(error).status >= 500
+        );
+      }
+      sendError(res, error, "Failed to verify user");
+    }
+  }
+);
+
+// POST /identify - Search the enrolled gallery for the closest users
+router.post("/identify", checkModelLoaded, acceptImage, async (req, res) => {
+  try {
+    console.log("🔎 POST /identify - Starting 1:N identification...");
+
+    // Validate image upload
+    if (!req.file) {
+      return sendError(res, missingImageError(req));
+    }
+
+    // Optional number of candidates to return
+    let topK;
+    if (req.body.topK !== undefined) {
+      topK = parseInt(req.body.topK);
+      if (isNaN(topK) || topK < 1) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "Invalid topK. Expected a positive integer."
+          )
+        );
+      }
+    }
+
+    console.log(
+      `🖼️ Identification image: ${req.file.originalname}, ${req.file.size} bytes, ${req.file.mimetype}`
+    );
+
+    const { face, ...result } = await embeddingService.identifyUser(
+      req.file.buffer,
+      topK,
+      {
+        model: req.body.model || req.query.model,
+        tta: req.body.tta || req.query.tta,
+        profile: req.body.profile || req.query.profile,
+      }
+    );
+
+    const response = {
+      ...result,
+      timestamp: new Date().toISOString(),
+      imageInfo: {
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype,
+      },
+      faceInfo: face,
+    };
+
+    console.log(
+      `✅ Identification completed - Identified: ${
+        result.identified ? result.match.userId : "no one"
+      }`
+    );
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("❌ /identify endpoint error:", error);
+
+    sendError(res, error, "Failed to identify face");
+  }
+});
+
+// POST /quality - Report every image quality check without enrolling
+// Lets a capture UI guide the user before calling /encode
+router.post("/quality", acceptImage, async (req, res) => {
+  try {
+    console.log("🧪 POST /quality - Assessing image quality...");
+
+    // Validate image upload
+    if (!req.file) {
+      return sendError(res, missingImageError(req));
+    }
+
+    const report = await faceDetection.assessQuality(req.file.buffer, {
+      profile: req.body.profile || req.query.profile,
+    });
+
+    console.log(
+      `✅ Quality assessment completed - Passed: ${report.passed}, Score: ${report.score}`
+    );
+    res.status(200).json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString(),
+      imageInfo: {
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype,
+      },
+    });
+  } catch (error) {
+    console.error("❌ /quality endpoint error:", error);
+
+    sendError(res, error, "Failed to assess image quality");
+  }
+});
+
 // GET /info - Get service information
 router.get("/info", (req, res) => {
   try {
@@ -220,25 +514,127 @@ router.get("/info", (req, res) => {
       service: "Face Verification Microservice",
       version: "1.0.0",
       ...serviceInfo,
+      livenessSessions: livenessSessionService.getInfo(),
       endpoints: {
         encode: {
           method: "POST",
           path: "/api/encode",
           description: "Generate face embedding from image",
           parameters: {
-            image: "multipart/form-data file (JPEG, PNG, WebP)",
+            image:
+              "multipart/form-data file, or base64 / data URI in a JSON body (JPEG, PNG, WebP)",
             userId: "optional string for user identification",
+            source: "optional label for the enrollment source (default encode)",
+            returnToken:
+              "optional 'true' to also return a signed template token",
+            encoding:
+              "optional embedding encoding: json (default), f32, f16 or i8",
+            model: "optional name of a registered model (default model)",
+            tta: "optional test-time augmentation: none or flip (EMBEDDING_TTA)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
           },
         },
         compare: {
           method: "POST",
           path: "/api/compare",
-          description: "Compare face image against stored embedding",
+          description:
+            "Compare face image against stored embedding (rejects faces failing the liveness check)",
+          parameters: {
+            image:
+              "multipart/form-data file, or base64 / data URI in a JSON body (JPEG, PNG, WebP)",
+            templateToken: "signed template token returned by /api/encode",
+            storedEmbedding:
+              "JSON array (or its string form) or compact base64 encoding of stored face embedding (rejected in strict token mode)",
+            modelFingerprint:
+              "fingerprint of the model that produced a JSON storedEmbedding (warns when missing, required with MODEL_FINGERPRINT_STRICT)",
+            templateTta:
+              "optional tta mode the storedEmbedding was created with (warns on mismatch)",
+            model:
+              "optional name of a registered model (matched by fingerprint by default)",
+            tta: "optional test-time augmentation: none or flip (EMBEDDING_TTA)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
+          },
+        },
+        verify: {
+          method: "POST",
+          path: "/api/verify",
+          description:
+            "Verify face image against the enrolled template of a user (rejects faces failing the liveness check)",
+          parameters: {
+            image:
+              "multipart/form-data file, or base64 / data URI in a JSON body (JPEG, PNG, WebP)",
+            livenessSessionId:
+              "passed liveness session to verify instead of an image (single use)",
+            userId: "string identifier of an enrolled user",
+            model:
+              "optional name of a registered model (enrollment model by default)",
+            tta: "optional test-time augmentation: none or flip (EMBEDDING_TTA)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
+          },
+        },
+        burst: {
+          method: "POST",
+          path: "/api/encode/burst, /api/compare/burst, /api/verify/burst",
+          description:
+            "Same as encode, compare and verify with a burst of frames; rejected frames are dropped and the rest fused with quality weighting",
+          parameters: {
+            frames: `multipart/form-data files, or a JSON array of base64 / data URIs (JPEG, PNG, WebP), up to ${embeddingService.burstMaxFrames}`,
+            "...": "the parameters of the single-image endpoint",
+          },
+        },
+        identify: {
+          method: "POST",
+          path: "/api/identify",
+          description: "Search all enrolled users for the closest faces (1:N)",
           parameters: {
-            image: "multipart/form-data file (JPEG, PNG, WebP)",
-            storedEmbedding: "JSON string array of stored face embedding",
+            image:
+              "multipart/form-data file, or base64 / data URI in a JSON body (JPEG, PNG, WebP)",
+            topK: "optional number of candidates to return (default 5, max 50)",
+            model: "optional name of a registered model (default model)",
+            tta: "optional test-time augmentation: none or flip (EMBEDDING_TTA)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
           },
         },
+        quality: {
+          method: "POST",
+          path: "/api/quality",
+          description:
+            "Run every image quality check and report measured values, thresholds and an overall score",
+          parameters: {
+            image:
+              "multipart/form-data file, or base64 / data URI in a JSON body (JPEG, PNG, WebP)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
+          },
+        },
+        livenessSessions: {
+          method: "POST, GET",
+          path: "/api/liveness/sessions[/:sessionId[/frames]]",
+          description:
+            "Start a challenge-response liveness session, get its state or upload its frames (multipart or JSON frames, in capture order)",
+          parameters: {
+            model: "optional name of a registered model (default model)",
+            tta: "optional test-time augmentation: none or flip (EMBEDDING_TTA)",
+            profile:
+              "optional validation profile of the quality checks (strict, default, lenient, ...)",
+          },
+        },
+        users: {
+          method: "GET, PATCH, DELETE",
+          path: "/api/users[/:userId]",
+          description:
+            "List users (page, limit, createdAfter, createdBefore, sort, order), get, rename/annotate or delete a user",
+        },
+        templates: {
+          method: "GET, POST, DELETE",
+          path: "/api/users/:userId/templates[/:templateId]",
+          description:
+            "List, add (multipart image) or remove enrollment templates of a user",
+        },
         info: {
           method: "GET",
           path: "/api/info",
@@ -249,10 +645,7 @@ router.get("/info", (req, res) => {
     });
   } catch (error) {
     console.error("❌ /info endpoint error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to retrieve service information",
-    });
+    sendError(res, error, "Failed to retrieve service information");
   }
 });
 
@@ -271,36 +664,6 @@ router.get("/health", (req, res) => {
 });
 
 // Error handling middleware for multer
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    let message = "File upload error";
-
-    switch (error.code) {
-      case "LIMIT_FILE_SIZE":
-        message = "File too large. Maximum size is 10MB.";
-        break;
-      case "LIMIT_FILE_COUNT":
-        message = "Too many files. Only 1 file allowed.";
-        break;
-      case "LIMIT_UNEXPECTED_FILE":
-        message = 'Unexpected file field. Use "image" field name.';
-        break;
-      default:
-        message = error.message;
-    }
-
-    return res.status(400).json({
-      success: false,
-      error: message,
-    });
-  }
-
-  // Handle other errors
-  console.error("Route error:", error);
-  res.status(500).json({
-    success: false,
-    error: error.message || "Internal server error",
-  });
-});
+router.use(handleUploadErrors);
 
 module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+const livenessSessionService = require("../services/livenessSessionService");
+const {
+  acceptFrames,
+  checkModelLoaded,
+  handleUploadErrors,
+} = require("../middleware/upload");
+const { sendError } = require("../middleware/errorHandler");
+const { ValidationError } = require("../utils/errors");
+
+const router = express.Router();
+
+// POST /liveness/sessions - Start a session with a random challenge
+router.post("/sessions", checkModelLoaded, (req, res) => {
+  try {
+    const session = livenessSessionService.createSession({
+      model: req.body.model || req.query.model,
+      tta: req.body.tta || req.query.tta,
+      profile: req.body.profile || req.query.profile,
+    });
+
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    console.error("❌ POST /liveness/sessions error:", error);
+
+    sendError(res, error, "Failed to start liveness session");
+  }
+});
+
+// GET /liveness/sessions/:sessionId - Session state and result
+router.get("/sessions/:sessionId", (req, res) => {
+  try {
+    const session = livenessSessionService.getSession(req.params.sessionId);
+
+    res.status(200).json({
+      success: true,
+      ...livenessSessionService.describeSession(session),
+    });
+  } catch (error) {
+    console.error("❌ GET /liveness/sessions/:sessionId error:", error);
+
+    sendError(res, error, "Failed to retrieve liveness session");
+  }
+});
+
+// POST /liveness/sessions/:sessionId/frames - Upload the recorded frames
+// Frames go under the "frames" field in capture order. A failed challenge is
+// a 200 response with passed: false; the session cannot be retried.
+router.post(
+  "/sessions/:sessionId/frames",
+  checkModelLoaded,
+  acceptFrames(livenessSessionService.maxFrames),
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      console.log(`🎬 POST /liveness/sessions/${sessionId}/frames`);
+
+      if (!req.files || req.files.length === 0) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            'No frames provided. Upload them under the "frames" field or send a JSON frames array.'
+          )
+        );
+      }
+
+      const session = await livenessSessionService.submitFrames(
+        sessionId,
+        req.files.map((file) => file.buffer)
+      );
+
+      res.status(200).json({
+        success: true,
+        ...session,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(
+        "❌ POST /liveness/sessions/:sessionId/frames error:",
+        error
+      );
+
+      sendError(res, error, "Failed to process liveness frames");
+    }
+  }
+);
+
+// Error handling middleware for multer
+router.use(handleUploadErrors);
+
+module.exports = router;
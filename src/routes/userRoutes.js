@@ -0,0 +1,363 @@
+const express = require("express");
+const embeddingService = require("../services/embeddingService");
+const {
+  listUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  getUserTemplates,
+  deleteUserTemplate,
+} = require("../config/database");
+const {
+  acceptImage,
+  checkModelLoaded,
+  handleUploadErrors,
+} = require("../middleware/upload");
+const { sendError } = require("../middleware/errorHandler");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+const router = express.Router();
+
+const SORT_FIELDS = ["createdAt", "updatedAt", "userId"];
+
+// Shape a users row for API responses
+function formatUser(row) {
+  return {
+    userId: row.user_id,
+    metadata: row.metadata,
+    modelFingerprint: row.model_fingerprint,
+    templateCount: row.template_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.embedding ? { embedding: row.embedding } : {}),
+  };
+}
+
+// Parse an optional ISO date query parameter, returns undefined when invalid
+function parseDateParam(value) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// GET /users - List enrolled users
+router.get("/", async (req, res) => {
+  try {
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    const limit =
+      req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+    const sort = req.query.sort || "createdAt";
+    const order = (req.query.order || "desc").toLowerCase();
+    const createdAfter = parseDateParam(req.query.createdAfter);
+    const createdBefore = parseDateParam(req.query.createdBefore);
+
+    if (isNaN(page) || page < 1) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid page. Expected a positive integer."
+        )
+      );
+    }
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid limit. Expected an integer between 1 and 100."
+        )
+      );
+    }
+    if (!SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          `Invalid sort. Use sort=${SORT_FIELDS.join("|")} and order=asc|desc.`
+        )
+      );
+    }
+    if (createdAfter === undefined || createdBefore === undefined) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid createdAfter/createdBefore. Expected ISO 8601 dates."
+        )
+      );
+    }
+
+    const { users, total } = await listUsers({
+      limit,
+      offset: (page - 1) * limit,
+      createdAfter,
+      createdBefore,
+      sort,
+      order,
+    });
+
+    res.status(200).json({
+      success: true,
+      users: users.map(formatUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ GET /users error:", error);
+    sendError(res, error, "Failed to list users");
+  }
+});
+
+// GET /users/:userId - Get user metadata, optionally with the embedding
+router.get("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const includeEmbedding = req.query.includeEmbedding === "true";
+
+    const user = await getUser(userId, includeEmbedding);
+    if (!user) {
+      return sendError(
+        res,
+        new NotFoundError("USER_NOT_FOUND", `User ${userId} not found`)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      user: formatUser(user),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ GET /users/:userId error:", error);
+    sendError(res, error, "Failed to get user");
+  }
+});
+
+// PATCH /users/:userId - Rename a user and/or attach metadata
+router.patch("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { newUserId, metadata } = req.body || {};
+
+    if (newUserId === undefined && metadata === undefined) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Nothing to update. Provide newUserId and/or metadata."
+        )
+      );
+    }
+    if (
+      newUserId !== undefined &&
+      (typeof newUserId !== "string" ||
+        newUserId.trim() === "" ||
+        newUserId.length > 255)
+    ) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid newUserId. Expected a non-empty string (max 255)."
+        )
+      );
+    }
+    if (
+      metadata !== undefined &&
+      (metadata === null ||
+        typeof metadata !== "object" ||
+        Array.isArray(metadata))
+    ) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid metadata. Expected a JSON object."
+        )
+      );
+    }
+
+    const user = await updateUser(userId, { newUserId, metadata });
+    if (!user) {
+      return sendError(
+        res,
+        new NotFoundError("USER_NOT_FOUND", `User ${userId} not found`)
+      );
+    }
+
+    console.log(
+      `✏️ User ${userId} updated${
+        newUserId && newUserId !== userId ? ` (renamed to ${newUserId})` : ""
+      }`
+    );
+    res.status(200).json({
+      success: true,
+      user: formatUser(user),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ PATCH /users/:userId error:", error);
+    sendError(res, error, "Failed to update user");
+  }
+});
+
+// DELETE /users/:userId - Delete a user and all templates
+router.delete("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const deleted = await deleteUser(userId);
+    if (!deleted) {
+      return sendError(
+        res,
+        new NotFoundError("USER_NOT_FOUND", `User ${userId} not found`)
+      );
+    }
+
+    console.log(`🗑️ User ${userId} deleted`);
+    res.status(200).json({
+      success: true,
+      userId: deleted.user_id,
+      deletedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ DELETE /users/:userId error:", error);
+    sendError(res, error, "Failed to delete user");
+  }
+});
+
+// GET /users/:userId/templates - List enrollment templates of a user
+router.get("/:userId/templates", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const includeEmbeddings = req.query.includeEmbeddings === "true";
+
+    const user = await getUserTemplates(userId);
+    if (!user) {
+      return sendError(
+        res,
+        new NotFoundError("USER_NOT_FOUND", `User ${userId} not found`)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      userId: user.userId,
+      templateCount: user.templates.length,
+      templates: user.templates.map(({ embedding, ...template }) => ({
+        ...template,
+        dimensions: embedding.length,
+        ...(includeEmbeddings ? { embedding } : {}),
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ GET /users/:userId/templates error:", error);
+    sendError(res, error, "Failed to list templates");
+  }
+});
+
+// POST /users/:userId/templates - Enroll an additional template for a user
+router.post(
+  "/:userId/templates",
+  checkModelLoaded,
+  acceptImage,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      console.log(`📝 POST /users/${userId}/templates - Adding template...`);
+
+      // Validate image upload
+      if (!req.file) {
+        return sendError(
+          res,
+          new ValidationError(
+            "INVALID_REQUEST",
+            "No image provided. Please upload an image or send it as base64 in a JSON image field."
+          )
+        );
+      }
+
+      const { face, ...result } = await embeddingService.addTemplate(
+        userId,
+        req.file.buffer,
+        req.body.source || "api",
+        {
+          model: req.body.model || req.query.model,
+          tta: req.body.tta || req.query.tta,
+          profile: req.body.profile || req.query.profile,
+        }
+      );
+
+      res.status(201).json({
+        ...result,
+        timestamp: new Date().toISOString(),
+        imageInfo: {
+          originalName: req.file.originalname,
+          size: req.file.size,
+          mimeType: req.file.mimetype,
+        },
+        faceInfo: face,
+      });
+    } catch (error) {
+      console.error("❌ POST /users/:userId/templates error:", error);
+
+      sendError(res, error, "Failed to add template");
+    }
+  }
+);
+
+// DELETE /users/:userId/templates/:templateId - Remove a single template
+router.delete("/:userId/templates/:templateId", async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+
+    if (!/^\d+$/.test(templateId)) {
+      return sendError(
+        res,
+        new ValidationError(
+          "INVALID_REQUEST",
+          "Invalid templateId. Expected a positive integer."
+        )
+      );
+    }
+
+    const deleted = await deleteUserTemplate(userId, parseInt(templateId));
+    if (!deleted) {
+      return sendError(
+        res,
+        new NotFoundError(
+          "TEMPLATE_NOT_FOUND",
+          `Template ${templateId} not found for user ${userId}`
+        )
+      );
+    }
+
+    console.log(`🗑️ Template ${templateId} removed from user ${userId}`);
+    res.status(200).json({
+      success: true,
+      userId,
+      deletedTemplate: {
+        id: deleted.id,
+        source: deleted.source,
+        capturedAt: deleted.captured_at,
+      },
+      templateCount: deleted.remaining,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ DELETE /users/:userId/templates error:", error);
+    sendError(res, error, "Failed to delete template");
+  }
+});
+
+// Error handling middleware for multer
+router.use(handleUploadErrors);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { TASKS } = require("../utils/faceAnalysis");
+
+const WORKER_SCRIPT = path.join(__dirname, "../workers/analysisWorker.js");
+
+// Pool of worker threads for the pixel analysis in faceDetection
+// Keeps blur, brightness and edge-detection loops off the event loop. Pixel
+// buffers are transferred, not copied. A worker that crashes or exceeds
+// ANALYSIS_TASK_TIMEOUT_MS fails its task and is replaced.
+// ANALYSIS_WORKERS=0 runs the analysis on the main thread.
+class AnalysisPool {
+  constructor() {
+    this.size =
+      process.env.ANALYSIS_WORKERS !== undefined
+        ? Math.max(0, parseInt(process.env.ANALYSIS_WORKERS) || 0)
+        : Math.max(1, os.cpus().length - 1);
+    this.taskTimeoutMs =
+      parseInt(process.env.ANALYSIS_TASK_TIMEOUT_MS) || 30000;
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.closing = false;
+    this.stats = { completed: 0, failed: 0, restarts: 0 };
+  }
+
+  // Workers are started on first use so scripts requiring faceDetection do
+  // not spawn threads
+  start() {
+    while (this.workers.length < this.size) {
+      this.workers.push(this.spawnWorker());
+    }
+  }
+
+  spawnWorker() {
+    const slot = {
+      worker: new Worker(WORKER_SCRIPT),
+      task: null,
+      dead: false,
+      startedAt: Date.now(),
+    };
+
+    slot.worker.on("message", (message) => {
+      const { task } = slot;
+      if (!task || task.id !== message.id) return;
+
+      this.finishTask(slot);
+      if (message.error) {
+        this.stats.failed++;
+        task.reject(new Error(message.error));
+      } else {
+        this.stats.completed++;
+        task.resolve(message.result);
+      }
+      this.dispatch();
+    });
+
+    slot.worker.on("error", (error) => {
+      console.error("❌ Analysis worker crashed:", error.message);
+      this.failTask(
+        slot,
+        new Error(`Analysis worker crashed: ${error.message}`)
+      );
+    });
+
+    slot.worker.on("exit", (code) => {
+      slot.dead = true;
+      this.failTask(
+        slot,
+        new Error(`Analysis worker exited with code ${code}`)
+      );
+      this.replaceWorker(slot);
+    });
+
+    return slot;
+  }
+
+  // Restart a worker that died, unless the pool is shutting down
+  replaceWorker(slot) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) return;
+
+    if (this.closing) {
+      this.workers.splice(index, 1);
+      return;
+    }
+
+    // A worker dying right after start is likely to die again, back off
+    const delay = Date.now() - slot.startedAt < 1000 ? 1000 : 0;
+    this.stats.restarts++;
+    console.warn(
+      `⚠️ Restarting analysis worker${delay ? ` in ${delay}ms` : ""}`
+    );
+    setTimeout(() => {
+      if (this.closing || this.workers[index] !== slot) return;
+      this.workers[index] = this.spawnWorker();
+      this.dispatch();
+    }, delay);
+  }
+
+  finishTask(slot) {
+    clearTimeout(slot.task.timer);
+    slot.task = null;
+  }
+
+  failTask(slot, error) {
+    const { task } = slot;
+    if (!task) return;
+
+    this.finishTask(slot);
+    this.stats.failed++;
+    task.reject(error);
+  }
+
+  // Run an analysis task, resolves with its result
+  // Typed array arguments are transferred to the worker and unusable afterwards
+  run(task, args) {
+    if (!TASKS[task]) {
+      return Promise.reject(new Error(`Unknown analysis task: ${task}`));
+    }
+
+    if (this.size === 0) {
+      return new Promise((resolve) => resolve(TASKS[task](...args)));
+    }
+
+    this.start();
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, args, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (slot.task || slot.dead) continue;
+
+      const task = this.queue.shift();
+      task.id = this.nextTaskId++;
+      task.timer = setTimeout(() => {
+        this.failTask(
+          slot,
+          new Error(
+            `Analysis task ${task.task} timed out after ${this.taskTimeoutMs}ms`
+          )
+        );
+        // The exit handler replaces the terminated worker
+        slot.dead = true;
+        slot.worker.terminate();
+      }, this.taskTimeoutMs);
+      slot.task = task;
+
+      const { args, transferList } = prepareTransfer(task.args);
+      slot.worker.postMessage(
+        { id: task.id, task: task.task, args },
+        transferList
+      );
+    }
+  }
+
+  // Get pool statistics
+  getStats() {
+    return {
+      workers: this.size,
+      running: this.workers.length,
+      busy: this.workers.filter((slot) => slot.task).length,
+      queued: this.queue.length,
+      taskTimeoutMs: this.taskTimeoutMs,
+      ...this.stats,
+    };
+  }
+
+  // Stop all workers; queued tasks are rejected
+  async close() {
+    this.closing = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error("Analysis pool is shutting down"));
+    }
+    await Promise.all(this.workers.map((slot) => slot.worker.terminate()));
+  }
+}
+
+// Give every pixel buffer (Uint8Array or Buffer) argument its own ArrayBuffer
+// so it can be transferred; Buffers may be views into a larger allocation
+function prepareTransfer(args) {
+  const transferList = [];
+  const prepared = args.map((arg) => {
+    if (!ArrayBuffer.isView(arg)) return arg;
+
+    const owned =
+      arg.byteOffset === 0 && arg.byteLength === arg.buffer.byteLength
+        ? new Uint8Array(arg.buffer)
+        : new Uint8Array(arg);
+    transferList.push(owned.buffer);
+    return owned;
+  });
+  return { args: prepared, transferList };
+}
+
+module.exports = new AnalysisPool();
@@ -0,0 +1,62 @@
+const sharp = require("sharp");
+const analysisPool = require("../analysisPool");
+
+// Edge and region-growing face detector
+// Wraps the pixel heuristics of FaceDetectionService behind the detector
+// interface: detect(imageBuffer) -> faces in original image coordinates
+class HeuristicDetector {
+  constructor(service) {
+    this.name = "heuristic";
+    this.service = service;
+  }
+
+  // Nothing to load for the heuristic backend
+  async initialize() {
+    return true;
+  }
+
+  // Detect faces using edge detection and pattern analysis
+  async detect(imageBuffer) {
+    const { analysisSize, edgeThresholds, regionThresholds, minFaceSize } =
+      this.service;
+
+    // Use edge detection to find potential face regions
+    const edgeBuffer = await sharp(imageBuffer)
+      .resize(analysisSize, analysisSize)
+      .greyscale()
+      .convolve({
+        width: 3,
+        height: 3,
+        kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1],
+      })
+      .raw()
+      .toBuffer();
+
+    // Analyze edge patterns for face-like structures on an analysis worker,
+    // with multiple sensitivity passes
+    const faceRegions = await analysisPool.run("detectFaceRegions", [
+      edgeBuffer,
+      analysisSize,
+      { edgeThresholds, regionThresholds, minFaceSize },
+    ]);
+
+    const metadata = await sharp(imageBuffer).metadata();
+
+    return faceRegions.map((region) => ({
+      ...this.service.mapRegionToImage(region, metadata.width, metadata.height),
+      landmarkSource: "heuristic",
+    }));
+  }
+
+  // Get backend information
+  getInfo() {
+    return {
+      backend: this.name,
+      modelPath: null,
+      description:
+        "Enhanced multi-stage face detection with feature validation",
+    };
+  }
+}
+
+module.exports = HeuristicDetector;
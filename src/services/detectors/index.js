@@ -0,0 +1,63 @@
+const path = require("path");
+const fs = require("fs");
+const HeuristicDetector = require("./heuristicDetector");
+const OnnxDetector = require("./onnxDetector");
+
+const DEFAULT_DETECTOR_MODEL_PATH = path.join(
+  __dirname,
+  "../../../models/scrfd.onnx"
+);
+
+// Create and initialize the configured face detector backend
+// FACE_DETECTOR: "auto" (default) uses the ONNX model when its file exists,
+// "onnx" requires it, "heuristic" always uses the edge-based detector.
+// Any ONNX failure falls back to the heuristic detector
+async function createDetector(service) {
+  const requested = (process.env.FACE_DETECTOR || "auto").toLowerCase();
+  const modelPath =
+    process.env.DETECTOR_MODEL_PATH || DEFAULT_DETECTOR_MODEL_PATH;
+  const heuristic = new HeuristicDetector(service);
+
+  if (!["auto", "onnx", "heuristic"].includes(requested)) {
+    console.warn(
+      `⚠️ Unknown FACE_DETECTOR "${requested}", using heuristic detector`
+    );
+    return { detector: heuristic, requested, fallback: true };
+  }
+
+  if (requested === "heuristic") {
+    return { detector: heuristic, requested, fallback: false };
+  }
+
+  if (!fs.existsSync(modelPath)) {
+    if (requested === "onnx") {
+      console.warn(
+        `⚠️ Detector model not found at: ${modelPath}, falling back to heuristic detector`
+      );
+    }
+    return { detector: heuristic, requested, fallback: requested === "onnx" };
+  }
+
+  try {
+    const detector = new OnnxDetector({
+      modelPath,
+      inputSize: parseInt(process.env.DETECTOR_INPUT_SIZE) || 640,
+      scoreThreshold: parseFloat(process.env.DETECTOR_SCORE_THRESHOLD) || 0.5,
+      nmsThreshold: parseFloat(process.env.DETECTOR_NMS_THRESHOLD) || 0.4,
+    });
+    await detector.initialize();
+    return { detector, requested, fallback: false };
+  } catch (error) {
+    console.warn(
+      "⚠️ Failed to load detector model, falling back to heuristic detector:",
+      error.message
+    );
+    return { detector: heuristic, requested, fallback: true };
+  }
+}
+
+module.exports = {
+  createDetector,
+  HeuristicDetector,
+  OnnxDetector,
+};
@@ -0,0 +1,234 @@
+const ort = require("onnxruntime-node");
+const sharp = require("sharp");
+const { LANDMARK_NAMES } = require("../../utils/alignment");
+
+// CNN face detector for RetinaFace/SCRFD-style ONNX exports
+// The model takes a letterboxed NCHW RGB image and produces, per stride,
+// anchor scores, distance-encoded boxes and (optionally) 5-point landmarks
+class OnnxDetector {
+  constructor(options = {}) {
+    this.name = "onnx";
+    this.modelPath = options.modelPath;
+    this.inputSize = options.inputSize || 640;
+    this.scoreThreshold = options.scoreThreshold || 0.5;
+    this.nmsThreshold = options.nmsThreshold || 0.4;
+    this.anchorsPerLocation = options.anchorsPerLocation || 2;
+    this.session = null;
+  }
+
+  // Load the detector model
+  async initialize() {
+    this.session = await ort.InferenceSession.create(this.modelPath, {
+      executionProviders: ["cpu"],
+      graphOptimizationLevel: "all",
+    });
+
+    console.log(`✅ Face detector model loaded from: ${this.modelPath}`);
+    return true;
+  }
+
+  // Detect faces and return scored boxes with landmarks in image coordinates
+  async detect(imageBuffer) {
+    if (!this.session) {
+      throw new Error("Detector model not initialized");
+    }
+
+    const { tensor, scale } = await this.prepareInput(imageBuffer);
+
+    const feeds = {};
+    feeds[this.session.inputNames[0]] = tensor;
+    const results = await this.session.run(feeds);
+
+    const candidates = this.decodeOutputs(
+      this.session.outputNames.map((name) => results[name])
+    );
+    const faces = nonMaximumSuppression(candidates, this.nmsThreshold);
+
+    const metadata = await sharp(imageBuffer).metadata();
+
+    // Undo the letterbox scaling and clamp to the image
+    return faces.map((face) => {
+      const x = clamp(face.x1 / scale, 0, metadata.width);
+      const y = clamp(face.y1 / scale, 0, metadata.height);
+      const right = clamp(face.x2 / scale, 0, metadata.width);
+      const bottom = clamp(face.y2 / scale, 0, metadata.height);
+
+      let landmarks = null;
+      if (face.keypoints) {
+        landmarks = {};
+        LANDMARK_NAMES.forEach((name, i) => {
+          landmarks[name] = {
+            x: parseFloat((face.keypoints[i * 2] / scale).toFixed(2)),
+            y: parseFloat((face.keypoints[i * 2 + 1] / scale).toFixed(2)),
+          };
+        });
+      }
+
+      return {
+        x: Math.round(x),
+        y: Math.round(y),
+        width: Math.round(right - x),
+        height: Math.round(bottom - y),
+        score: parseFloat(face.score.toFixed(4)),
+        landmarks,
+        landmarkSource: landmarks ? "detector" : null,
+      };
+    });
+  }
+
+  // Letterbox the image into the top-left of a square input and normalize
+  // with the usual SCRFD constants ((pixel - 127.5) / 128)
+  async prepareInput(imageBuffer) {
+    const metadata = await sharp(imageBuffer).metadata();
+    const size = this.inputSize;
+    const scale = Math.min(size / metadata.width, size / metadata.height);
+    const resizedWidth = Math.max(1, Math.round(metadata.width * scale));
+    const resizedHeight = Math.max(1, Math.round(metadata.height * scale));
+
+    const pixels = await sharp(imageBuffer)
+      .resize(resizedWidth, resizedHeight, { fit: "fill" })
+      .removeAlpha()
+      .extend({
+        top: 0,
+        left: 0,
+        right: size - resizedWidth,
+        bottom: size - resizedHeight,
+        background: { r: 0, g: 0, b: 0 },
+      })
+      .raw()
+      .toBuffer();
+
+    const planeSize = size * size;
+    const input = new Float32Array(3 * planeSize);
+    for (let i = 0; i < planeSize; i++) {
+      input[i] = (pixels[i * 3] - 127.5) / 128;
+      input[planeSize + i] = (pixels[i * 3 + 1] - 127.5) / 128;
+      input[2 * planeSize + i] = (pixels[i * 3 + 2] - 127.5) / 128;
+    }
+
+    return {
+      tensor: new ort.Tensor("float32", input, [1, 3, size, size]),
+      scale: resizedWidth / metadata.width,
+    };
+  }
+
+  // Group raw outputs by stride and kind, then decode every anchor above the
+  // score threshold. Outputs are identified by their last dimension
+  // (1 = score, 4 = box, 10 = keypoints) and their row count, so the decoder
+  // does not depend on the export's output ordering
+  decodeOutputs(outputs) {
+    const size = this.inputSize;
+    const levels = new Map();
+
+    for (const output of outputs) {
+      const columns = output.dims[output.dims.length - 1];
+      const rows = output.data.length / columns;
+      const kind =
+        columns === 1
+          ? "scores"
+          : columns === 4
+          ? "boxes"
+          : columns === 10
+          ? "keypoints"
+          : null;
+      if (!kind) continue;
+
+      const stride = Math.round(
+        Math.sqrt((size * size * this.anchorsPerLocation) / rows)
+      );
+      if (!levels.has(stride)) levels.set(stride, {});
+      levels.get(stride)[kind] = output.data;
+    }
+
+    const candidates = [];
+    for (const [stride, level] of levels) {
+      if (!level.scores || !level.boxes) continue;
+
+      const featureSize = Math.ceil(size / stride);
+      let anchor = 0;
+
+      for (let gy = 0; gy < featureSize; gy++) {
+        for (let gx = 0; gx < featureSize; gx++) {
+          const centerX = gx * stride;
+          const centerY = gy * stride;
+
+          for (let a = 0; a < this.anchorsPerLocation; a++, anchor++) {
+            const score = level.scores[anchor];
+            if (score < this.scoreThreshold) continue;
+
+            const box = anchor * 4;
+            const candidate = {
+              score,
+              x1: centerX - level.boxes[box] * stride,
+              y1: centerY - level.boxes[box + 1] * stride,
+              x2: centerX + level.boxes[box + 2] * stride,
+              y2: centerY + level.boxes[box + 3] * stride,
+              keypoints: null,
+            };
+
+            if (level.keypoints) {
+              candidate.keypoints = [];
+              for (let k = 0; k < 5; k++) {
+                const offset = anchor * 10 + k * 2;
+                candidate.keypoints.push(
+                  centerX + level.keypoints[offset] * stride,
+                  centerY + level.keypoints[offset + 1] * stride
+                );
+              }
+            }
+
+            candidates.push(candidate);
+          }
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  // Get backend information
+  getInfo() {
+    return {
+      backend: this.name,
+      modelPath: this.modelPath,
+      inputSize: this.inputSize,
+      scoreThreshold: this.scoreThreshold,
+      nmsThreshold: this.nmsThreshold,
+      description: "CNN face detector (RetinaFace/SCRFD-style ONNX model)",
+    };
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Intersection over union of two corner-format boxes
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1);
+  const height = Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const areaA = (a.x2 - a.x1) * (a.y2 - a.y1);
+  const areaB = (b.x2 - b.x1) * (b.y2 - b.y1);
+  return intersection / (areaA + areaB - intersection);
+}
+
+// Greedy NMS, keeps the highest scoring box of every overlapping cluster
+function nonMaximumSuppression(candidates, threshold) {
+  const sorted = [...candidates].sort((a, b) => b.score - a.score);
+  const kept = [];
+
+  for (const candidate of sorted) {
+    if (
+      kept.every((box) => intersectionOverUnion(box, candidate) < threshold)
+    ) {
+      kept.push(candidate);
+    }
+  }
+
+  return kept;
+}
+
+module.exports = OnnxDetector;
@@ -1,31 +1,199 @@
 const faceDetection = require("./faceDetection");
-const { generateEmbedding, isModelLoaded } = require("./modelService");
-const { storeUserEmbedding, getUserEmbedding } = require("../config/database");
-const { calculateCosineSimilarity } = require("../utils/similarity");
+const livenessService = require("./livenessService");
+const vectorIndex = require("./vectorIndex");
+const encryptionService = require("./encryptionService");
+const templateTokenService = require("./templateTokenService");
+const {
+  resolveModelName,
+  getModelConfig,
+  findModelByFingerprint,
+  generateEmbedding,
+  generateEmbeddings,
+  isModelLoaded,
+  getModelVersion,
+  getModelFingerprint,
+  matchesModelFingerprint,
+  assertModelFingerprint,
+  getDefaultModelName,
+  listModels,
+} = require("./modelService");
+const {
+  storeUserEmbedding,
+  getUserTemplates,
+  getTemplatesForUsers,
+  getModelFingerprintsForUsers,
+  getTtaModesForUsers,
+  getEmbeddingsBatch,
+} = require("../config/database");
+const {
+  calculateCosineSimilarity,
+  computeCentroid,
+  writeUnitVector,
+  scoreAgainstMatrix,
+  mergeTopK,
+} = require("../utils/similarity");
+const {
+  decodeEmbedding,
+  isEncodedEmbedding,
+} = require("../utils/embeddingCodec");
+const { flipHorizontal } = require("../utils/alignment");
+const {
+  ValidationError,
+  NotFoundError,
+  ServiceError,
+  ImageQualityError,
+  ConflictError,
+  LivenessError,
+  ServiceUnavailableError,
+} = require("../utils/errors");
 
 class EmbeddingService {
   constructor() {
     this.similarityThreshold =
       parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.6;
+    this.identifyTopK = parseInt(process.env.IDENTIFY_TOP_K) || 5;
+    this.maxIdentifyTopK = 50;
+    this.galleryBatchSize = parseInt(process.env.GALLERY_BATCH_SIZE) || 5000;
+    // How scores against several templates of one user are combined
+    this.fusionRules = ["max", "mean", "centroid"];
+    this.templateFusion = (process.env.TEMPLATE_FUSION || "max").toLowerCase();
+    if (!this.fusionRules.includes(this.templateFusion)) {
+      console.warn(
+        `⚠️ Unknown TEMPLATE_FUSION "${this.templateFusion}", using "max"`
+      );
+      this.templateFusion = "max";
+    }
+    // Burst frames needed after dropping the rejected ones
+    this.burstMinFrames = parseInt(process.env.BURST_MIN_FRAMES) || 1;
+    this.burstMaxFrames = parseInt(process.env.BURST_MAX_FRAMES) || 5;
+    // Test-time augmentation: "flip" averages the embeddings of the face and
+    // its mirror image
+    this.ttaModes = ["none", "flip"];
+    this.defaultTta = this.resolveTta(process.env.EMBEDDING_TTA || "none");
+    // Refuse client-supplied embeddings that carry no model fingerprint
+    // instead of comparing them with a warning
+    this.requireModelFingerprint =
+      process.env.MODEL_FINGERPRINT_STRICT === "true";
+  }
+
+  // Resolve a requested TTA mode ("flip"/"true" or "none"/"false")
+  // Falls back to the configured default when none is given
+  resolveTta(value) {
+    if (value === undefined || value === null || value === "") {
+      return this.defaultTta;
+    }
+
+    const mode = String(value).toLowerCase();
+    if (mode === "true") return "flip";
+    if (mode === "false") return "none";
+    if (!this.ttaModes.includes(mode)) {
+      throw new ValidationError(
+        "INVALID_REQUEST",
+        `Invalid tta: ${value}. Use one of ${this.ttaModes.join(", ")}.`
+      );
+    }
+    return mode;
+  }
+
+  // Warn when embeddings made with and without TTA are compared or combined
+  // Their scores are slightly shifted, so thresholds tuned for one mode do
+  // not transfer exactly to mixed comparisons
+  getTtaWarnings(probeTta, templateModes) {
+    const others = [...new Set(templateModes)].filter(
+      (mode) => mode && mode !== probeTta
+    );
+    if (others.length === 0) return [];
+
+    return [
+      `Test-time augmentation mismatch: embedding created with tta=${probeTta}, compared or combined with templates created with tta=${others.join(
+        ", "
+      )}. Re-enroll with a consistent tta mode for stable scores.`,
+    ];
+  }
+
+  // Pick the model for a request
+  // An explicitly requested model wins; otherwise the loaded model that
+  // produced the given stored fingerprints, falling back to the default
+  selectModel(requested, fingerprints = []) {
+    if (requested) {
+      return resolveModelName(requested);
+    }
+
+    for (const fingerprint of fingerprints) {
+      const match = findModelByFingerprint(fingerprint);
+      if (match) return match;
+    }
+    return getDefaultModelName();
+  }
+
+  // Describe a model for API responses
+  describeModel(modelName) {
+    return {
+      name: modelName,
+      version: getModelVersion(modelName),
+      fingerprint: getModelFingerprint(modelName),
+    };
   }
 
   // Generate embedding from image buffer
-  async createEmbedding(imageBuffer) {
+  // Returns the embedding together with the face region it was computed from
+  // options.model selects a registered model (default model otherwise),
+  // options.tta the test-time augmentation mode (EMBEDDING_TTA otherwise),
+  // options.profile the validation profile of the quality checks,
+  // options.requireLive rejects faces scored as spoofs before inference
+  async createEmbedding(imageBuffer, options = {}) {
     try {
+      const modelName = resolveModelName(options.model);
+      const tta = this.resolveTta(options.tta);
+
       // Check if model is loaded
-      if (!isModelLoaded()) {
-        throw new Error("AI model not loaded. Please wait for initialization.");
+      if (!isModelLoaded(modelName)) {
+        throw new ServiceUnavailableError(
+          "MODEL_NOT_LOADED",
+          `Model ${modelName} is not loaded. Please wait for initialization.`
+        );
       }
 
-      console.log("🧪 Starting embedding generation...");
-
-      // Process face image (detection + preprocessing)
-      const processedImageData = await faceDetection.processFaceImage(
-        imageBuffer
-      );
+      console.log(`🧪 Starting embedding generation with ${modelName}...`);
+
+      // Process face image (detection + preprocessing at the model input size)
+      const { inputSize } = getModelConfig(modelName);
+      const {
+        imageData,
+        faceBox,
+        cropBox,
+        landmarks,
+        alignment,
+        liveness,
+        quality,
+      } = await faceDetection.processFaceImage(imageBuffer, {
+        targetSize: inputSize,
+        profile: options.profile,
+      });
+
+      if (options.requireLive && liveness && liveness.decision === "spoof") {
+        throw new LivenessError(
+          "LIVENESS_CHECK_FAILED",
+          `Liveness check failed: score ${liveness.score} is below the threshold ${liveness.threshold}. Use a live capture, not a photo or screen.`,
+          {
+            score: liveness.score,
+            threshold: liveness.threshold,
+            method: liveness.method,
+          }
+        );
+      }
 
-      // Generate embedding using AI model
-      const embedding = await generateEmbedding(processedImageData);
+      // Generate embedding using AI model; with flip TTA the face and its
+      // mirror image run as one batch and their embeddings are averaged
+      const embedding =
+        tta === "flip"
+          ? computeCentroid(
+              await generateEmbeddings(
+                [imageData, flipHorizontal(imageData, inputSize, inputSize, 3)],
+                modelName
+              )
+            )
+          : await generateEmbedding(imageData, modelName);
 
       // Validate embedding
       if (!embedding || embedding.length === 0) {
@@ -33,30 +201,176 @@ class EmbeddingService {
       }
 
       console.log(`✅ Successfully generated ${embedding.length}D embedding`);
-      return embedding;
+      return {
+        embedding,
+        face: { box: faceBox, cropBox, landmarks, alignment },
+        quality,
+        liveness,
+        model: this.describeModel(modelName),
+        tta,
+      };
     } catch (error) {
       console.error("❌ Embedding generation failed:", error);
       throw error;
     }
   }
 
+  // Generate one embedding from a burst of images of the same face
+  // Every frame runs through createEmbedding with the same options; frames
+  // rejected for their content (quality, detection, liveness) are dropped
+  // and the rest are fused into a quality-weighted centroid. Returns the
+  // createEmbedding result of the best frame with the fused embedding and a
+  // per-frame report under `burst`
+  async createBurstEmbedding(imageBuffers, options = {}) {
+    // Settings errors concern every frame alike, so fail before processing
+    const modelName = resolveModelName(options.model);
+    const tta = this.resolveTta(options.tta);
+    const profile = faceDetection.resolveProfile(options.profile).name;
+    if (!isModelLoaded(modelName)) {
+      throw new ServiceUnavailableError(
+        "MODEL_NOT_LOADED",
+        `Model ${modelName} is not loaded. Please wait for initialization.`
+      );
+    }
+
+    console.log(`🎞️ Processing burst of ${imageBuffers.length} frames...`);
+    const settled = await Promise.allSettled(
+      imageBuffers.map((buffer) =>
+        this.createEmbedding(buffer, {
+          ...options,
+          model: modelName,
+          tta,
+          profile,
+        })
+      )
+    );
+
+    const frames = [];
+    const used = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === "rejected") {
+        const error = outcome.reason;
+        if (!(error instanceof ServiceError) || error.status >= 500) {
+          throw error;
+        }
+        frames.push({
+          index,
+          used: false,
+          code: error.code,
+          error: error.message,
+        });
+        return;
+      }
+
+      const weight = this.getFrameWeight(outcome.value.quality);
+      frames.push({
+        index,
+        used: true,
+        weight: parseFloat(weight.toFixed(4)),
+        quality: outcome.value.quality,
+        liveness: outcome.value.liveness
+          ? {
+              score: outcome.value.liveness.score,
+              decision: outcome.value.liveness.decision,
+            }
+          : null,
+      });
+      used.push({ ...outcome.value, weight, index });
+    });
+
+    if (used.length < this.burstMinFrames) {
+      throw new ImageQualityError(
+        "NO_USABLE_FRAMES",
+        `Only ${used.length} of ${imageBuffers.length} frames passed the checks, at least ${this.burstMinFrames} needed`,
+        { frames }
+      );
+    }
+
+    const embedding = computeCentroid(
+      used.map((frame) => frame.embedding),
+      used.map((frame) => frame.weight)
+    );
+    const best = used.reduce((a, b) => (b.weight > a.weight ? b : a));
+
+    console.log(
+      `✅ Fused ${used.length}/${imageBuffers.length} frames (best frame ${best.index})`
+    );
+    return {
+      embedding,
+      face: best.face,
+      quality: { ...best.quality, burstFrames: used.length },
+      liveness: best.liveness,
+      model: best.model,
+      tta: best.tta,
+      burst: {
+        fusion: "quality-weighted",
+        total: imageBuffers.length,
+        used: used.length,
+        bestFrame: best.index,
+        frames,
+      },
+    };
+  }
+
+  // Fusion weight of a burst frame from its quality metrics
+  // Sharpness (blur variance up to twice the profile threshold), exposure
+  // (distance of mean brightness from mid-grey) and detector confidence
+  getFrameWeight(quality) {
+    const { blurThreshold } = faceDetection.resolveProfile(
+      quality.profile
+    ).thresholds;
+    const sharpness = Math.min(1, quality.blurVariance / (2 * blurThreshold));
+    const exposure = 1 - Math.abs(quality.brightness - 127.5) / 255;
+    const detection =
+      typeof quality.faceScore === "number" ? quality.faceScore : 1;
+    return Math.max(0.01, sharpness * exposure * detection);
+  }
+
+  // Probe embedding for matching: a precomputed probe (passed liveness
+  // session), the fusion of a burst of images, or a single image
+  async createProbe(imageInput, options = {}) {
+    if (options.probe) {
+      return {
+        ...options.probe,
+        model: this.describeModel(options.probe.model),
+      };
+    }
+    if (Array.isArray(imageInput)) {
+      return this.createBurstEmbedding(imageInput, options);
+    }
+    return this.createEmbedding(imageInput, options);
+  }
+
   // Register user with embedding
-  async registerUser(userId, imageBuffer) {
+  async registerUser(userId, imageBuffer, options = {}) {
     try {
       console.log(`📝 Registering user: ${userId}`);
 
       // Generate embedding
-      const embedding = await this.createEmbedding(imageBuffer);
+      const { embedding, face, quality, liveness, model, tta } =
+        await this.createEmbedding(imageBuffer, options);
 
-      // Store in database
-      const result = await storeUserEmbedding(userId, embedding);
+      // Store in database as a new template
+      const result = await storeUserEmbedding(userId, embedding, {
+        source: "register",
+        quality,
+        modelFingerprint: model.fingerprint,
+        tta,
+      });
 
       console.log(`✅ User ${userId} registered successfully`);
       return {
         success: true,
         userId: result.user_id,
         embedding: embedding,
+        face: face,
+        liveness,
+        model,
+        tta,
+        templateId: result.template.id,
+        templateCount: result.template_count,
         timestamp: result.updated_at,
+        warnings: this.getTtaWarnings(tta, result.tta_modes),
       };
     } catch (error) {
       console.error(`❌ User registration failed for ${userId}:`, error);
@@ -64,31 +378,165 @@ class EmbeddingService {
     }
   }
 
-  // Verify user against stored embedding
-  async verifyUser(userId, imageBuffer) {
+  // Add an enrollment template to an existing user
+  // Without options.model the model of the existing templates is used
+  async addTemplate(userId, imageBuffer, source = "api", options = {}) {
+    try {
+      console.log(`➕ Adding template for user: ${userId}`);
+
+      const existing = await getUserTemplates(userId);
+      if (!existing) {
+        throw new NotFoundError(
+          "USER_NOT_FOUND",
+          `User ${userId} not found in database`
+        );
+      }
+
+      const modelName = this.selectModel(
+        options.model,
+        existing.templates.map((template) => template.modelFingerprint)
+      );
+      const { embedding, face, quality, liveness, model, tta } =
+        await this.createEmbedding(imageBuffer, {
+          model: modelName,
+          tta: options.tta,
+          profile: options.profile,
+        });
+      const result = await storeUserEmbedding(userId, embedding, {
+        source,
+        quality,
+        modelFingerprint: model.fingerprint,
+        tta,
+      });
+
+      console.log(
+        `✅ Template ${result.template.id} added for ${userId} (${result.template_count} total)`
+      );
+      return {
+        success: true,
+        userId,
+        template: {
+          id: result.template.id,
+          source: result.template.source,
+          quality: result.template.quality,
+          tta: result.template.tta || "none",
+          capturedAt: result.template.captured_at,
+        },
+        templateCount: result.template_count,
+        model,
+        face,
+        liveness,
+        warnings: this.getTtaWarnings(tta, result.tta_modes),
+      };
+    } catch (error) {
+      console.error(`❌ Adding template failed for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Score a probe against several templates of one user with a fusion rule
+  // max: best single template, mean: average score,
+  // centroid: score against the normalized mean of all templates
+  fuseTemplateScores(probe, templates, rule = this.templateFusion) {
+    const scores = templates.map((template) => ({
+      templateId: template.id,
+      similarity: calculateCosineSimilarity(template.embedding, probe),
+    }));
+
+    let similarity;
+    switch (rule) {
+      case "mean":
+        similarity =
+          scores.reduce((sum, score) => sum + score.similarity, 0) /
+          scores.length;
+        break;
+      case "centroid":
+        similarity = calculateCosineSimilarity(
+          computeCentroid(templates.map((template) => template.embedding)),
+          probe
+        );
+        break;
+      default:
+        similarity = Math.max(...scores.map((score) => score.similarity));
+    }
+
+    return { similarity, scores };
+  }
+
+  // Verify user against all stored templates
+  // Without options.model the model that enrolled the templates is used;
+  // faces failing the liveness check are rejected. imageBuffer may be an
+  // array of burst frames (see createBurstEmbedding). options.probe replaces
+  // the image with the probe of a passed liveness session, whose model must
+  // be passed as options.model
+  async verifyUser(userId, imageBuffer, options = {}) {
     try {
       console.log(`🔍 Verifying user: ${userId}`);
 
-      // Get stored embedding
-      const storedEmbedding = await getUserEmbedding(userId);
-      if (!storedEmbedding) {
-        throw new Error(`User ${userId} not found in database`);
+      // Get stored templates
+      const user = await getUserTemplates(userId);
+      if (!user) {
+        throw new NotFoundError(
+          "USER_NOT_FOUND",
+          `User ${userId} not found in database`
+        );
+      }
+      if (user.templates.length === 0) {
+        throw new ConflictError(
+          "NO_TEMPLATES",
+          `User ${userId} has no enrolled templates`
+        );
+      }
+      const modelName = this.selectModel(
+        options.model,
+        user.templates.map((template) => template.modelFingerprint)
+      );
+      for (const template of user.templates) {
+        assertModelFingerprint(
+          template.modelFingerprint,
+          `template ${template.id} of user ${userId}`,
+          modelName
+        );
       }
 
-      // Generate new embedding from verification image
-      const newEmbedding = await this.createEmbedding(imageBuffer);
+      // Generate new embedding from the verification image(s), or use the
+      // probe of a passed liveness session (already checked for liveness)
+      const {
+        embedding: newEmbedding,
+        face,
+        liveness,
+        model,
+        tta,
+        burst,
+      } = await this.createProbe(imageBuffer, {
+        model: modelName,
+        tta: options.tta,
+        profile: options.profile,
+        requireLive: true,
+        probe: options.probe,
+      });
+
+      const mismatched = user.templates.find(
+        (template) => template.embedding.length !== newEmbedding.length
+      );
+      if (mismatched) {
+        throw new ValidationError(
+          "EMBEDDING_DIM_MISMATCH",
+          `Embedding dimension mismatch. New: ${newEmbedding.length}, Stored: ${mismatched.embedding.length}`
+        );
+      }
 
-      // Calculate similarity
-      const similarity = calculateCosineSimilarity(
-        storedEmbedding,
-        newEmbedding
+      // Calculate fused similarity over all templates
+      const { similarity, scores } = this.fuseTemplateScores(
+        newEmbedding,
+        user.templates
       );
       const isMatch = similarity >= this.similarityThreshold;
 
       console.log(
-        `📊 Similarity: ${similarity.toFixed(4)}, Threshold: ${
-          this.similarityThreshold
-        }, Match: ${isMatch}`
+        `📊 Similarity: ${similarity.toFixed(4)} (${this.templateFusion} of ${
+          user.templates.length
+        } templates), Threshold: ${this.similarityThreshold}, Match: ${isMatch}`
       );
 
       return {
@@ -97,6 +545,26 @@ class EmbeddingService {
         similarity: parseFloat(similarity.toFixed(4)),
         threshold: this.similarityThreshold,
         userId: userId,
+        model,
+        tta,
+        templates: {
+          count: user.templates.length,
+          fusion: this.templateFusion,
+          dimensions: newEmbedding.length,
+          scores: scores.map((score) => ({
+            templateId: score.templateId,
+            similarity: parseFloat(score.similarity.toFixed(4)),
+          })),
+          createdAt: user.createdAt,
+          updatedAt: user.updatedAt,
+        },
+        face: face,
+        liveness,
+        ...(burst ? { burst } : {}),
+        warnings: this.getTtaWarnings(
+          tta,
+          user.templates.map((template) => template.tta)
+        ),
       };
     } catch (error) {
       console.error(`❌ User verification failed for ${userId}:`, error);
@@ -104,27 +572,273 @@ class EmbeddingService {
     }
   }
 
+  // Identify a face against every enrolled template (1:N search)
+  // options.model selects the model (default model otherwise)
+  async identifyUser(imageBuffer, topK = this.identifyTopK, options = {}) {
+    try {
+      console.log("🔎 Identifying face against enrolled gallery...");
+
+      const k = Math.min(Math.max(1, topK), this.maxIdentifyTopK);
+
+      // Generate probe embedding and normalize it once
+      const { embedding, face, liveness, model, tta } =
+        await this.createEmbedding(imageBuffer, options);
+      const dimension = embedding.length;
+      const probe = new Float32Array(dimension);
+      writeUnitVector(embedding, probe);
+
+      // Centroid scores shortlist the candidates; other fusion rules re-rank
+      // a wider shortlist against the individual templates
+      const rerank = this.templateFusion !== "centroid";
+      const shortlistSize = rerank
+        ? Math.min(Math.max(k * 4, 20), this.maxIdentifyTopK * 4)
+        : k;
+
+      // Search the in-memory index, or scan Postgres while it is unavailable
+      // Only users enrolled with the probe's model (or before fingerprints
+      // existed) are ranked
+      const startTime = Date.now();
+      let topCandidates;
+      let gallerySize;
+      let search;
+
+      if (
+        vectorIndex.ready &&
+        (vectorIndex.count === 0 || vectorIndex.dimension === dimension)
+      ) {
+        const { results, mode, scanned } = vectorIndex.search(
+          probe,
+          shortlistSize,
+          { modelFingerprint: model.fingerprint }
+        );
+        topCandidates = results.map(({ userId, score }) => ({
+          score,
+          item: userId,
+        }));
+        gallerySize = vectorIndex.count;
+        search = { method: "index", mode, scanned };
+      } else {
+        ({ topCandidates, gallerySize } = await this.scanGallery(
+          probe,
+          shortlistSize,
+          model.name
+        ));
+        search = { method: "scan", mode: "exact", scanned: gallerySize };
+      }
+
+      topCandidates = await this.filterCandidateModels(
+        topCandidates,
+        model.name
+      );
+
+      if (rerank && topCandidates.length > 0) {
+        topCandidates = await this.rerankCandidates(embedding, topCandidates);
+      }
+      topCandidates = topCandidates.slice(0, k);
+      search.fusion = this.templateFusion;
+
+      const searchTimeMs = Date.now() - startTime;
+
+      const candidates = topCandidates.map(({ score, item }, index) => ({
+        rank: index + 1,
+        userId: item,
+        similarity: parseFloat(score.toFixed(4)),
+        isMatch: score >= this.similarityThreshold,
+      }));
+
+      // Open-set decision: only the best candidate above threshold is returned
+      const best = candidates[0];
+      const identified = Boolean(best && best.isMatch);
+
+      // Candidates whose templates were made with another augmentation mode
+      const ttaModesByUser =
+        candidates.length > 0
+          ? await getTtaModesForUsers(
+              candidates.map((candidate) => candidate.userId)
+            )
+          : new Map();
+      const warnings = this.getTtaWarnings(
+        tta,
+        [...ttaModesByUser.values()].flat()
+      );
+
+      console.log(
+        `📊 Searched ${gallerySize} templates in ${searchTimeMs}ms, best: ${
+          best ? `${best.userId} (${best.similarity})` : "none"
+        }, identified: ${identified}`
+      );
+
+      return {
+        success: true,
+        identified,
+        match: identified
+          ? { userId: best.userId, similarity: best.similarity }
+          : null,
+        candidates,
+        threshold: this.similarityThreshold,
+        topK: k,
+        gallerySize,
+        searchTimeMs,
+        search,
+        model,
+        tta,
+        face,
+        liveness,
+        warnings,
+      };
+    } catch (error) {
+      console.error("❌ Face identification failed:", error);
+      throw error;
+    }
+  }
+
+  // Drop shortlisted users with templates from another model
+  // The index already skips them; this also covers users re-enrolled since
+  // the index last saw them
+  async filterCandidateModels(candidates, modelName) {
+    if (candidates.length === 0) return candidates;
+
+    const fingerprintsByUser = await getModelFingerprintsForUsers(
+      candidates.map((candidate) => candidate.item)
+    );
+    return candidates.filter(({ item }) =>
+      (fingerprintsByUser.get(item) || []).every((fingerprint) =>
+        matchesModelFingerprint(fingerprint, modelName)
+      )
+    );
+  }
+
+  // Re-score shortlisted users against all their templates with the fusion rule
+  async rerankCandidates(probe, candidates) {
+    const templatesByUser = await getTemplatesForUsers(
+      candidates.map((candidate) => candidate.item)
+    );
+
+    return candidates
+      .map((candidate) => {
+        const templates = (templatesByUser.get(candidate.item) || []).filter(
+          (template) => template.embedding.length === probe.length
+        );
+        if (templates.length === 0) return candidate;
+
+        const { similarity } = this.fuseTemplateScores(probe, templates);
+        return { score: similarity, item: candidate.item };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Score a unit probe against the users table without the index
+  // Streams the gallery in batches, each packed into a contiguous matrix;
+  // users enrolled with a model other than modelName are skipped
+  async scanGallery(probe, k, modelName) {
+    const dimension = probe.length;
+    let topCandidates = [];
+    let gallerySize = 0;
+    let skipped = 0;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await getEmbeddingsBatch(lastId, this.galleryBatchSize);
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+
+      const matrix = new Float32Array(rows.length * dimension);
+      const userIds = [];
+      for (const row of rows) {
+        if (!matchesModelFingerprint(row.model_fingerprint, modelName)) {
+          continue;
+        }
+        if (
+          !row.embedding ||
+          row.embedding.length !== dimension ||
+          !writeUnitVector(row.embedding, matrix, userIds.length * dimension)
+        ) {
+          skipped++;
+          continue;
+        }
+        userIds.push(row.user_id);
+      }
+
+      const scores = scoreAgainstMatrix(
+        probe,
+        matrix,
+        dimension,
+        userIds.length
+      );
+      topCandidates = mergeTopK(
+        topCandidates,
+        scores,
+        k,
+        (index) => userIds[index]
+      );
+      gallerySize += userIds.length;
+    }
+
+    if (skipped > 0) {
+      console.warn(
+        `⚠️ Skipped ${skipped} gallery templates with mismatched or empty embeddings`
+      );
+    }
+
+    return { topCandidates, gallerySize };
+  }
+
   // Compare two embeddings directly
-  async compareEmbeddings(imageBuffer, storedEmbeddingArray) {
+  // options.modelFingerprint identifies the model of the stored embedding,
+  // options.model selects the model (matched by fingerprint otherwise),
+  // options.templateTta is the TTA mode the stored embedding was created with;
+  // faces failing the liveness check are rejected. imageBuffer may be an array
+  // of burst frames (see createBurstEmbedding)
+  async compareEmbeddings(imageBuffer, storedEmbeddingArray, options = {}) {
     try {
       console.log("🔍 Comparing embeddings directly...");
 
+      const modelName = this.selectModel(options.model, [
+        options.modelFingerprint,
+      ]);
+      // Without a fingerprint the cross-model check cannot run
+      if (!options.modelFingerprint && this.requireModelFingerprint) {
+        throw new ValidationError(
+          "MODEL_FINGERPRINT_REQUIRED",
+          "Stored embedding has no model fingerprint. Send a compact encoding or template token from /api/encode, or pass modelFingerprint."
+        );
+      }
+      assertModelFingerprint(
+        options.modelFingerprint,
+        "Stored embedding",
+        modelName
+      );
+
       // Validate stored embedding
       if (
         !Array.isArray(storedEmbeddingArray) ||
         storedEmbeddingArray.length === 0
       ) {
-        throw new Error(
+        throw new ValidationError(
+          "INVALID_EMBEDDING",
           "Invalid stored embedding format. Expected non-empty array."
         );
       }
 
       // Generate new embedding from image
-      const newEmbedding = await this.createEmbedding(imageBuffer);
+      const {
+        embedding: newEmbedding,
+        face,
+        liveness,
+        model,
+        tta,
+        burst,
+      } = await this.createProbe(imageBuffer, {
+        model: modelName,
+        tta: options.tta,
+        profile: options.profile,
+        requireLive: true,
+      });
 
       // Validate embedding dimensions match
       if (newEmbedding.length !== storedEmbeddingArray.length) {
-        throw new Error(
+        throw new ValidationError(
+          "EMBEDDING_DIM_MISMATCH",
           `Embedding dimension mismatch. New: ${newEmbedding.length}, Stored: ${storedEmbeddingArray.length}`
         );
       }
@@ -147,6 +861,22 @@ class EmbeddingService {
         isMatch: isMatch,
         similarity: parseFloat(similarity.toFixed(4)),
         threshold: this.similarityThreshold,
+        newEmbeddingLength: newEmbedding.length,
+        model,
+        tta,
+        face: face,
+        liveness,
+        ...(burst ? { burst } : {}),
+        warnings: [
+          ...(options.modelFingerprint
+            ? []
+            : [
+                `Stored embedding has no model fingerprint, so it could not be checked against model ${model.name}. Scores against embeddings from another model are meaningless.`,
+              ]),
+          ...(options.templateTta
+            ? this.getTtaWarnings(tta, [options.templateTta])
+            : []),
+        ],
       };
     } catch (error) {
       console.error("❌ Embedding comparison failed:", error);
@@ -155,12 +885,15 @@ class EmbeddingService {
   }
 
   // Parse stored embedding from string format
+  // Accepts a JSON array or a compact base64 encoding (see embeddingCodec)
   parseStoredEmbedding(embeddingString) {
     try {
       // Handle different input formats
       let embedding;
 
-      if (typeof embeddingString === "string") {
+      if (isEncodedEmbedding(embeddingString)) {
+        embedding = decodeEmbedding(embeddingString).embedding;
+      } else if (typeof embeddingString === "string") {
         // Try to parse as JSON
         embedding = JSON.parse(embeddingString);
       } else if (Array.isArray(embeddingString)) {
@@ -194,7 +927,10 @@ class EmbeddingService {
       return embedding;
     } catch (error) {
       console.error("❌ Failed to parse stored embedding:", error);
-      throw new Error(`Invalid embedding format: ${error.message}`);
+      throw new ValidationError(
+        "INVALID_EMBEDDING",
+        `Invalid embedding format: ${error.message}`
+      );
     }
   }
 
@@ -206,13 +942,20 @@ class EmbeddingService {
       service: "Face Verification Microservice",
       version: "1.0.0",
       model: {
-        name: "ArcFace ONNX",
-        embeddingDimensions: "512D",
-        targetImageSize: detectionInfo.targetSize,
+        default: getDefaultModelName(),
         modelLoaded: isModelLoaded(),
+        fingerprint: getModelFingerprint(),
       },
+      models: listModels(),
       validation: {
         similarityThreshold: this.similarityThreshold,
+        templateFusion: this.templateFusion,
+        tta: this.defaultTta,
+        burst: {
+          minFrames: this.burstMinFrames,
+          maxFrames: this.burstMaxFrames,
+          fusion: "quality-weighted",
+        },
         supportedFormats: detectionInfo.supportedFormats,
         imageRequirements: {
           minResolution: detectionInfo.minResolution,
@@ -222,7 +965,14 @@ class EmbeddingService {
           maxFaces: detectionInfo.maxFaces,
         },
         qualityChecks: detectionInfo.validations,
+        detector: detectionInfo.detector,
+        validationProfile: detectionInfo.validationProfile,
+        liveness: detectionInfo.liveness,
+        analysisWorkers: detectionInfo.analysisWorkers,
       },
+      index: vectorIndex.getStats(),
+      encryption: encryptionService.getInfo(),
+      templateTokens: templateTokenService.getInfo(),
       features: [
         "Face detection and validation",
         "Blur/sharpness detection",
@@ -230,6 +980,16 @@ class EmbeddingService {
         "Multiple face detection",
         "Image quality validation",
         "Face size and position validation",
+        "Five-point landmark alignment",
+        "1:N identification with in-memory vector index",
+        "Envelope encryption of stored embeddings",
+        "Signed template tokens",
+        "Compact embedding encodings (float32, float16, int8)",
+        "Multiple recognition models with per-request selection",
+        "Pixel analysis on a worker thread pool",
+        "Flip test-time augmentation",
+        "Passive liveness detection (texture/frequency cues or ONNX model)",
+        "Multi-frame bursts with quality-weighted embedding fusion",
       ],
     };
   }
@@ -237,7 +997,10 @@ class EmbeddingService {
   // Update similarity threshold
   setSimilarityThreshold(threshold) {
     if (typeof threshold !== "number" || threshold < 0 || threshold > 1) {
-      throw new Error("Similarity threshold must be a number between 0 and 1");
+      throw new ValidationError(
+        "INVALID_REQUEST",
+        "Similarity threshold must be a number between 0 and 1"
+      );
     }
 
     this.similarityThreshold = threshold;
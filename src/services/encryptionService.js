@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Embedding envelope format written by encryptEmbedding
+// Version 2 binds the ciphertext to the internal ID of the user it belongs
+// to, so a ciphertext copied onto another user's row fails authentication.
+// Version 1 rows (NULL cipher_version) only carry the purpose string and are
+// upgraded by `npm run keys:rotate`
+const CIPHER_VERSION = 2;
+
+// Envelope encryption for stored face embeddings
+// Every embedding is encrypted with AES-256-GCM under its own random data key.
+// The data key is wrapped (AES-256-GCM) by a versioned master key, and the
+// master key version is stored next to the row so old rows stay readable
+// while keys are rotated.
+//
+// Master keys come from MASTER_KEY_FILE (a JSON keyring or a single base64
+// key) or from MASTER_KEY / MASTER_KEY_VERSION, with retired keys listed in
+// MASTER_KEYS_RETIRED ("version:base64key,..."). Encryption is disabled when
+// no master key is configured.
+class EncryptionService {
+  constructor() {
+    this.keys = new Map();
+    this.currentVersion = null;
+    this.keySource = null;
+    this.cipherVersion = CIPHER_VERSION;
+    this.loadKeys();
+  }
+
+  // Load the master keyring from the keyfile or environment
+  loadKeys() {
+    this.keys = new Map();
+    this.currentVersion = null;
+    this.keySource = null;
+
+    if (process.env.MASTER_KEY_FILE) {
+      const content = fs.readFileSync(process.env.MASTER_KEY_FILE, "utf8");
+      this.loadKeyring(content.trim());
+      this.keySource = "file";
+    } else if (process.env.MASTER_KEY) {
+      const version = parseInt(process.env.MASTER_KEY_VERSION) || 1;
+      this.addKey(version, process.env.MASTER_KEY);
+      this.currentVersion = version;
+
+      if (process.env.MASTER_KEYS_RETIRED) {
+        for (const entry of process.env.MASTER_KEYS_RETIRED.split(",")) {
+          const [retiredVersion, key] = entry.trim().split(":");
+          this.addKey(parseInt(retiredVersion), key);
+        }
+      }
+      this.keySource = "env";
+    }
+  }
+
+  // Keyfiles hold either one base64 key or
+  // { "currentVersion": 2, "keys": { "1": "<base64>", "2": "<base64>" } }
+  loadKeyring(content) {
+    if (!content.startsWith("{")) {
+      const version = parseInt(process.env.MASTER_KEY_VERSION) || 1;
+      this.addKey(version, content);
+      this.currentVersion = version;
+      return;
+    }
+
+    const keyring = JSON.parse(content);
+    for (const [version, key] of Object.entries(keyring.keys || {})) {
+      this.addKey(parseInt(version), key);
+    }
+
+    this.currentVersion = parseInt(keyring.currentVersion);
+    if (!this.keys.has(this.currentVersion)) {
+      throw new Error(
+        `Master keyring has no key for current version ${keyring.currentVersion}`
+      );
+    }
+  }
+
+  addKey(version, base64Key) {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid master key version: ${version}`);
+    }
+
+    const key = Buffer.from(base64Key || "", "base64");
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(
+        `Master key version ${version} must be ${KEY_LENGTH} bytes (base64 encoded), got ${key.length}`
+      );
+    }
+    this.keys.set(version, key);
+  }
+
+  isEnabled() {
+    return this.currentVersion !== null;
+  }
+
+  getMasterKey(version) {
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(
+        `Master key version ${version} is not loaded. Add it to the keyring to read these embeddings.`
+      );
+    }
+    return key;
+  }
+
+  // Encrypt an embedding belonging to the user with internal ID owner
+  encryptEmbedding(embedding, owner) {
+    if (owner === undefined || owner === null) {
+      throw new Error("Encrypted embeddings must be bound to a user");
+    }
+
+    return {
+      ...this.encryptData(
+        serializeEmbedding(embedding),
+        embeddingAad(owner, CIPHER_VERSION)
+      ),
+      cipherVersion: CIPHER_VERSION,
+    };
+  }
+
+  // Decrypt an embedding stored by encryptEmbedding for the same owner
+  decryptEmbedding(ciphertext, wrappedKey, keyVersion, owner, cipherVersion) {
+    return deserializeEmbedding(
+      this.decryptData(
+        ciphertext,
+        wrappedKey,
+        keyVersion,
+        embeddingAad(owner, cipherVersion)
+      )
+    );
+  }
+
+  // Encrypt arbitrary data under a fresh data key wrapped by the current
+  // master key; aad binds the ciphertext to its purpose
+  encryptData(plaintext, aad) {
+    if (!this.isEnabled()) {
+      throw new Error("Encryption is not configured");
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    return {
+      ciphertext: seal(dataKey, plaintext, Buffer.from(aad)),
+      wrappedKey: this.wrapKey(dataKey, this.currentVersion),
+      keyVersion: this.currentVersion,
+    };
+  }
+
+  // Decrypt data stored by encryptData with the same associated data
+  decryptData(ciphertext, wrappedKey, keyVersion, aad) {
+    const dataKey = this.unwrapKey(wrappedKey, keyVersion);
+    return open(dataKey, ciphertext, Buffer.from(aad));
+  }
+
+  // Re-wrap an existing data key under the current master key
+  // The embedding ciphertext itself is left untouched
+  rewrapKey(wrappedKey, keyVersion) {
+    const dataKey = this.unwrapKey(wrappedKey, keyVersion);
+    return {
+      wrappedKey: this.wrapKey(dataKey, this.currentVersion),
+      keyVersion: this.currentVersion,
+    };
+  }
+
+  wrapKey(dataKey, version) {
+    return seal(this.getMasterKey(version), dataKey, keyAad(version));
+  }
+
+  unwrapKey(wrappedKey, version) {
+    return open(this.getMasterKey(version), wrappedKey, keyAad(version));
+  }
+
+  // Generate a new random master key (base64)
+  generateMasterKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString("base64");
+  }
+
+  // Get encryption information (never includes key material)
+  getInfo() {
+    return {
+      enabled: this.isEnabled(),
+      algorithm: ALGORITHM,
+      cipherVersion: this.cipherVersion,
+      keySource: this.keySource,
+      currentKeyVersion: this.currentVersion,
+      loadedKeyVersions: [...this.keys.keys()].sort((a, b) => a - b),
+    };
+  }
+}
+
+// Version 1 ciphertexts predate the owner binding
+function embeddingAad(owner, cipherVersion) {
+  return cipherVersion >= 2 ? `face-embedding:user:${owner}` : "face-embedding";
+}
+
+// Wrapped keys are bound to the master key version they were wrapped with
+function keyAad(version) {
+  return Buffer.from(`data-key:v${version}`);
+}
+
+// AES-256-GCM, output layout: iv (12) | auth tag (16) | ciphertext
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed, aad) {
+  if (!sealed || sealed.length < IV_LENGTH + TAG_LENGTH) {
+    throw new Error("Encrypted value is truncated");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    sealed.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+// Embeddings are stored as little-endian float64 to match FLOAT8[] precision
+function serializeEmbedding(embedding) {
+  const buffer = Buffer.alloc(embedding.length * 8);
+  embedding.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+  return buffer;
+}
+
+function deserializeEmbedding(buffer) {
+  const embedding = new Array(buffer.length / 8);
+  for (let i = 0; i < embedding.length; i++) {
+    embedding[i] = buffer.readDoubleLE(i * 8);
+  }
+  return embedding;
+}
+
+module.exports = new EncryptionService();
@@ -1,20 +1,104 @@
 const sharp = require("sharp");
+const analysisPool = require("./analysisPool");
+const landmarkService = require("./landmarkService");
+const livenessService = require("./livenessService");
+const { createDetector, HeuristicDetector } = require("./detectors");
+const {
+  landmarksToPoints,
+  estimateSimilarityTransform,
+  warpAffine,
+  getReferencePoints,
+} = require("../utils/alignment");
+const { loadValidationProfiles } = require("../config/validationProfiles");
+const {
+  ServiceError,
+  ValidationError,
+  ImageQualityError,
+  FaceDetectionError,
+} = require("../utils/errors");
 
 // Enhanced face detection with comprehensive validation
 // Includes blur detection, face size validation, and multiple face handling
 class FaceDetectionService {
   constructor() {
-    this.targetSize = 112; // ArcFace expects 112x112 input
+    this.targetSize = 112; // Set to the default model input size at startup
     this.minFaceSize = 0.1; // Minimum face size as percentage of image (reduced from 0.15)
     this.maxFaces = 1; // Maximum allowed faces
-    this.blurThreshold = 100; // Laplacian variance threshold for blur
+    // Quality thresholds by named validation profile (strict, default,
+    // lenient, ...); requests may select a profile, defaultProfile otherwise
+    const { defaultProfile, profiles, overrides, configPath } =
+      loadValidationProfiles();
+    this.validationProfiles = profiles;
+    this.defaultProfile = defaultProfile;
+    this.profileOverrides = overrides;
+    this.profilesConfigPath = configPath;
+    this.supportedFormats = ["jpeg", "jpg", "png", "webp"];
+    this.analysisSize = 400; // Square working size used by the edge detector
+    // Padding added around the detected face box, as a fraction of its size
+    // (0 to 1); anything else would make every crop box invalid
+    this.cropMargin = 0.2;
+    if (process.env.FACE_CROP_MARGIN) {
+      const cropMargin = Number(process.env.FACE_CROP_MARGIN);
+      if (Number.isFinite(cropMargin) && cropMargin >= 0 && cropMargin <= 1) {
+        this.cropMargin = cropMargin;
+      } else {
+        console.warn(
+          `⚠️ Invalid FACE_CROP_MARGIN "${process.env.FACE_CROP_MARGIN}", expected a number from 0 to 1. Using ${this.cropMargin}.`
+        );
+      }
+    }
+    // Landmark-based alignment to the ArcFace template before inference
+    this.alignmentEnabled = process.env.FACE_ALIGNMENT !== "false";
+    // Maximum RMS landmark error (in output pixels) to accept an alignment
+    this.alignmentMaxResidual =
+      parseFloat(process.env.ALIGNMENT_MAX_RESIDUAL) || 8;
     // Face detection sensitivity settings
     this.edgeThresholds = [40, 30, 20]; // Multiple thresholds for detection passes
     this.regionThresholds = [25, 20, 15]; // Corresponding region growing thresholds
+    // Heuristic detector until initializeDetector() picks the configured one
+    this.detector = new HeuristicDetector(this);
+    this.detectorRequested = "heuristic";
+    this.detectorFallback = false;
+  }
+
+  // Select and load the configured detector backend
+  async initializeDetector() {
+    const { detector, requested, fallback } = await createDetector(this);
+    this.detector = detector;
+    this.detectorRequested = requested;
+    this.detectorFallback = fallback;
+    console.log(`✅ Face detector backend: ${detector.name}`);
+    return detector;
+  }
+
+  // Resolve a validation profile name to its thresholds
+  // Without a name the configured default profile is used
+  resolveProfile(name) {
+    const profileName = name || this.defaultProfile;
+    if (
+      typeof profileName !== "string" ||
+      !Object.hasOwn(this.validationProfiles, profileName)
+    ) {
+      throw new ValidationError(
+        "UNKNOWN_PROFILE",
+        `Invalid validation profile: ${profileName}. Available profiles: ${Object.keys(
+          this.validationProfiles
+        ).join(", ")}`
+      );
+    }
+    return {
+      name: profileName,
+      thresholds: this.validationProfiles[profileName],
+    };
   }
 
   // Preprocess image for face recognition
-  async preprocessImage(imageBuffer) {
+  // When a crop box is given, only that region is resized for the model
+  async preprocessImage(
+    imageBuffer,
+    cropBox = null,
+    targetSize = this.targetSize
+  ) {
     try {
       // Get image metadata
       const metadata = await sharp(imageBuffer).metadata();
@@ -24,16 +108,32 @@ class FaceDetectionService {
 
       // Validate image
       if (!metadata.width || !metadata.height) {
-        throw new Error("Invalid image: Unable to read dimensions");
+        throw new ValidationError(
+          "INVALID_IMAGE",
+          "Invalid image: Unable to read dimensions"
+        );
       }
 
       if (metadata.width < 50 || metadata.height < 50) {
-        throw new Error("Image too small: Minimum size is 50x50 pixels");
+        throw new ImageQualityError(
+          "IMAGE_TOO_SMALL",
+          "Image too small: Minimum size is 50x50 pixels"
+        );
+      }
+
+      let pipeline = sharp(imageBuffer);
+      if (cropBox) {
+        pipeline = pipeline.extract({
+          left: cropBox.x,
+          top: cropBox.y,
+          width: cropBox.width,
+          height: cropBox.height,
+        });
       }
 
-      // Convert to RGB and resize to 112x112
-      const processedImage = await sharp(imageBuffer)
-        .resize(this.targetSize, this.targetSize, {
+      // Convert to RGB and resize to the model input size
+      const processedImage = await pipeline
+        .resize(targetSize, targetSize, {
           fit: "cover", // Crop to fill the target size
           position: "center",
         })
@@ -42,7 +142,7 @@ class FaceDetectionService {
         .toBuffer();
 
       // Validate processed image size
-      const expectedSize = this.targetSize * this.targetSize * 3; // RGB
+      const expectedSize = targetSize * targetSize * 3; // RGB
       if (processedImage.length !== expectedSize) {
         throw new Error(
           `Processed image size mismatch. Expected ${expectedSize}, got ${processedImage.length}`
@@ -50,23 +150,33 @@ class FaceDetectionService {
       }
 
       console.log(
-        `✅ Image preprocessed to ${this.targetSize}x${this.targetSize}`
+        `✅ Image preprocessed to ${targetSize}x${targetSize}${
+          cropBox
+            ? ` from face crop ${cropBox.width}x${cropBox.height} at (${cropBox.x}, ${cropBox.y})`
+            : ""
+        }`
       );
       return processedImage;
     } catch (error) {
       console.error("❌ Image preprocessing failed:", error);
+      if (error instanceof ServiceError) throw error;
       throw new Error(`Image preprocessing failed: ${error.message}`);
     }
   }
 
   // Advanced face detection using Sharp-based image analysis
-  async detectFace(imageBuffer) {
+  // thresholds come from the selected validation profile
+  async detectFace(imageBuffer, thresholds = this.resolveProfile().thresholds) {
     try {
-      // Analyze image using Sharp
-      const faceDetected = await this.sharpBasedFaceDetection(imageBuffer);
-      return faceDetected;
+      // Analyze image using Sharp, returns the detected face region
+      const faceRegion = await this.sharpBasedFaceDetection(
+        imageBuffer,
+        thresholds
+      );
+      return faceRegion;
     } catch (error) {
       console.error("❌ Face detection failed:", error);
+      if (error instanceof ServiceError) throw error;
       throw new Error(`Face detection failed: ${error.message}`);
     }
   }
@@ -81,28 +191,18 @@ class FaceDetectionService {
         .raw()
         .toBuffer();
 
-      // Calculate basic statistics
-      const pixels = new Uint8Array(resizedBuffer);
-      let sum = 0;
-      let sumSquares = 0;
-
-      for (let i = 0; i < pixels.length; i++) {
-        sum += pixels[i];
-        sumSquares += pixels[i] * pixels[i];
-      }
-
-      const mean = sum / pixels.length;
-      const variance = sumSquares / pixels.length - mean * mean;
-      const std = Math.sqrt(variance);
-
-      return { mean, std };
+      // Calculate basic statistics on an analysis worker
+      return await analysisPool.run("imageStats", [resizedBuffer]);
     } catch (error) {
       throw new Error(`Failed to analyze image statistics: ${error.message}`);
     }
   }
 
   // Enhanced face detection with comprehensive validation
-  async sharpBasedFaceDetection(imageBuffer) {
+  async sharpBasedFaceDetection(
+    imageBuffer,
+    thresholds = this.resolveProfile().thresholds
+  ) {
     try {
       // Get image statistics
       const stats = await this.analyzeImageStats(imageBuffer);
@@ -116,514 +216,272 @@ class FaceDetectionService {
       );
 
       // Step 1: Check lighting conditions
-      await this.validateLightingConditions(brightness, contrast);
+      await this.validateLightingConditions(brightness, contrast, thresholds);
 
       // Step 2: Check for blur
-      await this.validateImageSharpness(imageBuffer);
+      const blurVariance = await this.validateImageSharpness(
+        imageBuffer,
+        thresholds
+      );
 
       // Step 3: Detect faces using edge detection
-      await this.detectFacesInImage(imageBuffer);
+      const faceRegion = await this.detectFacesInImage(imageBuffer);
 
       // Step 4: Validate face size and position
       await this.validateFaceCharacteristics(imageBuffer);
 
       console.log("✅ Comprehensive face detection validation passed");
-      return true;
+      return {
+        ...faceRegion,
+        quality: { brightness, contrast, blurVariance },
+      };
     } catch (error) {
       throw error;
     }
   }
 
   // Validate lighting conditions
-  async validateLightingConditions(brightness, contrast) {
-    const minBrightness = 30;
-    const maxBrightness = 200;
-    const minContrast = 15;
+  async validateLightingConditions(
+    brightness,
+    contrast,
+    thresholds = this.resolveProfile().thresholds
+  ) {
+    const { minBrightness, maxBrightness, minContrast } = thresholds;
 
     if (brightness < minBrightness) {
-      throw new Error(
+      throw new ImageQualityError(
+        "IMAGE_TOO_DARK",
         "Image too dark - poor lighting conditions detected. Please ensure adequate lighting and try again."
       );
     }
 
     if (brightness > maxBrightness) {
-      throw new Error(
+      throw new ImageQualityError(
+        "IMAGE_TOO_BRIGHT",
         "Image too bright - overexposed image detected. Please reduce lighting or avoid direct flash."
       );
     }
 
     if (contrast < minContrast) {
-      throw new Error(
+      throw new ImageQualityError(
+        "IMAGE_LOW_CONTRAST",
         "Low contrast image - face features may not be clear. Please ensure good lighting with clear shadows."
       );
     }
   }
 
+  // Measure sharpness as the variance of the Laplacian (higher is sharper)
+  async measureSharpness(imageBuffer) {
+    // Convert to grayscale and apply Laplacian filter
+    const grayBuffer = await sharp(imageBuffer)
+      .resize(300, 300)
+      .greyscale()
+      .raw()
+      .toBuffer();
+
+    // Calculate Laplacian variance (blur detection) on an analysis worker
+    return analysisPool.run("laplacianVariance", [grayBuffer, 300, 300]);
+  }
+
   // Detect blur using Laplacian variance
-  async validateImageSharpness(imageBuffer) {
+  async validateImageSharpness(
+    imageBuffer,
+    thresholds = this.resolveProfile().thresholds
+  ) {
     try {
-      // Convert to grayscale and apply Laplacian filter
-      const grayBuffer = await sharp(imageBuffer)
-        .resize(300, 300)
-        .greyscale()
-        .raw()
-        .toBuffer();
-
-      // Calculate Laplacian variance (blur detection)
-      const blurVariance = this.calculateLaplacianVariance(
-        grayBuffer,
-        300,
-        300
-      );
+      const blurVariance = await this.measureSharpness(imageBuffer);
 
       console.log(`📊 Blur variance: ${blurVariance.toFixed(2)}`);
 
-      if (blurVariance < this.blurThreshold) {
-        throw new Error(
+      if (blurVariance < thresholds.blurThreshold) {
+        throw new ImageQualityError(
+          "IMAGE_BLURRY",
           "Image appears blurry or out of focus. Please ensure the camera is focused and the subject is still."
         );
       }
+
+      return blurVariance;
     } catch (error) {
-      if (error.message.includes("blurry")) {
-        throw error;
-      }
+      if (error instanceof ServiceError) throw error;
       throw new Error(`Blur detection failed: ${error.message}`);
     }
   }
 
-  // Calculate Laplacian variance for blur detection
-  calculateLaplacianVariance(buffer, width, height) {
-    const laplacianKernel = [
-      [0, -1, 0],
-      [-1, 4, -1],
-      [0, -1, 0],
-    ];
-
-    let variance = 0;
-    let count = 0;
-
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        let sum = 0;
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            const pixelIndex = (y + ky) * width + (x + kx);
-            sum += buffer[pixelIndex] * laplacianKernel[ky + 1][kx + 1];
-          }
-        }
-        variance += sum * sum;
-        count++;
-      }
-    }
-
-    return variance / count;
-  }
-
-  // Detect faces using edge detection and pattern analysis
+  // Detect faces with the active detector backend
   async detectFacesInImage(imageBuffer) {
     try {
-      // Use edge detection to find potential face regions
-      const edgeBuffer = await sharp(imageBuffer)
-        .resize(400, 400)
-        .greyscale()
-        .convolve({
-          width: 3,
-          height: 3,
-          kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1],
-        })
-        .raw()
-        .toBuffer();
-
-      // Analyze edge patterns for face-like structures with multiple sensitivity passes
-      let faceRegions = [];
-
-      // Try multiple detection passes with decreasing sensitivity
-      for (
-        let i = 0;
-        i < this.edgeThresholds.length && faceRegions.length === 0;
-        i++
-      ) {
-        console.log(
-          `🔍 Face detection pass ${i + 1} with edge threshold ${
-            this.edgeThresholds[i]
-          }`
-        );
-        faceRegions = this.findFaceRegions(
-          edgeBuffer,
-          400,
-          400,
-          this.edgeThresholds[i],
-          this.regionThresholds[i]
-        );
-        console.log(
-          `📊 Pass ${i + 1}: Detected ${
-            faceRegions.length
-          } potential face regions`
-        );
-      }
+      const faceRegions = await this.detector.detect(imageBuffer);
+      console.log(
+        `📊 ${this.detector.name} detector found ${faceRegions.length} face(s)`
+      );
 
       if (faceRegions.length === 0) {
-        throw new Error(
+        throw new FaceDetectionError(
+          "FACE_NOT_FOUND",
           "No face detected in the image. Please ensure a clear, front-facing photo with good lighting. Try adjusting brightness or contrast."
         );
       }
 
       if (faceRegions.length > this.maxFaces) {
-        throw new Error(
+        throw new FaceDetectionError(
+          "MULTIPLE_FACES",
           `Multiple faces detected (${faceRegions.length}). Please provide an image with only one person.`
         );
       }
 
       return faceRegions[0];
     } catch (error) {
-      if (error.message.includes("face")) {
-        throw error;
-      }
+      if (error instanceof ServiceError) throw error;
       throw new Error(`Face detection failed: ${error.message}`);
     }
   }
 
-  // Enhanced face region detection with face-specific feature validation
-  findFaceRegions(
-    edgeBuffer,
-    width,
-    height,
-    edgeThreshold = 40,
-    regionThreshold = 25
-  ) {
-    const regions = [];
-    const minRegionSize = Math.floor(width * this.minFaceSize);
-    const visited = new Set();
-
-    // Step 1: Find potential regions using edge detection
-    for (let y = minRegionSize; y < height - minRegionSize; y += 8) {
-      for (let x = minRegionSize; x < width - minRegionSize; x += 8) {
-        const index = y * width + x;
-        if (visited.has(index) || edgeBuffer[index] < edgeThreshold) continue;
-
-        const region = this.growRegion(
-          edgeBuffer,
-          width,
-          height,
-          x,
-          y,
-          visited,
-          regionThreshold
-        );
-
-        if (region.size > minRegionSize * minRegionSize * 0.08) {
-          regions.push({
-            x: region.minX,
-            y: region.minY,
-            width: region.maxX - region.minX,
-            height: region.maxY - region.minY,
-            size: region.size,
-            centerX: (region.minX + region.maxX) / 2,
-            centerY: (region.minY + region.maxY) / 2,
-            density:
-              region.size /
-              ((region.maxX - region.minX) * (region.maxY - region.minY)),
-          });
-        }
-      }
-    }
-
-    // Step 2: Filter regions by basic geometric constraints
-    const geometricFiltered = regions.filter((region) => {
-      const aspectRatio = region.width / region.height;
-      const sizeRatio =
-        Math.min(region.width, region.height) /
-        Math.max(region.width, region.height);
-
-      return (
-        aspectRatio > 0.6 &&
-        aspectRatio < 1.7 && // More flexible aspect ratio
-        sizeRatio > 0.5 && // Not too elongated
-        region.width > minRegionSize * 0.8 &&
-        region.height > minRegionSize * 0.8 &&
-        region.density > 0.1 && // Reasonable edge density
-        region.density < 0.8 // Not too dense (likely noise)
-      );
-    });
-
-    // Step 3: Apply face-specific feature validation
-    const faceValidated = [];
-    for (const region of geometricFiltered) {
-      const faceScore = this.calculateFaceScore(
-        edgeBuffer,
-        width,
-        height,
-        region
-      );
-      if (faceScore > 0.3) {
-        // Minimum face confidence threshold
-        region.faceScore = faceScore;
-        faceValidated.push(region);
-      }
-    }
-
-    // Step 4: Remove overlapping regions (keep highest scoring)
-    const finalRegions = this.removeOverlappingRegions(faceValidated);
-
-    console.log(
-      `🔍 Face detection results: ${regions.length} initial → ${geometricFiltered.length} geometric → ${faceValidated.length} face-validated → ${finalRegions.length} final`
+  // Map a point from the square analysis space back to original image pixels
+  // The analysis resize uses sharp's default "cover" fit, so the original image
+  // was scaled by the larger factor and then center-cropped to a square
+  mapPointToImage(point, imageWidth, imageHeight) {
+    const scale = Math.max(
+      this.analysisSize / imageWidth,
+      this.analysisSize / imageHeight
     );
+    const offsetX = (imageWidth * scale - this.analysisSize) / 2;
+    const offsetY = (imageHeight * scale - this.analysisSize) / 2;
 
-    return finalRegions;
-  }
-
-  // Enhanced region growing algorithm with adaptive thresholding
-  growRegion(buffer, width, height, startX, startY, visited, threshold = 30) {
-    const stack = [{ x: startX, y: startY }];
-    const region = {
-      minX: startX,
-      maxX: startX,
-      minY: startY,
-      maxY: startY,
-      size: 0,
+    return {
+      x: (point.x + offsetX) / scale,
+      y: (point.y + offsetY) / scale,
     };
-
-    while (stack.length > 0) {
-      const { x, y } = stack.pop();
-      const index = y * width + x;
-
-      if (visited.has(index) || x < 0 || x >= width || y < 0 || y >= height)
-        continue;
-      if (buffer[index] < threshold) continue;
-
-      visited.add(index);
-      region.size++;
-      region.minX = Math.min(region.minX, x);
-      region.maxX = Math.max(region.maxX, x);
-      region.minY = Math.min(region.minY, y);
-      region.maxY = Math.max(region.maxY, y);
-
-      // Add neighbors
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dx === 0 && dy === 0) continue;
-          stack.push({ x: x + dx, y: y + dy });
-        }
-      }
-    }
-
-    return region;
   }
 
-  // Calculate face-specific confidence score for a region
-  calculateFaceScore(edgeBuffer, width, height, region) {
-    let score = 0;
-
-    // Score 1: Symmetry check (faces tend to be symmetric)
-    const symmetryScore = this.checkSymmetry(edgeBuffer, width, region);
-    score += symmetryScore * 0.3;
-
-    // Score 2: Eye-like patterns in upper third
-    const eyeScore = this.detectEyePatterns(edgeBuffer, width, region);
-    score += eyeScore * 0.25;
-
-    // Score 3: Mouth-like pattern in lower third
-    const mouthScore = this.detectMouthPattern(edgeBuffer, width, region);
-    score += mouthScore * 0.2;
-
-    // Score 4: Edge distribution (faces have specific edge patterns)
-    const edgeDistScore = this.analyzeEdgeDistribution(
-      edgeBuffer,
-      width,
-      region
+  // Map a detected region (and its landmarks) back to original image pixels
+  mapRegionToImage(region, imageWidth, imageHeight) {
+    const topLeft = this.mapPointToImage(region, imageWidth, imageHeight);
+    const bottomRight = this.mapPointToImage(
+      { x: region.x + region.width, y: region.y + region.height },
+      imageWidth,
+      imageHeight
     );
-    score += edgeDistScore * 0.15;
-
-    // Score 5: Position preference (faces usually in center-upper area)
-    const positionScore = this.calculatePositionScore(region, width, height);
-    score += positionScore * 0.1;
-
-    return Math.min(score, 1.0);
-  }
-
-  // Check horizontal symmetry of edge patterns
-  checkSymmetry(edgeBuffer, width, region) {
-    const centerX = Math.floor((region.x + region.x + region.width) / 2);
-    let symmetrySum = 0;
-    let comparisons = 0;
-
-    for (let y = region.y; y < region.y + region.height; y += 2) {
-      for (let offset = 1; offset < Math.min(region.width / 2, 15); offset++) {
-        const leftIdx = y * width + (centerX - offset);
-        const rightIdx = y * width + (centerX + offset);
-
-        if (leftIdx >= 0 && rightIdx < edgeBuffer.length) {
-          const diff = Math.abs(edgeBuffer[leftIdx] - edgeBuffer[rightIdx]);
-          symmetrySum += Math.max(0, 50 - diff) / 50; // Normalize to 0-1
-          comparisons++;
-        }
-      }
-    }
-
-    return comparisons > 0 ? symmetrySum / comparisons : 0;
-  }
 
-  // Detect eye-like patterns (horizontal edge pairs in upper region)
-  detectEyePatterns(edgeBuffer, width, region) {
-    const eyeRegionTop = region.y;
-    const eyeRegionBottom = region.y + Math.floor(region.height * 0.4);
-    const eyeRegionLeft = region.x + Math.floor(region.width * 0.15);
-    const eyeRegionRight =
-      region.x + region.width - Math.floor(region.width * 0.15);
-
-    let eyeScore = 0;
-    let maxHorizontalEdges = 0;
-
-    // Look for horizontal edge concentrations (eye-like)
-    for (let y = eyeRegionTop; y < eyeRegionBottom; y += 2) {
-      let horizontalEdges = 0;
-      for (let x = eyeRegionLeft; x < eyeRegionRight; x++) {
-        const idx = y * width + x;
-        if (idx < edgeBuffer.length && edgeBuffer[idx] > 40) {
-          horizontalEdges++;
-        }
+    const x = Math.max(0, Math.round(topLeft.x));
+    const y = Math.max(0, Math.round(topLeft.y));
+    const right = Math.min(imageWidth, Math.round(bottomRight.x));
+    const bottom = Math.min(imageHeight, Math.round(bottomRight.y));
+
+    let landmarks = null;
+    if (region.landmarks) {
+      landmarks = {};
+      for (const [name, point] of Object.entries(region.landmarks)) {
+        const mapped = this.mapPointToImage(point, imageWidth, imageHeight);
+        landmarks[name] = {
+          x: parseFloat(mapped.x.toFixed(2)),
+          y: parseFloat(mapped.y.toFixed(2)),
+        };
       }
-      maxHorizontalEdges = Math.max(maxHorizontalEdges, horizontalEdges);
     }
 
-    const expectedEyeWidth = region.width * 0.7;
-    eyeScore = Math.min(maxHorizontalEdges / expectedEyeWidth, 1.0);
-
-    return eyeScore;
+    return {
+      x,
+      y,
+      width: right - x,
+      height: bottom - y,
+      score: region.faceScore ?? null,
+      landmarks,
+    };
   }
 
-  // Detect mouth-like patterns (horizontal edges in lower region)
-  detectMouthPattern(edgeBuffer, width, region) {
-    const mouthRegionTop = region.y + Math.floor(region.height * 0.6);
-    const mouthRegionBottom = region.y + region.height;
-    const mouthRegionLeft = region.x + Math.floor(region.width * 0.2);
-    const mouthRegionRight =
-      region.x + region.width - Math.floor(region.width * 0.2);
-
-    let mouthScore = 0;
-    let maxMouthEdges = 0;
-
-    for (let y = mouthRegionTop; y < mouthRegionBottom; y++) {
-      let horizontalEdges = 0;
-      for (let x = mouthRegionLeft; x < mouthRegionRight; x++) {
-        const idx = y * width + x;
-        if (idx < edgeBuffer.length && edgeBuffer[idx] > 35) {
-          horizontalEdges++;
-        }
-      }
-      maxMouthEdges = Math.max(maxMouthEdges, horizontalEdges);
-    }
+  // Build a square crop around the face box, padded by the configured margin
+  // and kept inside the image bounds
+  calculateCropBox(faceBox, imageWidth, imageHeight) {
+    const centerX = faceBox.x + faceBox.width / 2;
+    const centerY = faceBox.y + faceBox.height / 2;
+    const side = Math.min(
+      Math.round(
+        Math.max(faceBox.width, faceBox.height) * (1 + 2 * this.cropMargin)
+      ),
+      imageWidth,
+      imageHeight
+    );
 
-    const expectedMouthWidth = region.width * 0.6;
-    mouthScore = Math.min(maxMouthEdges / expectedMouthWidth, 1.0);
+    // Shift the square back inside the image instead of shrinking it
+    const x = Math.min(
+      Math.max(0, Math.round(centerX - side / 2)),
+      imageWidth - side
+    );
+    const y = Math.min(
+      Math.max(0, Math.round(centerY - side / 2)),
+      imageHeight - side
+    );
 
-    return mouthScore;
+    return { x, y, width: side, height: side, margin: this.cropMargin };
   }
 
-  // Analyze edge distribution patterns
-  analyzeEdgeDistribution(edgeBuffer, width, region) {
-    const totalPixels = region.width * region.height;
-    let edgePixels = 0;
-    let centerEdges = 0;
-
-    const centerX = region.x + Math.floor(region.width / 2);
-    const centerY = region.y + Math.floor(region.height / 2);
-    const centerRadius = Math.min(region.width, region.height) * 0.3;
-
-    for (let y = region.y; y < region.y + region.height; y++) {
-      for (let x = region.x; x < region.x + region.width; x++) {
-        const idx = y * width + x;
-        if (idx < edgeBuffer.length && edgeBuffer[idx] > 30) {
-          edgePixels++;
-
-          // Check if edge is in center region
-          const distFromCenter = Math.sqrt(
-            (x - centerX) ** 2 + (y - centerY) ** 2
-          );
-          if (distFromCenter < centerRadius) {
-            centerEdges++;
-          }
-        }
-      }
+  // Warp the face so its landmarks land on the ArcFace reference points
+  // Returns null when the landmarks are too inconsistent to trust
+  async alignFace(
+    imageBuffer,
+    cropBox,
+    landmarks,
+    targetSize = this.targetSize
+  ) {
+    // Work on the padded crop only, landmarks are shifted into crop space
+    const { data, info } = await sharp(imageBuffer)
+      .extract({
+        left: cropBox.x,
+        top: cropBox.y,
+        width: cropBox.width,
+        height: cropBox.height,
+      })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    if (info.channels !== 3) {
+      console.warn(
+        `⚠️ Face alignment skipped: expected 3 channels, got ${info.channels}`
+      );
+      return null;
     }
 
-    const edgeDensity = edgePixels / totalPixels;
-    const centerConcentration = centerEdges / Math.max(edgePixels, 1);
-
-    // Faces typically have moderate edge density with center concentration
-    const densityScore = edgeDensity > 0.1 && edgeDensity < 0.4 ? 1.0 : 0.5;
-    const concentrationScore =
-      centerConcentration > 0.3 ? 1.0 : centerConcentration / 0.3;
-
-    return (densityScore + concentrationScore) / 2;
-  }
-
-  // Calculate position-based score (faces usually in upper-center area)
-  calculatePositionScore(region, imageWidth, imageHeight) {
-    const centerX = region.centerX / imageWidth;
-    const centerY = region.centerY / imageHeight;
-
-    // Prefer regions in center horizontally, upper-center vertically
-    const horizontalScore = 1.0 - Math.abs(centerX - 0.5) * 2; // Peak at center
-    const verticalScore =
-      centerY < 0.6 ? 1.0 : Math.max(0, 1.0 - (centerY - 0.6) * 2.5);
-
-    return Math.max(0, (horizontalScore + verticalScore) / 2);
-  }
-
-  // Remove overlapping regions, keeping highest scoring ones
-  removeOverlappingRegions(regions) {
-    if (regions.length <= 1) return regions;
-
-    // Sort by face score (highest first)
-    const sortedRegions = regions.sort(
-      (a, b) => (b.faceScore || 0) - (a.faceScore || 0)
+    const sourcePoints = landmarksToPoints(landmarks).map(([x, y]) => [
+      x - cropBox.x,
+      y - cropBox.y,
+    ]);
+    const transform = estimateSimilarityTransform(
+      sourcePoints,
+      getReferencePoints(targetSize)
     );
-    const finalRegions = [];
-
-    for (const region of sortedRegions) {
-      let hasOverlap = false;
-
-      for (const existing of finalRegions) {
-        const overlapArea = this.calculateOverlapArea(region, existing);
-        const minArea = Math.min(
-          region.width * region.height,
-          existing.width * existing.height
-        );
-
-        // If overlap is more than 30% of smaller region, consider it overlapping
-        if (overlapArea / minArea > 0.3) {
-          hasOverlap = true;
-          break;
-        }
-      }
 
-      if (!hasOverlap) {
-        finalRegions.push(region);
-      }
+    if (transform.residual > this.alignmentMaxResidual) {
+      console.warn(
+        `⚠️ Face alignment skipped: landmark residual ${transform.residual.toFixed(
+          2
+        )}px exceeds ${this.alignmentMaxResidual}px`
+      );
+      return null;
     }
 
-    return finalRegions;
-  }
-
-  // Calculate overlap area between two regions
-  calculateOverlapArea(region1, region2) {
-    const left = Math.max(region1.x, region2.x);
-    const right = Math.min(
-      region1.x + region1.width,
-      region2.x + region2.width
-    );
-    const top = Math.max(region1.y, region2.y);
-    const bottom = Math.min(
-      region1.y + region1.height,
-      region2.y + region2.height
+    const imageData = warpAffine(
+      data,
+      info.width,
+      info.height,
+      3,
+      transform.matrix,
+      targetSize
     );
 
-    if (left < right && top < bottom) {
-      return (right - left) * (bottom - top);
-    }
+    // Report the transform relative to original image coordinates
+    const [[a, b, tx], [c, d, ty]] = transform.matrix;
+    const imageTransform = {
+      matrix: [
+        [a, b, tx - a * cropBox.x - b * cropBox.y],
+        [c, d, ty - c * cropBox.x - d * cropBox.y],
+      ].map((row) => row.map((value) => parseFloat(value.toFixed(6)))),
+      scale: parseFloat(transform.scale.toFixed(6)),
+      rotation: parseFloat(transform.rotation.toFixed(2)),
+      residual: parseFloat(transform.residual.toFixed(3)),
+    };
 
-    return 0;
+    return { imageData, transform: imageTransform };
   }
 
   // Validate face characteristics
@@ -652,14 +510,18 @@ class FaceDetectionService {
   }
 
   // Enhanced image quality validation
-  async validateImageQuality(imageBuffer) {
+  async validateImageQuality(
+    imageBuffer,
+    thresholds = this.resolveProfile().thresholds
+  ) {
     try {
       const metadata = await sharp(imageBuffer).metadata();
 
       // Check image format
-      const supportedFormats = ["jpeg", "jpg", "png", "webp"];
+      const { supportedFormats } = this;
       if (!supportedFormats.includes(metadata.format.toLowerCase())) {
-        throw new Error(
+        throw new ImageQualityError(
+          "UNSUPPORTED_IMAGE_FORMAT",
           `Unsupported image format: ${
             metadata.format
           }. Supported formats: ${supportedFormats.join(
@@ -672,22 +534,34 @@ class FaceDetectionService {
       const minDimension = Math.min(metadata.width, metadata.height);
       const maxDimension = Math.max(metadata.width, metadata.height);
 
-      if (minDimension < 150 || maxDimension < 200) {
-        throw new Error(
-          `Image resolution too low: ${metadata.width}x${metadata.height}. Minimum required: smaller dimension ≥150px and larger dimension ≥200px for accurate face detection.`
+      if (
+        minDimension < thresholds.minShortSide ||
+        maxDimension < thresholds.minLongSide
+      ) {
+        throw new ImageQualityError(
+          "IMAGE_TOO_SMALL",
+          `Image resolution too low: ${metadata.width}x${metadata.height}. Minimum required: smaller dimension ≥${thresholds.minShortSide}px and larger dimension ≥${thresholds.minLongSide}px for accurate face detection.`
         );
       }
 
-      if (metadata.width > 4000 || metadata.height > 4000) {
-        throw new Error(
-          `Image resolution too high: ${metadata.width}x${metadata.height}. Maximum recommended: 4000x4000 pixels. Please resize your image.`
+      if (
+        metadata.width > thresholds.maxDimension ||
+        metadata.height > thresholds.maxDimension
+      ) {
+        throw new ImageQualityError(
+          "IMAGE_TOO_LARGE",
+          `Image resolution too high: ${metadata.width}x${metadata.height}. Maximum recommended: ${thresholds.maxDimension}x${thresholds.maxDimension} pixels. Please resize your image.`
         );
       }
 
       // Check aspect ratio
       const aspectRatio = metadata.width / metadata.height;
-      if (aspectRatio < 0.5 || aspectRatio > 2.0) {
-        throw new Error(
+      if (
+        aspectRatio < thresholds.minAspectRatio ||
+        aspectRatio > thresholds.maxAspectRatio
+      ) {
+        throw new ImageQualityError(
+          "IMAGE_ASPECT_RATIO",
           `Unusual image aspect ratio: ${aspectRatio.toFixed(
             2
           )}. Please use a more standard image format (not too wide or tall).`
@@ -695,17 +569,23 @@ class FaceDetectionService {
       }
 
       // Enhanced file size validation
-      if (imageBuffer.length > 10 * 1024 * 1024) {
-        throw new Error(
+      if (imageBuffer.length > thresholds.maxFileSize) {
+        throw new ImageQualityError(
+          "IMAGE_FILE_TOO_LARGE",
           `Image file too large: ${(imageBuffer.length / (1024 * 1024)).toFixed(
             1
-          )}MB. Maximum size: 10MB. Please compress your image.`
+          )}MB. Maximum size: ${
+            thresholds.maxFileSize / (1024 * 1024)
+          }MB. Please compress your image.`
         );
       }
 
-      if (imageBuffer.length < 2048) {
-        throw new Error(
-          `Image file too small: ${imageBuffer.length} bytes. Minimum size: 2KB. The image may be corrupted or of very poor quality.`
+      if (imageBuffer.length < thresholds.minFileSize) {
+        throw new ImageQualityError(
+          "IMAGE_FILE_TOO_SMALL",
+          `Image file too small: ${imageBuffer.length} bytes. Minimum size: ${
+            thresholds.minFileSize / 1024
+          }KB. The image may be corrupted or of very poor quality.`
         );
       }
 
@@ -716,7 +596,8 @@ class FaceDetectionService {
         metadata.width === 0 ||
         metadata.height === 0
       ) {
-        throw new Error(
+        throw new ValidationError(
+          "INVALID_IMAGE",
           "Image appears to be corrupted or invalid. Please try uploading a different image."
         );
       }
@@ -726,31 +607,365 @@ class FaceDetectionService {
       );
       return true;
     } catch (error) {
-      throw new Error(`Image quality validation failed: ${error.message}`);
+      const message = `Image quality validation failed: ${error.message}`;
+      if (error instanceof ServiceError) {
+        error.message = message;
+        throw error;
+      }
+      // sharp could not decode the upload
+      throw new ValidationError("INVALID_IMAGE", message);
+    }
+  }
+
+  // Run every quality check and report the measured values
+  // Unlike the validate* methods this does not stop at the first failure;
+  // only an undecodable image throws. Each check carries its value, the
+  // thresholds it was judged against and whether it passed, and score is the
+  // mean of the per-check scores (1 when passed, partial credit for values
+  // close to their limit).
+  // options.profile selects the validation profile
+  async assessQuality(imageBuffer, options = {}) {
+    const profile = this.resolveProfile(options.profile);
+    let metadata;
+    try {
+      metadata = await sharp(imageBuffer).metadata();
+    } catch (error) {
+      throw new ValidationError(
+        "INVALID_IMAGE",
+        `Invalid image: ${error.message}`
+      );
+    }
+    if (!metadata.width || !metadata.height) {
+      throw new ValidationError(
+        "INVALID_IMAGE",
+        "Invalid image: Unable to read dimensions"
+      );
+    }
+
+    const { thresholds } = profile;
+    const { width, height } = metadata;
+    const format = (metadata.format || "").toLowerCase();
+    const aspectRatio = width / height;
+    const checks = {};
+    const issues = [];
+
+    // Record one check; failed checks add a hint for the capture UI
+    const addCheck = (name, check, score, hint) => {
+      checks[name] = check;
+      check.score = parseFloat(Math.min(Math.max(score, 0), 1).toFixed(3));
+      if (!check.pass) {
+        issues.push({ check: name, message: check.error || hint });
+      }
+    };
+    const round = (value, digits = 2) =>
+      value === null ? null : parseFloat(value.toFixed(digits));
+
+    addCheck(
+      "format",
+      {
+        value: format,
+        allowed: this.supportedFormats,
+        pass: this.supportedFormats.includes(format),
+      },
+      this.supportedFormats.includes(format) ? 1 : 0,
+      `Unsupported image format: ${format}. Use JPEG, PNG or WebP.`
+    );
+
+    const fileSizePass =
+      imageBuffer.length >= thresholds.minFileSize &&
+      imageBuffer.length <= thresholds.maxFileSize;
+    addCheck(
+      "fileSize",
+      {
+        value: imageBuffer.length,
+        min: thresholds.minFileSize,
+        max: thresholds.maxFileSize,
+        pass: fileSizePass,
+      },
+      rangeScore(
+        imageBuffer.length,
+        thresholds.minFileSize,
+        thresholds.maxFileSize
+      ),
+      imageBuffer.length < thresholds.minFileSize
+        ? "Image file too small. The image may be corrupted or of very poor quality."
+        : "Image file too large. Please compress your image."
+    );
+
+    const shortSide = Math.min(width, height);
+    const longSide = Math.max(width, height);
+    addCheck(
+      "resolution",
+      {
+        value: { width, height },
+        min: {
+          shortSide: thresholds.minShortSide,
+          longSide: thresholds.minLongSide,
+        },
+        max: thresholds.maxDimension,
+        pass:
+          shortSide >= thresholds.minShortSide &&
+          longSide >= thresholds.minLongSide &&
+          longSide <= thresholds.maxDimension,
+      },
+      Math.min(
+        rangeScore(shortSide, thresholds.minShortSide, Infinity),
+        rangeScore(longSide, thresholds.minLongSide, thresholds.maxDimension)
+      ),
+      longSide > thresholds.maxDimension
+        ? "Image resolution too high. Please resize your image."
+        : "Image resolution too low for accurate face detection. Move closer or use a higher resolution."
+    );
+
+    addCheck(
+      "aspectRatio",
+      {
+        value: round(aspectRatio, 3),
+        min: thresholds.minAspectRatio,
+        max: thresholds.maxAspectRatio,
+        pass:
+          aspectRatio >= thresholds.minAspectRatio &&
+          aspectRatio <= thresholds.maxAspectRatio,
+      },
+      rangeScore(
+        aspectRatio,
+        thresholds.minAspectRatio,
+        thresholds.maxAspectRatio
+      ),
+      "Unusual image aspect ratio. Use a more standard image format (not too wide or tall)."
+    );
+
+    // Pixel measurements; a failed measurement fails only its own checks
+    let stats = null;
+    let statsError = null;
+    try {
+      stats = await this.analyzeImageStats(imageBuffer);
+    } catch (error) {
+      statsError = error.message;
+    }
+
+    addCheck(
+      "brightness",
+      {
+        value: stats ? round(stats.mean) : null,
+        min: thresholds.minBrightness,
+        max: thresholds.maxBrightness,
+        pass: Boolean(
+          stats &&
+            stats.mean >= thresholds.minBrightness &&
+            stats.mean <= thresholds.maxBrightness
+        ),
+        ...(statsError ? { error: statsError } : {}),
+      },
+      stats
+        ? rangeScore(
+            stats.mean,
+            thresholds.minBrightness,
+            thresholds.maxBrightness
+          )
+        : 0,
+      stats && stats.mean > thresholds.maxBrightness
+        ? "Image too bright - reduce lighting or avoid direct flash."
+        : "Image too dark - ensure adequate lighting."
+    );
+
+    addCheck(
+      "contrast",
+      {
+        value: stats ? round(stats.std) : null,
+        min: thresholds.minContrast,
+        pass: Boolean(stats && stats.std >= thresholds.minContrast),
+        ...(statsError ? { error: statsError } : {}),
+      },
+      stats ? rangeScore(stats.std, thresholds.minContrast, Infinity) : 0,
+      "Low contrast - face features may not be clear. Ensure good lighting with clear shadows."
+    );
+
+    let blurVariance = null;
+    let blurError = null;
+    try {
+      blurVariance = await this.measureSharpness(imageBuffer);
+    } catch (error) {
+      blurError = error.message;
     }
+    addCheck(
+      "blurVariance",
+      {
+        value: round(blurVariance),
+        min: thresholds.blurThreshold,
+        pass: blurVariance !== null && blurVariance >= thresholds.blurThreshold,
+        ...(blurError ? { error: blurError } : {}),
+      },
+      blurVariance !== null
+        ? rangeScore(blurVariance, thresholds.blurThreshold, Infinity)
+        : 0,
+      "Image appears blurry - hold the camera steady and make sure it is focused."
+    );
+
+    let faces = null;
+    let detectionError = null;
+    try {
+      faces = await this.detector.detect(imageBuffer);
+    } catch (error) {
+      detectionError = error.message;
+    }
+    const faceCount = faces ? faces.length : null;
+    addCheck(
+      "faceCount",
+      {
+        value: faceCount,
+        min: 1,
+        max: this.maxFaces,
+        pass:
+          faceCount !== null && faceCount >= 1 && faceCount <= this.maxFaces,
+        ...(detectionError ? { error: detectionError } : {}),
+      },
+      faceCount !== null && faceCount >= 1 && faceCount <= this.maxFaces
+        ? 1
+        : 0,
+      faceCount > this.maxFaces
+        ? "Multiple faces detected. Make sure only one person is in the frame."
+        : "No face detected. Face the camera with your whole face in the frame."
+    );
+
+    // Face size relative to the image: sqrt(face area / image area)
+    const face = faces && faces.length > 0 ? faces[0] : null;
+    const relativeSize = face
+      ? Math.sqrt((face.width * face.height) / (width * height))
+      : null;
+    addCheck(
+      "faceBox",
+      {
+        value: face
+          ? {
+              x: face.x,
+              y: face.y,
+              width: face.width,
+              height: face.height,
+              score: face.score ?? null,
+            }
+          : null,
+        relativeSize: round(relativeSize, 3),
+        min: this.minFaceSize,
+        pass: relativeSize !== null && relativeSize >= this.minFaceSize,
+      },
+      relativeSize !== null
+        ? rangeScore(relativeSize, this.minFaceSize, Infinity)
+        : 0,
+      face
+        ? "Face too small. Move closer to the camera."
+        : "No face box available."
+    );
+
+    const scores = Object.values(checks).map((check) => check.score);
+    return {
+      passed: issues.length === 0,
+      score: parseFloat(
+        (scores.reduce((sum, value) => sum + value, 0) / scores.length).toFixed(
+          3
+        )
+      ),
+      checks,
+      issues,
+      profile: profile.name,
+      detector: this.detector.name,
+    };
   }
 
   // Complete enhanced face processing pipeline
-  async processFaceImage(imageBuffer) {
+  // options.targetSize sets the output size for the selected recognition model,
+  // options.profile the validation profile (default profile otherwise)
+  async processFaceImage(imageBuffer, options = {}) {
     try {
-      console.log("🔍 Starting enhanced face processing pipeline...");
+      const targetSize = options.targetSize || this.targetSize;
+      const profile = this.resolveProfile(options.profile);
+      console.log(
+        `🔍 Starting enhanced face processing pipeline (${profile.name} profile)...`
+      );
 
       // Step 1: Validate image quality and format
-      await this.validateImageQuality(imageBuffer);
+      await this.validateImageQuality(imageBuffer, profile.thresholds);
       console.log("✅ Step 1: Image quality validation passed");
 
       // Step 2: Comprehensive face detection and validation
-      await this.detectFace(imageBuffer);
+      const faceRegion = await this.detectFace(imageBuffer, profile.thresholds);
       console.log("✅ Step 2: Face detection and validation passed");
 
-      // Step 3: Preprocess image for AI model
-      const processedImage = await this.preprocessImage(imageBuffer);
-      console.log("✅ Step 3: Image preprocessing completed");
+      // Step 3: Pad the detected face box into a square crop
+      const metadata = await sharp(imageBuffer).metadata();
+      const {
+        landmarks: detectedLandmarks,
+        landmarkSource,
+        quality,
+        ...faceBox
+      } = faceRegion;
+      const cropBox = this.calculateCropBox(
+        faceBox,
+        metadata.width,
+        metadata.height
+      );
+      console.log(
+        `✅ Step 3: Face located at ${faceBox.width}x${faceBox.height} (${faceBox.x}, ${faceBox.y})`
+      );
+
+      // Step 4: Passive liveness check on the face crop
+      // Only scored here; verify and compare reject spoofs (embeddingService)
+      const liveness = await livenessService.assess(imageBuffer, cropBox);
+      if (liveness) {
+        console.log(
+          `✅ Step 4: Liveness scored ${liveness.score} (${liveness.method}, ${liveness.decision})`
+        );
+      }
+
+      // Step 5: Locate five facial landmarks
+      const { source, landmarks } = await landmarkService.detectLandmarks(
+        imageBuffer,
+        cropBox,
+        detectedLandmarks,
+        landmarkSource
+      );
+      console.log(`✅ Step 5: Landmarks estimated (${source})`);
+
+      // Step 6: Align to the ArcFace template, or fall back to the face crop
+      let aligned = null;
+      if (this.alignmentEnabled && landmarks) {
+        aligned = await this.alignFace(
+          imageBuffer,
+          cropBox,
+          landmarks,
+          targetSize
+        );
+      }
+      const processedImage = aligned
+        ? aligned.imageData
+        : await this.preprocessImage(imageBuffer, cropBox, targetSize);
+      console.log(
+        `✅ Step 6: Image preprocessing completed (${
+          aligned ? "aligned" : "cropped"
+        })`
+      );
 
       console.log(
         "🎉 Enhanced face processing pipeline completed successfully"
       );
-      return processedImage;
+      return {
+        imageData: processedImage,
+        faceBox,
+        cropBox,
+        landmarks: landmarks ? { source, points: landmarks } : null,
+        alignment: aligned
+          ? { applied: true, transform: aligned.transform }
+          : { applied: false, transform: null },
+        liveness,
+        quality: {
+          brightness: parseFloat(quality.brightness.toFixed(2)),
+          contrast: parseFloat(quality.contrast.toFixed(2)),
+          blurVariance: parseFloat(quality.blurVariance.toFixed(2)),
+          faceScore: faceBox.score,
+          alignmentResidual: aligned ? aligned.transform.residual : null,
+          profile: profile.name,
+        },
+      };
     } catch (error) {
       console.error(
         "❌ Enhanced face processing pipeline failed:",
@@ -758,17 +973,14 @@ class FaceDetectionService {
       );
 
       // Provide helpful error context
-      if (error.message.includes("dark") || error.message.includes("bright")) {
-        console.error("💡 Tip: Adjust lighting conditions and try again");
-      } else if (
-        error.message.includes("blurry") ||
-        error.message.includes("focus")
+      if (
+        error.code === "IMAGE_TOO_DARK" ||
+        error.code === "IMAGE_TOO_BRIGHT"
       ) {
+        console.error("💡 Tip: Adjust lighting conditions and try again");
+      } else if (error.code === "IMAGE_BLURRY") {
         console.error("💡 Tip: Ensure camera is focused and subject is still");
-      } else if (
-        error.message.includes("No face") ||
-        error.message.includes("Multiple faces")
-      ) {
+      } else if (error instanceof FaceDetectionError) {
         console.error(
           "💡 Tip: Use a clear photo with exactly one person facing the camera"
         );
@@ -779,18 +991,39 @@ class FaceDetectionService {
   }
 
   // Get detailed service information
+  // Image requirements are those of the default validation profile
   getDetectionInfo() {
+    const { name, thresholds } = this.resolveProfile();
     return {
       targetSize: `${this.targetSize}x${this.targetSize}`,
       minFaceSize: `${(this.minFaceSize * 100).toFixed(1)}% of image`,
       maxFaces: this.maxFaces,
-      blurThreshold: this.blurThreshold,
+      blurThreshold: thresholds.blurThreshold,
+      cropMargin: this.cropMargin,
+      alignment: {
+        enabled: this.alignmentEnabled,
+        maxResidual: this.alignmentMaxResidual,
+        landmarks: landmarkService.getLandmarkInfo(),
+      },
+      liveness: livenessService.getLivenessInfo(),
       supportedFormats: ["JPEG", "PNG", "WebP"],
-      minResolution: "min dimension ≥150px, max dimension ≥200px",
-      maxResolution: "4000x4000",
-      maxFileSize: "10MB",
-      detectionMethod:
-        "Enhanced multi-stage face detection with feature validation",
+      minResolution: `min dimension ≥${thresholds.minShortSide}px, max dimension ≥${thresholds.minLongSide}px`,
+      maxResolution: `${thresholds.maxDimension}x${thresholds.maxDimension}`,
+      maxFileSize: `${thresholds.maxFileSize / (1024 * 1024)}MB`,
+      validationProfile: {
+        name,
+        thresholds: { ...thresholds },
+        overrides: { ...this.profileOverrides },
+        available: Object.keys(this.validationProfiles),
+        config: this.profilesConfigPath,
+      },
+      detectionMethod: this.detector.getInfo().description,
+      detector: {
+        ...this.detector.getInfo(),
+        requested: this.detectorRequested,
+        fallback: this.detectorFallback,
+      },
+      analysisWorkers: analysisPool.getStats(),
       faceFeatures: [
         "Facial symmetry analysis",
         "Eye pattern detection",
@@ -817,4 +1050,12 @@ class FaceDetectionService {
   }
 }
 
+// 1 inside [min, max], otherwise the ratio between the value and the limit
+// it missed
+function rangeScore(value, min, max) {
+  if (value < min) return min > 0 ? Math.max(0, value) / min : 0;
+  if (value > max) return value > 0 ? max / value : 0;
+  return 1;
+}
+
 module.exports = new FaceDetectionService();
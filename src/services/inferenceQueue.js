@@ -0,0 +1,149 @@
+// Micro-batching scheduler for model inference
+// Requests are collected for up to maxWaitMs (or until maxBatchSize are
+// waiting) and run as one batched call. One batch runs at a time per queue;
+// requests arriving meanwhile form the next batch.
+class InferenceQueue {
+  // runBatch(inputs) receives an array of per-item inputs and must resolve to
+  // an array of results in the same order
+  constructor(runBatch, options = {}) {
+    this.runBatch = runBatch;
+    this.maxBatchSize = Math.max(1, options.maxBatchSize || 1);
+    this.maxWaitMs = Math.max(0, options.maxWaitMs || 0);
+    this.pending = [];
+    this.timer = null;
+    this.running = false;
+    // Number of recent batches kept for latency percentiles
+    this.windowSize = 1000;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      batches: 0,
+      items: 0,
+      failedBatches: 0,
+      batchSizes: {},
+      recentQueueMs: [],
+      recentInferenceMs: [],
+      maxQueueMs: 0,
+    };
+  }
+
+  // Queue one input, resolves with its result
+  enqueue(input) {
+    return this.enqueueMany([input]).then(([result]) => result);
+  }
+
+  // Queue several inputs together so they share a batch when it has room
+  enqueueMany(inputs) {
+    const queuedAt = Date.now();
+    const promises = inputs.map(
+      (input) =>
+        new Promise((resolve, reject) => {
+          this.pending.push({ input, resolve, reject, queuedAt });
+        })
+    );
+    this.schedule();
+    return Promise.all(promises);
+  }
+
+  schedule() {
+    if (this.running || this.pending.length === 0) return;
+
+    if (this.pending.length >= this.maxBatchSize || this.maxWaitMs === 0) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+    }
+  }
+
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.running || this.pending.length === 0) return;
+
+    this.running = true;
+    const batch = this.pending.splice(0, this.maxBatchSize);
+    const startedAt = Date.now();
+
+    try {
+      const results = await this.runBatch(batch.map((item) => item.input));
+      if (!Array.isArray(results) || results.length !== batch.length) {
+        throw new Error(
+          `Batched inference returned ${
+            results ? results.length : 0
+          } results for ${batch.length} inputs`
+        );
+      }
+      batch.forEach((item, index) => item.resolve(results[index]));
+    } catch (error) {
+      this.stats.failedBatches++;
+      batch.forEach((item) => item.reject(error));
+    } finally {
+      this.record(batch, startedAt);
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  record(batch, startedAt) {
+    const stats = this.stats;
+    stats.batches++;
+    stats.items += batch.length;
+    stats.batchSizes[batch.length] = (stats.batchSizes[batch.length] || 0) + 1;
+
+    for (const item of batch) {
+      const queueMs = startedAt - item.queuedAt;
+      stats.maxQueueMs = Math.max(stats.maxQueueMs, queueMs);
+      pushWindow(stats.recentQueueMs, queueMs, this.windowSize);
+    }
+    pushWindow(
+      stats.recentInferenceMs,
+      Date.now() - startedAt,
+      this.windowSize
+    );
+  }
+
+  // Batch size distribution and queue latency (milliseconds)
+  getStats() {
+    const { stats } = this;
+    return {
+      maxBatchSize: this.maxBatchSize,
+      maxWaitMs: this.maxWaitMs,
+      queued: this.pending.length,
+      batches: stats.batches,
+      items: stats.items,
+      failedBatches: stats.failedBatches,
+      averageBatchSize: stats.batches
+        ? parseFloat((stats.items / stats.batches).toFixed(2))
+        : 0,
+      batchSizes: { ...stats.batchSizes },
+      queueMs: {
+        p50: percentile(stats.recentQueueMs, 0.5),
+        p95: percentile(stats.recentQueueMs, 0.95),
+        max: stats.maxQueueMs,
+      },
+      inferenceMs: {
+        p50: percentile(stats.recentInferenceMs, 0.5),
+        p95: percentile(stats.recentInferenceMs, 0.95),
+      },
+    };
+  }
+}
+
+function pushWindow(values, value, size) {
+  values.push(value);
+  if (values.length > size) values.shift();
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[
+    Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))
+  ];
+}
+
+module.exports = InferenceQueue;
@@ -0,0 +1,142 @@
+const ort = require("onnxruntime-node");
+const sharp = require("sharp");
+const path = require("path");
+const fs = require("fs");
+const { pointsToLandmarks, LANDMARK_NAMES } = require("../utils/alignment");
+
+// Five-point facial landmark estimation
+// Uses an optional ONNX landmark model and falls back to the landmarks
+// reported by the face detector (CNN keypoints or edge heuristics)
+class LandmarkService {
+  constructor() {
+    this.modelPath =
+      process.env.LANDMARK_MODEL_PATH ||
+      path.join(__dirname, "../../models/landmarks.onnx");
+    this.inputSize = parseInt(process.env.LANDMARK_INPUT_SIZE) || 112;
+    this.session = null;
+  }
+
+  // Load the landmark model if one is present (optional)
+  async initialize() {
+    try {
+      if (!fs.existsSync(this.modelPath)) {
+        console.log("ℹ️ No landmark model found, using detector landmarks");
+        return false;
+      }
+
+      this.session = await ort.InferenceSession.create(this.modelPath, {
+        executionProviders: ["cpu"],
+        graphOptimizationLevel: "all",
+      });
+
+      console.log(`✅ Landmark model loaded from: ${this.modelPath}`);
+      return true;
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to load landmark model, using detector landmarks:",
+        error.message
+      );
+      this.session = null;
+      return false;
+    }
+  }
+
+  // Estimate landmarks in original image coordinates
+  // detectedLandmarks come from the face detector and are used without a model
+  async detectLandmarks(
+    imageBuffer,
+    cropBox,
+    detectedLandmarks = null,
+    detectedSource = "heuristic"
+  ) {
+    if (this.session) {
+      try {
+        const landmarks = await this.runLandmarkModel(imageBuffer, cropBox);
+        return { source: "onnx", landmarks };
+      } catch (error) {
+        console.warn(
+          "⚠️ Landmark model inference failed, using detector landmarks:",
+          error.message
+        );
+      }
+    }
+
+    if (detectedLandmarks) {
+      return { source: detectedSource, landmarks: detectedLandmarks };
+    }
+
+    return { source: "none", landmarks: null };
+  }
+
+  // Run the landmark model on the face crop
+  // Expects NCHW RGB input in [0, 1] and 10 output values (x1, y1, ..., x5, y5)
+  // either normalized to the crop or in input pixel units
+  async runLandmarkModel(imageBuffer, cropBox) {
+    const size = this.inputSize;
+    const pixels = await sharp(imageBuffer)
+      .extract({
+        left: cropBox.x,
+        top: cropBox.y,
+        width: cropBox.width,
+        height: cropBox.height,
+      })
+      .resize(size, size, { fit: "fill" })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const input = new Float32Array(3 * size * size);
+    const planeSize = size * size;
+    for (let i = 0; i < planeSize; i++) {
+      input[i] = pixels[i * 3] / 255;
+      input[planeSize + i] = pixels[i * 3 + 1] / 255;
+      input[2 * planeSize + i] = pixels[i * 3 + 2] / 255;
+    }
+
+    const feeds = {};
+    feeds[this.session.inputNames[0]] = new ort.Tensor("float32", input, [
+      1,
+      3,
+      size,
+      size,
+    ]);
+
+    const results = await this.session.run(feeds);
+    const output = Array.from(results[this.session.outputNames[0]].data);
+
+    if (output.length < LANDMARK_NAMES.length * 2) {
+      throw new Error(
+        `Unexpected landmark output size: ${output.length}, expected ${
+          LANDMARK_NAMES.length * 2
+        }`
+      );
+    }
+
+    // Normalized outputs stay within [0, 1]; anything larger is in pixels
+    const isNormalized = Math.max(...output.slice(0, 10)) <= 1.5;
+    const scaleX = isNormalized ? cropBox.width : cropBox.width / size;
+    const scaleY = isNormalized ? cropBox.height : cropBox.height / size;
+
+    const points = [];
+    for (let i = 0; i < LANDMARK_NAMES.length; i++) {
+      points.push([
+        cropBox.x + output[i * 2] * scaleX,
+        cropBox.y + output[i * 2 + 1] * scaleY,
+      ]);
+    }
+
+    return pointsToLandmarks(points);
+  }
+
+  // Get landmark stage information
+  getLandmarkInfo() {
+    return {
+      source: this.session ? "onnx" : "detector",
+      modelPath: this.session ? this.modelPath : null,
+      inputSize: this.session ? this.inputSize : null,
+      points: LANDMARK_NAMES,
+    };
+  }
+}
+
+module.exports = new LandmarkService();
@@ -0,0 +1,233 @@
+const ort = require("onnxruntime-node");
+const sharp = require("sharp");
+const path = require("path");
+const fs = require("fs");
+const analysisPool = require("./analysisPool");
+const {
+  SUPPORTED_LAYOUTS,
+  SUPPORTED_CHANNEL_ORDERS,
+  getTensorMetadata,
+  inferInputLayout,
+  resolveNormalization,
+  resolveOption,
+  getSidecarPath,
+  readSidecar,
+} = require("../utils/modelInput");
+
+// Passive (single-image) liveness / presentation attack detection
+// Scores the face crop with texture and frequency cues (see
+// faceAnalysis.computeLivenessCues). When an anti-spoofing ONNX model is
+// present it decides instead, the cues are still reported. Scores are in
+// [0, 1], higher meaning more likely a live face.
+class LivenessService {
+  constructor() {
+    this.enabled = process.env.LIVENESS_ENABLED !== "false";
+    // Scores are in [0, 1]; NaN or a threshold above 1 would reject every
+    // face
+    this.threshold = 0.5;
+    if (process.env.LIVENESS_THRESHOLD) {
+      const threshold = Number(process.env.LIVENESS_THRESHOLD);
+      if (Number.isFinite(threshold) && threshold >= 0 && threshold <= 1) {
+        this.threshold = threshold;
+      } else {
+        console.warn(
+          `⚠️ Invalid LIVENESS_THRESHOLD "${process.env.LIVENESS_THRESHOLD}", expected a number from 0 to 1. Using ${this.threshold}.`
+        );
+      }
+    }
+    this.modelPath =
+      process.env.LIVENESS_MODEL_PATH ||
+      path.join(__dirname, "../../models/antispoof.onnx");
+    // Side of the square crop scored by the cues
+    this.analysisSize = 128;
+    this.session = null;
+    this.modelConfig = null;
+  }
+
+  // Load the anti-spoofing model if one is present (optional)
+  // Layout and input size come from the ONNX metadata; normalization, channel
+  // order and the index of the "live" class from the sidecar JSON
+  // (antispoof.json) or LIVENESS_INPUT_SIZE, defaulting to [0, 1] RGB and
+  // class 1
+  async initialize() {
+    if (!this.enabled) {
+      console.log("ℹ️ Liveness detection disabled");
+      return false;
+    }
+
+    try {
+      if (!fs.existsSync(this.modelPath)) {
+        console.log(
+          "ℹ️ No anti-spoofing model found, using texture and frequency cues"
+        );
+        return false;
+      }
+
+      const session = await ort.InferenceSession.create(this.modelPath, {
+        executionProviders: ["cpu"],
+        graphOptimizationLevel: "all",
+      });
+
+      const sidecar = readSidecar(getSidecarPath(this.modelPath)) || {};
+      const input = getTensorMetadata(session, "input");
+      const inferred = input ? inferInputLayout(input.shape) : null;
+      this.modelConfig = {
+        inputSize:
+          (inferred && inferred.inputSize) ||
+          sidecar.inputSize ||
+          parseInt(process.env.LIVENESS_INPUT_SIZE) ||
+          80,
+        layout: resolveOption(
+          (inferred && inferred.layout) || sidecar.layout || "nchw",
+          SUPPORTED_LAYOUTS,
+          "layout"
+        ),
+        channelOrder: resolveOption(
+          sidecar.channelOrder || "rgb",
+          SUPPORTED_CHANNEL_ORDERS,
+          "channel order"
+        ),
+        normalization: resolveNormalization(sidecar.normalization || "unit"),
+        liveIndex: sidecar.liveIndex !== undefined ? sidecar.liveIndex : 1,
+      };
+      this.session = session;
+
+      console.log(`✅ Anti-spoofing model loaded from: ${this.modelPath}`);
+      return true;
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to load anti-spoofing model, using texture and frequency cues:",
+        error.message
+      );
+      this.session = null;
+      this.modelConfig = null;
+      return false;
+    }
+  }
+
+  // Score the face inside cropBox (original image coordinates)
+  // Returns { score, decision, threshold, method, cues } or null when disabled
+  async assess(imageBuffer, cropBox) {
+    if (!this.enabled) return null;
+
+    const size = this.analysisSize;
+    const crop = await sharp(imageBuffer)
+      .extract({
+        left: cropBox.x,
+        top: cropBox.y,
+        width: cropBox.width,
+        height: cropBox.height,
+      })
+      .resize(size, size, { fit: "fill" })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const { score: cueScore, cues } = await analysisPool.run("livenessCues", [
+      crop,
+      size,
+    ]);
+
+    let score = cueScore;
+    let method = "heuristic";
+    if (this.session) {
+      try {
+        score = await this.runModel(imageBuffer, cropBox);
+        method = "onnx";
+      } catch (error) {
+        console.warn(
+          "⚠️ Anti-spoofing model inference failed, using texture and frequency cues:",
+          error.message
+        );
+      }
+    }
+
+    return {
+      score: parseFloat(score.toFixed(4)),
+      decision: score >= this.threshold ? "live" : "spoof",
+      threshold: this.threshold,
+      method,
+      cues,
+    };
+  }
+
+  // Run the anti-spoofing model on the face crop
+  // One output value is read as a live logit, several as class scores
+  async runModel(imageBuffer, cropBox) {
+    const { inputSize, layout, channelOrder, normalization, liveIndex } =
+      this.modelConfig;
+    const pixels = await sharp(imageBuffer)
+      .extract({
+        left: cropBox.x,
+        top: cropBox.y,
+        width: cropBox.width,
+        height: cropBox.height,
+      })
+      .resize(inputSize, inputSize, { fit: "fill" })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const planeSize = inputSize * inputSize;
+    const input = new Float32Array(3 * planeSize);
+    const { mean, std } = normalization;
+    const swap = channelOrder === "bgr";
+    for (let i = 0; i < planeSize; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = (pixels[i * 3 + (swap ? 2 - c : c)] - mean[c]) / std[c];
+        input[layout === "nchw" ? c * planeSize + i : i * 3 + c] = value;
+      }
+    }
+
+    const dims =
+      layout === "nchw"
+        ? [1, 3, inputSize, inputSize]
+        : [1, inputSize, inputSize, 3];
+    const feeds = {};
+    feeds[this.session.inputNames[0]] = new ort.Tensor("float32", input, dims);
+
+    const results = await this.session.run(feeds);
+    const output = Array.from(results[this.session.outputNames[0]].data);
+
+    if (output.length === 1) {
+      return 1 / (1 + Math.exp(-output[0]));
+    }
+    if (liveIndex >= output.length) {
+      throw new Error(
+        `Live class index ${liveIndex} is outside the ${output.length} model outputs`
+      );
+    }
+
+    // Softmax unless the outputs already are probabilities
+    const isProbability =
+      output.every((value) => value >= 0 && value <= 1) &&
+      Math.abs(output.reduce((sum, value) => sum + value, 0) - 1) < 1e-3;
+    if (isProbability) return output[liveIndex];
+
+    const max = Math.max(...output);
+    const exps = output.map((value) => Math.exp(value - max));
+    return exps[liveIndex] / exps.reduce((sum, value) => sum + value, 0);
+  }
+
+  // Get liveness stage information
+  getLivenessInfo() {
+    return {
+      enabled: this.enabled,
+      method: this.session ? "onnx" : "heuristic",
+      threshold: this.threshold,
+      modelPath: this.session ? this.modelPath : null,
+      model: this.modelConfig
+        ? {
+            inputSize: this.modelConfig.inputSize,
+            layout: this.modelConfig.layout,
+            channelOrder: this.modelConfig.channelOrder,
+            liveIndex: this.modelConfig.liveIndex,
+          }
+        : null,
+      cues: ["highFrequency", "moire", "halftone", "glare"],
+      enforcedOn: ["/api/verify", "/api/compare"],
+    };
+  }
+}
+
+module.exports = new LivenessService();
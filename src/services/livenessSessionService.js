@@ -0,0 +1,549 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const embeddingService = require("./embeddingService");
+const faceDetection = require("./faceDetection");
+const livenessService = require("./livenessService");
+const landmarkService = require("./landmarkService");
+const { resolveModelName, getDefaultModelName } = require("./modelService");
+const {
+  calculateCosineSimilarity,
+  computeCentroid,
+} = require("../utils/similarity");
+const {
+  FaceDetectionError,
+  NotFoundError,
+  ConflictError,
+  LivenessError,
+  ServiceUnavailableError,
+} = require("../utils/errors");
+
+// Actions a challenge is built from and the instruction shown for each
+// Directions are the subject's own, seen by an unmirrored camera
+const CHALLENGE_ACTIONS = {
+  turn_left: "Turn your head to your left",
+  turn_right: "Turn your head to your right",
+  blink: "Blink",
+};
+const TURN_ACTIONS = ["turn_left", "turn_right"];
+
+// Landmark sources that locate the nose tip; the edge heuristic only places
+// the nose between the eyes, so the yaw it gives is always 0
+const MODEL_LANDMARK_SOURCES = ["onnx", "detector"];
+
+// Challenge-response (active) liveness sessions
+// A session issues a random sequence of actions; the client records the
+// subject performing them and uploads the frames once. The session passes
+// when the face track is continuous, every frame shows the same identity,
+// the landmark motion matches the challenge in order and the passive liveness
+// scores are above threshold. A passed session can be used once, instead of
+// an image, for /api/verify. Sessions live in memory and expire after
+// LIVENESS_SESSION_TTL_MS.
+class LivenessSessionService {
+  constructor() {
+    this.ttlMs = parseInt(process.env.LIVENESS_SESSION_TTL_MS) || 120000;
+    this.maxSessions = parseInt(process.env.LIVENESS_MAX_SESSIONS) || 1000;
+    this.challengeSteps = Math.min(
+      Math.max(parseInt(process.env.LIVENESS_CHALLENGE_STEPS) || 2, 1),
+      Object.keys(CHALLENGE_ACTIONS).length
+    );
+    this.minFrames = parseInt(process.env.LIVENESS_SESSION_MIN_FRAMES) || 3;
+    this.maxFrames = parseInt(process.env.LIVENESS_SESSION_MAX_FRAMES) || 10;
+    // Nose offset from the eye midpoint, in interocular distances, that
+    // counts as a head turn relative to the first frame
+    this.yawThreshold = 0.15;
+    // Eye region contrast relative to the session median: closed below
+    // blinkClosedRatio, open again above blinkOpenRatio
+    this.blinkClosedRatio = 0.75;
+    this.blinkOpenRatio = 0.9;
+    // Largest face box movement between consecutive frames (box widths) and
+    // size change (ratio) before the track counts as broken
+    this.maxMotion = 0.5;
+    this.maxScaleChange = 1.5;
+    this.sessions = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), 30000);
+    this.sweepTimer.unref();
+  }
+
+  // Start a session with a random challenge
+  // options.model, options.tta and options.profile apply to every frame and
+  // to the verification the session is later used for
+  createSession(options = {}) {
+    this.sweep();
+    if (this.sessions.size >= this.maxSessions) {
+      throw new ServiceUnavailableError(
+        "LIVENESS_SESSIONS_FULL",
+        `Too many open liveness sessions (${this.maxSessions}). Try again shortly.`
+      );
+    }
+
+    const model = options.model
+      ? resolveModelName(options.model)
+      : getDefaultModelName();
+    const tta = embeddingService.resolveTta(options.tta);
+    const profile = faceDetection.resolveProfile(options.profile).name;
+
+    // Random actions without repeats, in random order
+    const actions = this.getAvailableActions();
+    for (let i = actions.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [actions[i], actions[j]] = [actions[j], actions[i]];
+    }
+    const challenge = actions.slice(0, this.challengeSteps);
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      challenge,
+      model,
+      tta,
+      profile,
+      status: "pending",
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      result: null,
+      probe: null,
+    };
+    this.sessions.set(session.id, session);
+
+    console.log(
+      `🎬 Liveness session ${session.id} started: ${challenge.join(" → ")}`
+    );
+    return this.describeSession(session);
+  }
+
+  // Head turns need landmarks from a model: the ONNX landmark model, or the
+  // keypoints of the ONNX detector
+  supportsHeadTurns() {
+    return Boolean(
+      landmarkService.session ||
+        (faceDetection.detector && faceDetection.detector.name === "onnx")
+    );
+  }
+
+  // Actions a challenge can be built from with the loaded models
+  getAvailableActions() {
+    const actions = Object.keys(CHALLENGE_ACTIONS);
+    return this.supportsHeadTurns()
+      ? actions
+      : actions.filter((action) => !TURN_ACTIONS.includes(action));
+  }
+
+  // Look up an open session, expired sessions are gone
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      throw new NotFoundError(
+        "LIVENESS_SESSION_NOT_FOUND",
+        `Liveness session ${sessionId} not found or expired`
+      );
+    }
+    return session;
+  }
+
+  // Session state for API responses
+  describeSession(session) {
+    return {
+      sessionId: session.id,
+      status: session.status,
+      challenge: session.challenge.map((action) => ({
+        action,
+        instruction: CHALLENGE_ACTIONS[action],
+      })),
+      model: session.model,
+      tta: session.tta,
+      profile: session.profile,
+      frames: { min: this.minFrames, max: this.maxFrames },
+      createdAt: new Date(session.createdAt).toISOString(),
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      ...(session.result ? { result: session.result } : {}),
+    };
+  }
+
+  // Evaluate the uploaded frames (in capture order) against the challenge
+  // Each session accepts one upload, so a failed challenge cannot be retried
+  // frame by frame; start a new session instead
+  async submitFrames(sessionId, frameBuffers) {
+    const session = this.getSession(sessionId);
+    if (session.status !== "pending") {
+      throw new ConflictError(
+        "LIVENESS_SESSION_CLOSED",
+        `Liveness session ${sessionId} already received its frames (${session.status})`
+      );
+    }
+    session.status = "processing";
+
+    try {
+      console.log(
+        `🎬 Liveness session ${sessionId}: analysing ${frameBuffers.length} frames...`
+      );
+
+      // Frames that fail detection or quality are reported and skipped
+      const settled = await Promise.allSettled(
+        frameBuffers.map((buffer) => this.analyzeFrame(buffer, session))
+      );
+      const frames = settled.map((outcome, index) =>
+        outcome.status === "fulfilled"
+          ? { index, ok: true, ...outcome.value }
+          : {
+              index,
+              ok: false,
+              code: outcome.reason.code || "INTERNAL_ERROR",
+              error: outcome.reason.message,
+            }
+      );
+      const usable = frames.filter((frame) => frame.ok);
+
+      const checks = {
+        frameCount: {
+          value: usable.length,
+          min: this.minFrames,
+          pass: usable.length >= this.minFrames,
+        },
+      };
+      if (checks.frameCount.pass) {
+        checks.tracking = this.checkTracking(usable);
+        checks.identity = this.checkIdentity(usable);
+        checks.challenge = this.checkChallenge(session.challenge, usable);
+        checks.passiveLiveness = this.checkPassiveLiveness(usable);
+      }
+
+      const passed = Object.values(checks).every((check) => check.pass);
+      session.status = passed ? "passed" : "failed";
+      session.result = {
+        passed,
+        checks,
+        frames: frames.map(({ embedding, eyeContrast, ...frame }) => ({
+          ...frame,
+          ...(frame.ok
+            ? { eyeContrast: parseFloat(eyeContrast.toFixed(2)) }
+            : {}),
+        })),
+      };
+      if (passed) {
+        session.probe = this.buildProbe(session, usable);
+      }
+
+      console.log(
+        `${passed ? "✅" : "❌"} Liveness session ${sessionId} ${
+          session.status
+        } (${usable.length}/${frames.length} usable frames)`
+      );
+      return this.describeSession(session);
+    } catch (error) {
+      session.status = "failed";
+      throw error;
+    }
+  }
+
+  // Embedding, face box, head yaw and eye contrast of one frame
+  async analyzeFrame(imageBuffer, session) {
+    const { embedding, face, liveness } =
+      await embeddingService.createEmbedding(imageBuffer, {
+        model: session.model,
+        tta: session.tta,
+        profile: session.profile,
+      });
+    if (!face.landmarks) {
+      throw new FaceDetectionError(
+        "LANDMARKS_NOT_FOUND",
+        "No facial landmarks found, head motion cannot be tracked"
+      );
+    }
+
+    const points = face.landmarks.points;
+    const eyeMidX = (points.leftEye.x + points.rightEye.x) / 2;
+    const interocular = Math.hypot(
+      points.rightEye.x - points.leftEye.x,
+      points.rightEye.y - points.leftEye.y
+    );
+    if (interocular < 1) {
+      throw new FaceDetectionError(
+        "LANDMARKS_NOT_FOUND",
+        "Eye landmarks coincide, head motion cannot be tracked"
+      );
+    }
+    if (
+      session.challenge.some((action) => TURN_ACTIONS.includes(action)) &&
+      !MODEL_LANDMARK_SOURCES.includes(face.landmarks.source)
+    ) {
+      throw new FaceDetectionError(
+        "LANDMARKS_NOT_FOUND",
+        `Head turns cannot be measured from ${face.landmarks.source} landmarks`
+      );
+    }
+
+    return {
+      box: face.box,
+      yaw: parseFloat(((points.nose.x - eyeMidX) / interocular).toFixed(3)),
+      eyeContrast: await this.measureEyeContrast(
+        imageBuffer,
+        points,
+        interocular
+      ),
+      liveness: liveness
+        ? { score: liveness.score, decision: liveness.decision }
+        : null,
+      embedding,
+    };
+  }
+
+  // Grey level standard deviation around both eyes
+  // An open eye (iris, sclera, lids) has far more contrast than a closed lid
+  async measureEyeContrast(imageBuffer, points, interocular) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const side = Math.max(4, Math.round(interocular * 0.35));
+
+    let total = 0;
+    for (const eye of [points.leftEye, points.rightEye]) {
+      const left = Math.min(
+        Math.max(0, Math.round(eye.x - side / 2)),
+        width - side
+      );
+      const top = Math.min(
+        Math.max(0, Math.round(eye.y - side / 2)),
+        height - side
+      );
+      const stats = await sharp(imageBuffer)
+        .extract({ left, top, width: side, height: side })
+        .greyscale()
+        .stats();
+      total += stats.channels[0].stdev;
+    }
+    return total / 2;
+  }
+
+  // The face box must move and scale smoothly between consecutive frames,
+  // a jump suggests frames spliced from different captures
+  checkTracking(frames) {
+    let maxMotion = 0;
+    let maxScaleChange = 1;
+    for (let i = 1; i < frames.length; i++) {
+      const a = frames[i - 1].box;
+      const b = frames[i].box;
+      const motion =
+        Math.hypot(
+          b.x + b.width / 2 - (a.x + a.width / 2),
+          b.y + b.height / 2 - (a.y + a.height / 2)
+        ) / Math.max(a.width, b.width);
+      const scale =
+        Math.max(a.width, b.width) / Math.max(1, Math.min(a.width, b.width));
+      maxMotion = Math.max(maxMotion, motion);
+      maxScaleChange = Math.max(maxScaleChange, scale);
+    }
+
+    return {
+      maxMotion: parseFloat(maxMotion.toFixed(3)),
+      maxScaleChange: parseFloat(maxScaleChange.toFixed(3)),
+      thresholds: {
+        maxMotion: this.maxMotion,
+        maxScaleChange: this.maxScaleChange,
+      },
+      pass:
+        maxMotion <= this.maxMotion && maxScaleChange <= this.maxScaleChange,
+    };
+  }
+
+  // Every frame must match the centroid of all frames
+  checkIdentity(frames) {
+    const centroid = computeCentroid(frames.map((frame) => frame.embedding));
+    const minSimilarity = Math.min(
+      ...frames.map((frame) =>
+        calculateCosineSimilarity(centroid, frame.embedding)
+      )
+    );
+
+    return {
+      minSimilarity: parseFloat(minSimilarity.toFixed(4)),
+      threshold: embeddingService.similarityThreshold,
+      pass: minSimilarity >= embeddingService.similarityThreshold,
+    };
+  }
+
+  // Find each challenge action in order; an action has to start at or after
+  // the frame where the previous one was completed
+  checkChallenge(challenge, frames) {
+    const baselineYaw = frames[0].yaw;
+    const sortedContrast = frames
+      .map((frame) => frame.eyeContrast)
+      .sort((a, b) => a - b);
+    const medianContrast =
+      sortedContrast[Math.floor(sortedContrast.length / 2)];
+
+    const steps = [];
+    let cursor = 0;
+    for (const action of challenge) {
+      const position =
+        action === "blink"
+          ? this.findBlink(frames, cursor, medianContrast)
+          : this.findTurn(frames, cursor, action, baselineYaw);
+      steps.push({
+        action,
+        performed: position !== -1,
+        frame: position !== -1 ? frames[position].index : -1,
+      });
+      if (position === -1) break;
+      cursor = position;
+    }
+    for (const action of challenge.slice(steps.length)) {
+      steps.push({ action, performed: false, frame: -1 });
+    }
+
+    return {
+      steps,
+      pass: steps.every((step) => step.performed),
+    };
+  }
+
+  // Position of the first frame from start whose yaw moved past the
+  // threshold in the requested direction; turning to the subject's left moves
+  // the nose towards the right of the image
+  findTurn(frames, start, action, baselineYaw) {
+    const direction = action === "turn_left" ? 1 : -1;
+    for (let i = start; i < frames.length; i++) {
+      if ((frames[i].yaw - baselineYaw) * direction >= this.yawThreshold) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Open, closed, then open again; returns the position of the frame where
+  // the eyes reopened
+  findBlink(frames, start, medianContrast) {
+    let phase = "waitOpen";
+    for (let i = start; i < frames.length; i++) {
+      const ratio = frames[i].eyeContrast / Math.max(medianContrast, 1e-6);
+      if (phase === "waitOpen" && ratio >= this.blinkOpenRatio) {
+        phase = "waitClosed";
+      } else if (phase === "waitClosed" && ratio <= this.blinkClosedRatio) {
+        phase = "waitReopen";
+      } else if (phase === "waitReopen" && ratio >= this.blinkOpenRatio) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Median passive liveness score of the frames (see livenessService)
+  checkPassiveLiveness(frames) {
+    const scores = frames
+      .filter((frame) => frame.liveness)
+      .map((frame) => frame.liveness.score)
+      .sort((a, b) => a - b);
+    if (scores.length === 0) {
+      return { score: null, threshold: null, pass: true };
+    }
+
+    const score = scores[Math.floor(scores.length / 2)];
+    return {
+      score,
+      threshold: livenessService.threshold,
+      pass: score >= livenessService.threshold,
+    };
+  }
+
+  // Probe used for verification: centroid of the near-frontal frames
+  buildProbe(session, frames) {
+    const baselineYaw = frames[0].yaw;
+    const frontal = frames.filter(
+      (frame) => Math.abs(frame.yaw - baselineYaw) < this.yawThreshold
+    );
+    const selected = frontal.length > 0 ? frontal : frames;
+
+    return {
+      embedding: computeCentroid(selected.map((frame) => frame.embedding)),
+      face: { box: selected[0].box, frames: selected.map((f) => f.index) },
+      liveness: {
+        score: session.result.checks.passiveLiveness.score,
+        decision: "live",
+        threshold: livenessService.threshold,
+        method: "session",
+        sessionId: session.id,
+        challenge: session.challenge,
+      },
+      model: session.model,
+      tta: session.tta,
+    };
+  }
+
+  // Take a passed session for verification; each session is used once
+  // The session stays claimed until settle() is called with the outcome of
+  // the verification, so concurrent requests cannot use it twice
+  consume(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session.status === "consumed") {
+      throw new NotFoundError(
+        "LIVENESS_SESSION_NOT_FOUND",
+        `Liveness session ${sessionId} has already been used`
+      );
+    }
+    if (session.status === "pending" || session.status === "processing") {
+      throw new ConflictError(
+        "LIVENESS_SESSION_PENDING",
+        `Liveness session ${sessionId} has not been completed yet`
+      );
+    }
+
+    if (session.status !== "passed") {
+      this.sessions.delete(sessionId);
+      throw new LivenessError(
+        "LIVENESS_CHECK_FAILED",
+        `Liveness session ${sessionId} did not pass the challenge`,
+        { sessionId, method: "session" }
+      );
+    }
+    session.status = "consumed";
+    return session.probe;
+  }
+
+  // Finish a consumed session: it is gone once the verification ran, unless
+  // the verification failed on the server's side (restore), then it can be
+  // used again until it expires
+  settle(sessionId, restore = false) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.status !== "consumed") return;
+
+    if (restore) {
+      session.status = "passed";
+      console.log(`↩️ Liveness session ${sessionId} restored after an error`);
+    } else {
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  // Drop expired sessions
+  sweep() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  // Get liveness session settings
+  getInfo() {
+    return {
+      activeSessions: this.sessions.size,
+      maxSessions: this.maxSessions,
+      ttlMs: this.ttlMs,
+      challengeSteps: this.challengeSteps,
+      actions: this.getAvailableActions(),
+      headTurns: this.supportsHeadTurns(),
+      frames: { min: this.minFrames, max: this.maxFrames },
+      yawThreshold: this.yawThreshold,
+      blink: {
+        closedRatio: this.blinkClosedRatio,
+        openRatio: this.blinkOpenRatio,
+      },
+      tracking: {
+        maxMotion: this.maxMotion,
+        maxScaleChange: this.maxScaleChange,
+      },
+    };
+  }
+}
+
+module.exports = new LivenessSessionService();
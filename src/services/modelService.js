@@ -1,142 +1,626 @@
 const ort = require("onnxruntime-node");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const {
+  SUPPORTED_LAYOUTS,
+  SUPPORTED_CHANNEL_ORDERS,
+  getTensorMetadata,
+  inferInputLayout,
+  resolveNormalization,
+  resolveOption,
+  getSidecarPath,
+  readSidecar,
+} = require("../utils/modelInput");
+const InferenceQueue = require("./inferenceQueue");
+const {
+  ValidationError,
+  ConflictError,
+  ServiceUnavailableError,
+} = require("../utils/errors");
 
-let session = null;
+// Registry of loaded recognition models, keyed by name
+// Each entry: { name, config, session, queue, status, error, version, fingerprint, loadedAt }
+const models = new Map();
+let defaultModelName = null;
 
-// Initialize the ONNX model
-async function initializeModel() {
-  try {
-    const modelPath =
-      process.env.MODEL_PATH ||
-      path.join(__dirname, "../../models/arcface.onnx");
+// Shortest fingerprint prefix accepted when matching (compact encodings
+// carry the first 16 hex characters)
+const MIN_FINGERPRINT_LENGTH = 16;
+
+// Micro-batching: concurrent requests are collected for up to
+// INFERENCE_BATCH_WAIT_MS or until INFERENCE_BATCH_SIZE are waiting
+// (at least 1 request, 0 ms or more; invalid values use the defaults)
+const BATCH_SIZE = Math.max(1, parseInt(process.env.INFERENCE_BATCH_SIZE) || 8);
+const BATCH_WAIT_MS =
+  parseInt(process.env.INFERENCE_BATCH_WAIT_MS) >= 0
+    ? parseInt(process.env.INFERENCE_BATCH_WAIT_MS)
+    : 5;
+
+// Input settings for models whose metadata, sidecar and registry entry leave
+// them open: the bundled ArcFace export
+const DEFAULT_INPUT_SETTINGS = {
+  inputSize: 112,
+  layout: "nhwc",
+  channelOrder: "rgb",
+  normalization: "arcface",
+};
+
+// Read the model registry configuration
+// MODELS_CONFIG points to a JSON file:
+// { "default": "arcface", "models": { "arcface": { "path": "arcface.onnx", ... } } }
+// Without a config file a single "arcface" model is loaded from MODEL_PATH
+function loadModelsConfig() {
+  const configPath =
+    process.env.MODELS_CONFIG ||
+    path.join(__dirname, "../../models/models.json");
+
+  if (!fs.existsSync(configPath)) {
+    if (process.env.MODELS_CONFIG) {
+      throw new Error(`Model config file not found at: ${configPath}`);
+    }
+
+    return {
+      default: "arcface",
+      models: {
+        arcface: {
+          path:
+            process.env.MODEL_PATH ||
+            path.join(__dirname, "../../models/arcface.onnx"),
+          version: process.env.MODEL_VERSION,
+        },
+      },
+    };
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const entries = Object.entries(config.models || {});
+  if (entries.length === 0) {
+    throw new Error(`Model config ${configPath} does not define any models`);
+  }
+
+  // Model and sidecar paths are relative to the config file
+  const configDir = path.dirname(configPath);
+  const modelConfigs = {};
+  for (const [name, entry] of entries) {
+    if (!entry.path) {
+      throw new Error(`Model "${name}" in ${configPath} has no path`);
+    }
+    modelConfigs[name] = {
+      ...entry,
+      path: path.resolve(configDir, entry.path),
+      sidecar: entry.sidecar ? path.resolve(configDir, entry.sidecar) : null,
+    };
+  }
+
+  return {
+    default: config.default || entries[0][0],
+    models: modelConfigs,
+  };
+}
+
+// Work out how to feed a loaded model
+// Layout, input size and embedding dimension come from the ONNX metadata when
+// it defines them; normalization and channel order come from the registry
+// entry, then the sidecar file, then the ArcFace defaults
+function resolveInputSettings(name, config, session) {
+  const sidecarPath = config.sidecar || getSidecarPath(config.path);
+  const sidecar = readSidecar(sidecarPath);
+  if (config.sidecar && !sidecar) {
+    throw new Error(`Model sidecar file not found at: ${config.sidecar}`);
+  }
+
+  const sources = {};
+  const declared = (key) => {
+    if (config[key] !== undefined)
+      return { value: config[key], source: "registry" };
+    if (sidecar && sidecar[key] !== undefined) {
+      return { value: sidecar[key], source: "sidecar" };
+    }
+    return null;
+  };
+  const pick = (key, detected, parse) => {
+    const option = declared(key);
+    const value = option ? parse(option.value) : null;
+    if (detected) {
+      if (option && value !== detected) {
+        console.warn(
+          `⚠️ Model "${name}": ${key} ${value} from the ${option.source} config contradicts the ONNX input metadata (${detected}), using the metadata`
+        );
+      }
+      sources[key] = "metadata";
+      return detected;
+    }
+    if (option) {
+      sources[key] = option.source;
+      return value;
+    }
+    sources[key] = "default";
+    return DEFAULT_INPUT_SETTINGS[key] !== undefined
+      ? parse(DEFAULT_INPUT_SETTINGS[key])
+      : null;
+  };
 
+  const input = getTensorMetadata(session, "input");
+  const detected = input ? inferInputLayout(input.shape) : null;
+  const output = getTensorMetadata(session, "output");
+  const outputDimension =
+    output &&
+    output.shape &&
+    Number.isInteger(output.shape[output.shape.length - 1])
+      ? output.shape[output.shape.length - 1]
+      : null;
+
+  const inputSize = pick(
+    "inputSize",
+    detected && detected.inputSize,
+    (value) => {
+      const size = parseInt(value);
+      if (!size || size < 16) {
+        throw new Error(`Model "${name}" has invalid inputSize ${value}`);
+      }
+      return size;
+    }
+  );
+
+  return {
+    inputName: session.inputNames[0],
+    layout: pick("layout", detected && detected.layout, (value) =>
+      resolveOption(value, SUPPORTED_LAYOUTS, "layout")
+    ),
+    inputSize,
+    channelOrder: pick("channelOrder", null, (value) =>
+      resolveOption(value, SUPPORTED_CHANNEL_ORDERS, "channel order")
+    ),
+    normalization: pick("normalization", null, resolveNormalization),
+    embeddingDimension: pick(
+      "embeddingDimension",
+      outputDimension,
+      (value) => parseInt(value) || null
+    ),
+    sidecar: sidecar ? sidecarPath : null,
+    sources,
+  };
+}
+
+// Load every configured model
+// Failures are recorded per model; only a failing default model is fatal
+async function initializeModels() {
+  const config = loadModelsConfig();
+  defaultModelName = process.env.DEFAULT_MODEL || config.default;
+
+  if (!config.models[defaultModelName]) {
+    throw new Error(
+      `Default model "${defaultModelName}" is not defined. Available: ${Object.keys(
+        config.models
+      ).join(", ")}`
+    );
+  }
+
+  for (const [name, modelConfig] of Object.entries(config.models)) {
+    await loadModel(name, modelConfig);
+  }
+
+  const defaultModel = models.get(defaultModelName);
+  if (defaultModel.status !== "ready") {
+    throw new Error(
+      `Default model "${defaultModelName}" failed to load: ${defaultModel.error}`
+    );
+  }
+
+  console.log(
+    `✅ ${
+      [...models.values()].filter((model) => model.status === "ready").length
+    }/${models.size} models loaded, default: ${defaultModelName}`
+  );
+  return listModels();
+}
+
+// Load one model into the registry
+async function loadModel(name, config) {
+  const entry = {
+    name,
+    config,
+    session: null,
+    queue: null,
+    status: "loading",
+    error: null,
+    version: config.version || path.basename(config.path, ".onnx"),
+    fingerprint: null,
+    loadedAt: null,
+  };
+  models.set(name, entry);
+
+  try {
     // Check if model file exists
-    if (!fs.existsSync(modelPath)) {
-      throw new Error(`Model file not found at: ${modelPath}`);
+    if (!fs.existsSync(config.path)) {
+      throw new Error(`Model file not found at: ${config.path}`);
     }
 
-    console.log(`Loading model from: ${modelPath}`);
+    console.log(`Loading model "${name}" from: ${config.path}`);
 
     // Create inference session
-    session = await ort.InferenceSession.create(modelPath, {
+    entry.session = await ort.InferenceSession.create(config.path, {
       executionProviders: ["cpu"], // Use CPU provider for compatibility
       graphOptimizationLevel: "all",
     });
 
-    console.log("✅ ArcFace ONNX model loaded successfully");
-    console.log("📊 Model input shape:", session.inputNames);
-    console.log("📊 Model output shape:", session.outputNames);
+    entry.config = {
+      ...config,
+      ...resolveInputSettings(name, config, entry.session),
+    };
+    entry.queue = new InferenceQueue((inputs) => runBatch(entry, inputs), {
+      maxBatchSize: getMaxBatchSize(config, entry.session),
+      maxWaitMs: BATCH_WAIT_MS,
+    });
+    entry.fingerprint = await computeModelFingerprint(entry);
+    entry.status = "ready";
+    entry.loadedAt = new Date().toISOString();
 
-    return session;
+    console.log(`✅ Model "${name}" loaded successfully`);
+    console.log(`🔏 Model fingerprint: ${entry.fingerprint}`);
+    console.log(
+      `📦 Inference batching: up to ${entry.queue.maxBatchSize} per batch, ${entry.queue.maxWaitMs}ms window`
+    );
+    console.log(
+      `📊 Model input: ${entry.config.layout.toUpperCase()} ${
+        entry.config.inputSize
+      }x${entry.config.inputSize} ${entry.config.channelOrder.toUpperCase()}, ${
+        entry.config.embeddingDimension || "?"
+      }D output (${Object.entries(entry.config.sources)
+        .map(([key, source]) => `${key}: ${source}`)
+        .join(", ")})`
+    );
   } catch (error) {
-    console.error("❌ Failed to load ONNX model:", error);
-    throw error;
+    entry.status = "failed";
+    entry.error = error.message;
+    entry.session = null;
+    entry.queue = null;
+    console.error(`❌ Failed to load ONNX model "${name}":`, error);
   }
+
+  return entry;
 }
 
-// Generate embedding from preprocessed face image
-async function generateEmbedding(imageData) {
-  try {
-    if (!session) {
-      throw new Error("Model not initialized. Call initializeModel() first.");
-    }
+// Resolve a requested model name, the default model when none is given
+function resolveModelName(name) {
+  const modelName = name || defaultModelName;
+  if (!models.has(modelName)) {
+    throw new ValidationError(
+      "UNKNOWN_MODEL",
+      `Invalid model: ${modelName}. Available models: ${[...models.keys()].join(
+        ", "
+      )}`
+    );
+  }
+  return modelName;
+}
+
+// Get a loaded model entry
+function getModel(name) {
+  const model = models.get(resolveModelName(name));
+  if (model.status !== "ready") {
+    throw new ServiceUnavailableError(
+      "MODEL_NOT_LOADED",
+      `Model ${model.name} is not loaded (${model.status}${
+        model.error ? `: ${model.error}` : ""
+      })`
+    );
+  }
+  return model;
+}
 
-    // Validate input dimensions
-    if (!imageData || imageData.length !== 112 * 112 * 3) {
-      throw new Error("Invalid input data. Expected 112x112x3 RGB image data.");
+// Get the configuration (input size, layout, normalization) of a model
+function getModelConfig(name) {
+  return models.get(resolveModelName(name)).config;
+}
+
+// Find the loaded model that produced embeddings with this fingerprint
+function findModelByFingerprint(fingerprint) {
+  if (!fingerprint) return null;
+  for (const model of models.values()) {
+    if (model.status === "ready" && fingerprintMatches(model, fingerprint)) {
+      return model.name;
     }
+  }
+  return null;
+}
+
+// Largest batch a model accepts: the configured size (registry
+// maxBatchSize or INFERENCE_BATCH_SIZE), capped by a fixed batch dimension
+function getMaxBatchSize(config, session) {
+  const configured = parseInt(config.maxBatchSize) || BATCH_SIZE;
+  const input = getTensorMetadata(session, "input");
+  const batchDimension = input && input.shape ? input.shape[0] : null;
+  return Number.isInteger(batchDimension) && batchDimension > 0
+    ? Math.min(configured, batchDimension)
+    : configured;
+}
 
-    // Reshape data to [1, 112, 112, 3] format (NHWC)
-    const batchSize = 1;
-    const height = 112;
-    const width = 112;
-    const channels = 3;
+// Convert interleaved RGB pixels to one normalized model input
+// Channels are reordered and normalized as the model expects
+function prepareInput(model, imageData) {
+  const { inputSize, layout, channelOrder, normalization } = model.config;
 
-    const inputTensor = new Float32Array(batchSize * height * width * channels);
+  // Validate input dimensions
+  const planeSize = inputSize * inputSize;
+  if (!imageData || imageData.length !== planeSize * 3) {
+    throw new Error(
+      `Invalid input data. Expected ${inputSize}x${inputSize}x3 RGB image data.`
+    );
+  }
 
-    // Keep HWC format and normalize to [-1, 1]
-    for (let i = 0; i < imageData.length; i++) {
-      // Normalize pixel values from [0, 255] to [-1, 1]
-      inputTensor[i] = imageData[i] / 127.5 - 1.0;
+  // Normalize per model channel, keeping HWC order or splitting into planes
+  // mean/std are listed in the model's channel order
+  const { mean, std } = normalization;
+  const swap = channelOrder === "bgr";
+  const input = new Float32Array(planeSize * 3);
+  for (let i = 0; i < planeSize; i++) {
+    for (let c = 0; c < 3; c++) {
+      const source = imageData[i * 3 + (swap ? 2 - c : c)];
+      const value = (source - mean[c]) / std[c];
+      if (layout === "nchw") {
+        input[c * planeSize + i] = value;
+      } else {
+        input[i * 3 + c] = value;
+      }
     }
+  }
+  return input;
+}
 
-    // Create tensor with NHWC shape
-    const tensor = new ort.Tensor("float32", inputTensor, [
-      batchSize,
-      height,
-      width,
-      channels,
-    ]);
+// Run several prepared inputs as one [N, ...] tensor and split the outputs
+async function runBatch(model, inputs) {
+  const { inputName, inputSize, layout } = model.config;
+  const itemSize = inputSize * inputSize * 3;
 
-    // Run inference
-    const feeds = {};
-    feeds[session.inputNames[0]] = tensor;
+  const batchData = new Float32Array(inputs.length * itemSize);
+  inputs.forEach((input, index) => batchData.set(input, index * itemSize));
 
-    const results = await session.run(feeds);
-    const outputTensor = results[session.outputNames[0]];
+  const dims =
+    layout === "nchw"
+      ? [inputs.length, 3, inputSize, inputSize]
+      : [inputs.length, inputSize, inputSize, 3];
+  const tensor = new ort.Tensor("float32", batchData, dims);
 
-    // Extract embedding (should be 512-dimensional)
-    const embedding = Array.from(outputTensor.data);
+  // Run inference
+  const feeds = {};
+  feeds[inputName] = tensor;
 
-    // Normalize embedding (L2 normalization)
-    const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    const normalizedEmbedding = embedding.map((val) => val / norm);
+  const results = await model.session.run(feeds);
+  const outputTensor = results[model.session.outputNames[0]];
 
-    console.log(`✅ Generated ${normalizedEmbedding.length}D embedding`);
-    return normalizedEmbedding;
+  const dimension = outputTensor.data.length / inputs.length;
+  if (!Number.isInteger(dimension)) {
+    throw new Error(
+      `Model ${model.name} returned ${outputTensor.data.length} values for a batch of ${inputs.length}`
+    );
+  }
+
+  return inputs.map((input, index) =>
+    Array.from(
+      outputTensor.data.subarray(index * dimension, (index + 1) * dimension)
+    )
+  );
+}
+
+// Generate embedding from preprocessed face image
+// imageData is interleaved RGB at the model's input size; concurrent calls
+// are batched by the model's inference queue
+async function generateEmbedding(imageData, modelName) {
+  const [embedding] = await generateEmbeddings([imageData], modelName);
+  return embedding;
+}
+
+// Generate embeddings for several face images, queued together so they run
+// in one batch when it has room
+async function generateEmbeddings(imageDataList, modelName) {
+  try {
+    const model = getModel(modelName);
+    const outputs = await model.queue.enqueueMany(
+      imageDataList.map((imageData) => prepareInput(model, imageData))
+    );
+
+    const { embeddingDimension } = model.config;
+    return outputs.map((embedding) => {
+      if (embeddingDimension && embedding.length !== embeddingDimension) {
+        throw new Error(
+          `Model ${model.name} produced a ${embedding.length}D embedding, expected ${embeddingDimension}D`
+        );
+      }
+
+      // Normalize embedding (L2 normalization)
+      const norm = Math.sqrt(
+        embedding.reduce((sum, val) => sum + val * val, 0)
+      );
+      const normalizedEmbedding = embedding.map((val) => val / norm);
+
+      console.log(
+        `✅ Generated ${normalizedEmbedding.length}D embedding with ${model.name}`
+      );
+      return normalizedEmbedding;
+    });
   } catch (error) {
     console.error("❌ Error generating embedding:", error);
     throw error;
   }
 }
 
-// Get model info
-function getModelInfo() {
-  if (!session) {
+// Get model I/O info
+function getModelInfo(name) {
+  const model = models.get(name || defaultModelName);
+  if (!model || !model.session) {
     return null;
   }
 
+  const { session } = model;
   return {
     inputNames: session.inputNames,
     outputNames: session.outputNames,
-    inputShape: session.inputNames.map((name) => {
-      const input = session.inputMetadata[name];
-      return {
-        name,
-        type: input.type,
-        dims: input.dims,
-      };
-    }),
-    outputShape: session.outputNames.map((name) => {
-      const output = session.outputMetadata[name];
-      return {
-        name,
-        type: output.type,
-        dims: output.dims,
-      };
-    }),
+    inputShape: session.inputNames.map((inputName, index) =>
+      getTensorMetadata(session, "input", index)
+    ),
+    outputShape: session.outputNames.map((outputName, index) =>
+      getTensorMetadata(session, "output", index)
+    ),
+  };
+}
+
+// SHA-256 of the model file combined with its input/output names, so a
+// different ONNX file never shares a fingerprint with the model that produced
+// stored embeddings
+async function computeModelFingerprint(model) {
+  const fileHash = await new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(model.config.path)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+  // Only the names are hashed: shape metadata differs between onnxruntime
+  // builds and must not change the fingerprint of stored templates
+  const io = {
+    inputNames: model.session.inputNames,
+    outputNames: model.session.outputNames,
   };
+
+  return crypto
+    .createHash("sha256")
+    .update(`${fileHash}|${JSON.stringify(io)}`)
+    .digest("hex");
+}
+
+function fingerprintMatches(model, fingerprint) {
+  const stored = String(fingerprint).toLowerCase();
+  return (
+    stored.length >= MIN_FINGERPRINT_LENGTH &&
+    Boolean(model.fingerprint) &&
+    model.fingerprint.startsWith(stored)
+  );
+}
+
+// Get the fingerprint of a loaded model
+function getModelFingerprint(name) {
+  const model = models.get(name || defaultModelName);
+  return model ? model.fingerprint : null;
+}
+
+// Check whether an embedding fingerprint belongs to a model
+// Embeddings without a fingerprint (created before fingerprints existed)
+// are accepted; /compare warns about them or, in MODEL_FINGERPRINT_STRICT
+// mode, refuses them before getting here
+function matchesModelFingerprint(fingerprint, name) {
+  const model = models.get(name || defaultModelName);
+  if (!fingerprint || !model || !model.fingerprint) return true;
+  return fingerprintMatches(model, fingerprint);
+}
+
+// Throw a descriptive error when an embedding comes from another model
+function assertModelFingerprint(
+  fingerprint,
+  description = "Stored embedding",
+  name
+) {
+  if (!matchesModelFingerprint(fingerprint, name)) {
+    const modelName = name || defaultModelName;
+    const otherModel = findModelByFingerprint(fingerprint);
+    throw new ConflictError(
+      "MODEL_MISMATCH",
+      `Model fingerprint mismatch: ${description} was created with model ${fingerprint}${
+        otherModel ? ` (${otherModel})` : ""
+      }, but the selected model ${modelName} is ${getModelFingerprint(
+        modelName
+      )}. ${
+        otherModel
+          ? `Select model ${otherModel} or re-enroll.`
+          : "Re-enroll with the current model."
+      }`,
+      {
+        storedFingerprint: fingerprint,
+        model: modelName,
+        modelFingerprint: getModelFingerprint(modelName),
+        suggestedModel: otherModel || null,
+      }
+    );
+  }
 }
 
-// Check if model is loaded
-function isModelLoaded() {
-  return session !== null;
+// Get the version label of a model
+function getModelVersion(name) {
+  const model = models.get(name || defaultModelName);
+  return model ? model.version : null;
 }
 
-// Dispose model (cleanup)
+// Get the default model name
+function getDefaultModelName() {
+  return defaultModelName;
+}
+
+// List every configured model with its status and metadata
+function listModels() {
+  return [...models.values()].map((model) => ({
+    name: model.name,
+    default: model.name === defaultModelName,
+    status: model.status,
+    error: model.error,
+    version: model.version,
+    fingerprint: model.fingerprint,
+    path: model.config.path,
+    inputSize: model.config.inputSize,
+    layout: model.config.layout,
+    channelOrder: model.config.channelOrder,
+    normalization: model.config.normalization,
+    embeddingDimension: model.config.embeddingDimension,
+    sidecar: model.config.sidecar,
+    sources: model.config.sources,
+    batching: model.queue ? model.queue.getStats() : null,
+    loadedAt: model.loadedAt,
+    io: model.status === "ready" ? safeModelInfo(model.name) : null,
+  }));
+}
+
+function safeModelInfo(name) {
+  try {
+    return getModelInfo(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check if a model (the default by default) is loaded
+function isModelLoaded(name) {
+  const model = models.get(name || defaultModelName);
+  return Boolean(model && model.status === "ready");
+}
+
+// Dispose all models (cleanup)
 async function disposeModel() {
-  if (session) {
-    await session.release();
-    session = null;
-    console.log("✅ Model disposed successfully");
+  for (const model of models.values()) {
+    if (model.session) {
+      await model.session.release();
+      model.session = null;
+      model.queue = null;
+      model.status = "disposed";
+    }
   }
+  console.log("✅ Models disposed successfully");
 }
 
 module.exports = {
-  initializeModel,
+  initializeModels,
+  resolveModelName,
+  getModelConfig,
+  findModelByFingerprint,
   generateEmbedding,
+  generateEmbeddings,
   getModelInfo,
+  getModelVersion,
+  getModelFingerprint,
+  matchesModelFingerprint,
+  assertModelFingerprint,
+  getDefaultModelName,
+  listModels,
   isModelLoaded,
   disposeModel,
 };
@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { encodeEmbedding, decodeEmbedding } = require("../utils/embeddingCodec");
+const { ValidationError, AuthenticationError } = require("../utils/errors");
+
+const TOKEN_PREFIX = "ft1";
+
+// Signed template tokens
+// A token carries an embedding together with the userId, model version and
+// fingerprint, test-time augmentation mode and issue/expiry times, signed
+// with a server-held key so clients can keep their template without being
+// able to alter or forge it.
+// Format: ft1.<base64url JSON payload>.<base64url signature>
+//
+// Signing uses Ed25519 when TEMPLATE_TOKEN_PRIVATE_KEY_FILE points to a PEM
+// private key, otherwise HMAC-SHA256 with TEMPLATE_TOKEN_SECRET. Tokens are
+// disabled when neither is configured.
+class TemplateTokenService {
+  constructor() {
+    this.algorithm = null;
+    this.secret = null;
+    this.privateKey = null;
+    this.publicKey = null;
+    this.ttlSeconds =
+      process.env.TEMPLATE_TOKEN_TTL !== undefined
+        ? parseInt(process.env.TEMPLATE_TOKEN_TTL)
+        : 30 * 24 * 60 * 60;
+    this.strict = process.env.TEMPLATE_TOKEN_STRICT === "true";
+    this.loadKeys();
+  }
+
+  // Load the signing key from a PEM file or the HMAC secret
+  loadKeys() {
+    if (process.env.TEMPLATE_TOKEN_PRIVATE_KEY_FILE) {
+      this.privateKey = crypto.createPrivateKey(
+        fs.readFileSync(process.env.TEMPLATE_TOKEN_PRIVATE_KEY_FILE)
+      );
+      if (this.privateKey.asymmetricKeyType !== "ed25519") {
+        throw new Error(
+          `Template token key must be Ed25519, got ${this.privateKey.asymmetricKeyType}`
+        );
+      }
+      this.publicKey = crypto.createPublicKey(this.privateKey);
+      this.algorithm = "EdDSA";
+    } else if (process.env.TEMPLATE_TOKEN_SECRET) {
+      if (process.env.TEMPLATE_TOKEN_SECRET.length < 32) {
+        throw new Error("TEMPLATE_TOKEN_SECRET must be at least 32 characters");
+      }
+      this.secret = Buffer.from(process.env.TEMPLATE_TOKEN_SECRET);
+      this.algorithm = "HS256";
+    }
+  }
+
+  isEnabled() {
+    return this.algorithm !== null;
+  }
+
+  // Fail with TOKENS_NOT_CONFIGURED unless a signing key is loaded
+  assertEnabled() {
+    if (!this.isEnabled()) {
+      throw new ValidationError(
+        "TOKENS_NOT_CONFIGURED",
+        "Template tokens are not configured. Set TEMPLATE_TOKEN_SECRET or TEMPLATE_TOKEN_PRIVATE_KEY_FILE."
+      );
+    }
+  }
+
+  // Issue a token for an embedding
+  issueToken(embedding, { userId, modelVersion, modelFingerprint, tta }) {
+    this.assertEnabled();
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = {
+      alg: this.algorithm,
+      sub: userId,
+      mv: modelVersion,
+      mf: modelFingerprint,
+      tta: tta || "none",
+      iat: issuedAt,
+      exp: this.ttlSeconds > 0 ? issuedAt + this.ttlSeconds : null,
+      emb: encodeEmbedding(embedding, "f32"),
+    };
+
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString(
+      "base64url"
+    );
+    const signingInput = `${TOKEN_PREFIX}.${encodedPayload}`;
+
+    return {
+      token: `${signingInput}.${this.sign(signingInput).toString("base64url")}`,
+      issuedAt: new Date(issuedAt * 1000).toISOString(),
+      expiresAt: payload.exp
+        ? new Date(payload.exp * 1000).toISOString()
+        : null,
+    };
+  }
+
+  // Verify a token and return its contents
+  // Throws "Invalid template token: ..." for malformed, forged or expired tokens
+  verifyToken(token) {
+    this.assertEnabled();
+
+    const parts = typeof token === "string" ? token.trim().split(".") : [];
+    if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        "Invalid template token: malformed token"
+      );
+    }
+
+    const signingInput = `${parts[0]}.${parts[1]}`;
+    if (
+      !this.verifySignature(signingInput, Buffer.from(parts[2], "base64url"))
+    ) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        "Invalid template token: signature verification failed"
+      );
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch (error) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        "Invalid template token: unreadable payload"
+      );
+    }
+
+    // Reject tokens signed for another algorithm (e.g. after switching keys)
+    if (payload.alg !== this.algorithm) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        "Invalid template token: unexpected signing algorithm"
+      );
+    }
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        `Invalid template token: expired at ${new Date(
+          payload.exp * 1000
+        ).toISOString()}`
+      );
+    }
+
+    let embedding;
+    try {
+      embedding = decodeEmbedding(payload.emb).embedding;
+    } catch (error) {
+      throw new AuthenticationError(
+        "INVALID_TEMPLATE_TOKEN",
+        `Invalid template token: ${error.message}`
+      );
+    }
+
+    return {
+      embedding,
+      userId: payload.sub,
+      modelVersion: payload.mv,
+      modelFingerprint: payload.mf || null,
+      tta: payload.tta || null,
+      issuedAt: new Date(payload.iat * 1000).toISOString(),
+      expiresAt: payload.exp
+        ? new Date(payload.exp * 1000).toISOString()
+        : null,
+    };
+  }
+
+  sign(data) {
+    if (this.algorithm === "EdDSA") {
+      return crypto.sign(null, Buffer.from(data), this.privateKey);
+    }
+    return crypto.createHmac("sha256", this.secret).update(data).digest();
+  }
+
+  verifySignature(data, signature) {
+    if (this.algorithm === "EdDSA") {
+      return crypto.verify(null, Buffer.from(data), this.publicKey, signature);
+    }
+
+    const expected = this.sign(data);
+    return (
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(signature, expected)
+    );
+  }
+
+  // Get token configuration (never includes key material)
+  getInfo() {
+    return {
+      enabled: this.isEnabled(),
+      algorithm: this.algorithm,
+      ttlSeconds: this.ttlSeconds > 0 ? this.ttlSeconds : null,
+      strict: this.strict,
+    };
+  }
+}
+
+module.exports = new TemplateTokenService();
@@ -0,0 +1,737 @@
+const path = require("path");
+const fs = require("fs");
+const {
+  databaseEvents,
+  getEmbeddingsBatch,
+  getGalleryStats,
+} = require("../config/database");
+const encryptionService = require("./encryptionService");
+const {
+  writeUnitVector,
+  scoreAgainstMatrix,
+  mergeTopK,
+} = require("../utils/similarity");
+
+const SNAPSHOT_MAGIC = "FVIX";
+const SNAPSHOT_VERSION = 2;
+const SEALED_SNAPSHOT_MAGIC = "FVIE";
+const SNAPSHOT_AAD = "vector-index-snapshot";
+
+// In-memory vector index over enrolled users (one template centroid per user)
+// Rows are unit vectors in one contiguous Float32Array so a search is a single
+// pass of dot products. "exact" mode scans every row; "ivf" mode clusters rows
+// with spherical k-means and only scans the nprobe closest clusters. Each row
+// records the model fingerprint of the user so searches only rank users
+// enrolled with the probe's model
+class VectorIndex {
+  constructor() {
+    this.mode = (process.env.INDEX_MODE || "exact").toLowerCase();
+    this.nlist = parseInt(process.env.INDEX_NLIST) || 0; // 0 = sqrt(size)
+    this.nprobe = parseInt(process.env.INDEX_NPROBE) || 8;
+    this.ivfMinSize = parseInt(process.env.INDEX_IVF_MIN_SIZE) || 1000;
+    this.snapshotPath =
+      process.env.INDEX_SNAPSHOT_PATH ||
+      path.join(__dirname, "../../data/vector-index.bin");
+    this.snapshotDelayMs =
+      parseInt(process.env.INDEX_SNAPSHOT_DELAY_MS) || 30000;
+
+    this.dimension = 0;
+    this.count = 0;
+    this.capacity = 0;
+    this.matrix = new Float32Array(0);
+    this.ids = [];
+    this.fingerprints = [];
+    this.rowById = new Map();
+
+    // IVF state, only populated when the index is trained
+    this.centroids = null;
+    this.listCount = 0;
+    this.assignments = new Int32Array(0);
+    this.lists = [];
+
+    this.ready = false;
+    this.building = false;
+    this.pendingEvents = [];
+    this.source = null;
+    this.buildTimeMs = null;
+    this.builtAt = null;
+    this.lastSnapshotAt = null;
+    this.snapshotTimer = null;
+    this.listening = false;
+  }
+
+  // Load the snapshot if it is still current, otherwise rebuild from Postgres
+  async initialize() {
+    if (!this.listening) {
+      databaseEvents.on("embeddingStored", (event) =>
+        this.handleEvent("add", event)
+      );
+      databaseEvents.on("userRenamed", (event) =>
+        this.handleEvent("rename", event)
+      );
+      databaseEvents.on("userDeleted", (event) =>
+        this.handleEvent("remove", event)
+      );
+      this.listening = true;
+    }
+
+    this.building = true;
+    const startTime = Date.now();
+
+    try {
+      const stats = await getGalleryStats();
+      const loaded = this.loadSnapshot(stats);
+
+      if (loaded) {
+        this.source = "snapshot";
+      } else {
+        await this.buildFromDatabase();
+        this.source = "database";
+      }
+
+      this.buildTimeMs = Date.now() - startTime;
+      this.builtAt = new Date().toISOString();
+      this.ready = true;
+
+      console.log(
+        `✅ Vector index ready: ${this.count} templates, ${
+          this.dimension
+        }D, mode ${this.getActiveMode()}, loaded from ${this.source} in ${
+          this.buildTimeMs
+        }ms`
+      );
+
+      if (!loaded) {
+        this.saveSnapshot(stats);
+      }
+    } finally {
+      this.building = false;
+      this.replayPendingEvents();
+    }
+  }
+
+  // Rebuild all rows by streaming the users table in batches
+  async buildFromDatabase() {
+    this.reset();
+    let lastId = 0;
+
+    while (true) {
+      const rows = await getEmbeddingsBatch(lastId);
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        if (row.embedding) {
+          this.upsertRow(row.user_id, row.embedding, row.model_fingerprint);
+        }
+      }
+    }
+
+    this.train();
+  }
+
+  // Apply database events; events arriving mid-build are replayed afterwards
+  handleEvent(type, event) {
+    if (this.building) {
+      this.pendingEvents.push({ type, event });
+      return;
+    }
+    if (!this.ready) return;
+
+    try {
+      if (type === "add") {
+        this.add(event.userId, event.embedding, event.modelFingerprint);
+      } else if (type === "rename") {
+        this.rename(event.userId, event.newUserId);
+      } else {
+        this.remove(event.userId);
+      }
+    } catch (error) {
+      console.error(`❌ Vector index ${type} failed:`, error.message);
+    }
+  }
+
+  replayPendingEvents() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    for (const { type, event } of events) {
+      this.handleEvent(type, event);
+    }
+  }
+
+  reset() {
+    this.dimension = 0;
+    this.count = 0;
+    this.capacity = 0;
+    this.matrix = new Float32Array(0);
+    this.ids = [];
+    this.fingerprints = [];
+    this.rowById = new Map();
+    this.centroids = null;
+    this.listCount = 0;
+    this.assignments = new Int32Array(0);
+    this.lists = [];
+  }
+
+  // Add or replace the embedding of a user
+  add(userId, embedding, modelFingerprint) {
+    const row = this.upsertRow(userId, embedding, modelFingerprint);
+    if (row !== null && this.centroids) {
+      this.assignRow(row);
+    }
+    this.scheduleSnapshot();
+  }
+
+  // Move a row to a new user ID
+  rename(userId, newUserId) {
+    const row = this.rowById.get(userId);
+    if (row === undefined) return false;
+
+    this.rowById.delete(userId);
+    this.rowById.set(newUserId, row);
+    this.ids[row] = newUserId;
+    this.scheduleSnapshot();
+    return true;
+  }
+
+  // Remove a user; the last row is moved into the freed slot
+  remove(userId) {
+    const row = this.rowById.get(userId);
+    if (row === undefined) return false;
+
+    const lastRow = this.count - 1;
+    if (this.centroids) {
+      this.unassignRow(row);
+      if (row !== lastRow) this.unassignRow(lastRow);
+    }
+
+    if (row !== lastRow) {
+      const dimension = this.dimension;
+      this.matrix.copyWithin(
+        row * dimension,
+        lastRow * dimension,
+        (lastRow + 1) * dimension
+      );
+      const movedId = this.ids[lastRow];
+      this.ids[row] = movedId;
+      this.fingerprints[row] = this.fingerprints[lastRow];
+      this.rowById.set(movedId, row);
+      if (this.centroids) this.assignRow(row);
+    }
+
+    this.ids.pop();
+    this.fingerprints.pop();
+    this.rowById.delete(userId);
+    this.count--;
+    this.scheduleSnapshot();
+    return true;
+  }
+
+  // Write a normalized row, growing the matrix geometrically when full
+  // modelFingerprint is null for users enrolled before fingerprints existed
+  upsertRow(userId, embedding, modelFingerprint = null) {
+    if (this.dimension === 0) {
+      this.dimension = embedding.length;
+    }
+    if (embedding.length !== this.dimension) {
+      console.warn(
+        `⚠️ Vector index skipped ${userId}: dimension ${embedding.length}, expected ${this.dimension}`
+      );
+      return null;
+    }
+
+    let row = this.rowById.get(userId);
+    const isNew = row === undefined;
+    if (isNew) {
+      row = this.count;
+      this.ensureCapacity(row + 1);
+    } else if (this.centroids) {
+      this.unassignRow(row);
+    }
+
+    if (!writeUnitVector(embedding, this.matrix, row * this.dimension)) {
+      if (isNew) return null;
+      this.remove(userId);
+      return null;
+    }
+
+    if (isNew) {
+      this.ids.push(userId);
+      this.rowById.set(userId, row);
+      this.count++;
+    }
+    this.fingerprints[row] = modelFingerprint || null;
+    return row;
+  }
+
+  ensureCapacity(rows) {
+    if (rows <= this.capacity) return;
+
+    const capacity = Math.max(rows, this.capacity * 2, 1024);
+    const matrix = new Float32Array(capacity * this.dimension);
+    matrix.set(this.matrix.subarray(0, this.count * this.dimension));
+    this.matrix = matrix;
+
+    const assignments = new Int32Array(capacity).fill(-1);
+    assignments.set(this.assignments.subarray(0, this.count));
+    this.assignments = assignments;
+
+    this.capacity = capacity;
+  }
+
+  // Train IVF clusters with spherical k-means on a sample of rows
+  train() {
+    this.centroids = null;
+    this.lists = [];
+    this.listCount = 0;
+
+    if (this.mode !== "ivf" || this.count < this.ivfMinSize) return;
+
+    const dimension = this.dimension;
+    const listCount = Math.min(
+      this.nlist || Math.round(Math.sqrt(this.count)),
+      this.count
+    );
+    const sampleSize = Math.min(this.count, listCount * 64);
+    const sample = shuffledRows(this.count).slice(0, sampleSize);
+    const centroids = new Float32Array(listCount * dimension);
+
+    // Seed centroids with random sample rows
+    for (let c = 0; c < listCount; c++) {
+      const row = sample[c];
+      centroids.set(
+        this.matrix.subarray(row * dimension, (row + 1) * dimension),
+        c * dimension
+      );
+    }
+
+    const sums = new Float64Array(listCount * dimension);
+    const sizes = new Int32Array(listCount);
+
+    for (let iteration = 0; iteration < 10; iteration++) {
+      sums.fill(0);
+      sizes.fill(0);
+
+      for (const row of sample) {
+        const vector = this.matrix.subarray(
+          row * dimension,
+          (row + 1) * dimension
+        );
+        const cluster = nearestCentroid(
+          vector,
+          centroids,
+          dimension,
+          listCount
+        );
+        sizes[cluster]++;
+        for (let i = 0; i < dimension; i++) {
+          sums[cluster * dimension + i] += vector[i];
+        }
+      }
+
+      for (let c = 0; c < listCount; c++) {
+        const offset = c * dimension;
+        if (sizes[c] === 0) {
+          // Re-seed empty clusters with a random row
+          const row = sample[Math.floor(Math.random() * sample.length)];
+          centroids.set(
+            this.matrix.subarray(row * dimension, (row + 1) * dimension),
+            offset
+          );
+          continue;
+        }
+        writeUnitVector(
+          sums.subarray(offset, offset + dimension),
+          centroids,
+          offset
+        );
+      }
+    }
+
+    this.centroids = centroids;
+    this.listCount = listCount;
+    this.lists = Array.from({ length: listCount }, () => []);
+    for (let row = 0; row < this.count; row++) {
+      this.assignRow(row);
+    }
+  }
+
+  assignRow(row) {
+    const dimension = this.dimension;
+    const vector = this.matrix.subarray(row * dimension, (row + 1) * dimension);
+    const cluster = nearestCentroid(
+      vector,
+      this.centroids,
+      dimension,
+      this.listCount
+    );
+    this.assignments[row] = cluster;
+    this.lists[cluster].push(row);
+  }
+
+  unassignRow(row) {
+    const cluster = this.assignments[row];
+    if (cluster < 0) return;
+    const list = this.lists[cluster];
+    const position = list.indexOf(row);
+    if (position !== -1) {
+      list[position] = list[list.length - 1];
+      list.pop();
+    }
+    this.assignments[row] = -1;
+  }
+
+  getActiveMode() {
+    return this.centroids ? "ivf" : "exact";
+  }
+
+  // Whether a row may be ranked for a probe of the given model
+  // Users without a fingerprint predate fingerprints and are always ranked
+  rowMatchesModel(row, modelFingerprint) {
+    const fingerprint = this.fingerprints[row];
+    return (
+      !modelFingerprint || !fingerprint || fingerprint === modelFingerprint
+    );
+  }
+
+  // Find the k most similar users to a unit query vector
+  // options.modelFingerprint skips users enrolled with another model
+  search(query, k, options = {}) {
+    if (!this.ready) {
+      throw new Error("Vector index is not ready");
+    }
+    if (query.length !== this.dimension && this.count > 0) {
+      throw new Error(
+        `Embedding dimension mismatch. Query: ${query.length}, Index: ${this.dimension}`
+      );
+    }
+
+    const exact = options.exact || !this.centroids;
+    let topK = [];
+    let scanned = 0;
+
+    if (exact) {
+      const scores = scoreAgainstMatrix(
+        query,
+        this.matrix,
+        this.dimension,
+        this.count
+      );
+      for (let row = 0; row < this.count; row++) {
+        if (!this.rowMatchesModel(row, options.modelFingerprint)) {
+          scores[row] = -Infinity;
+        }
+      }
+      topK = mergeTopK(topK, scores, k, (row) => this.ids[row]);
+      scanned = this.count;
+    } else {
+      // Probe the closest clusters only
+      const centroidScores = scoreAgainstMatrix(
+        query,
+        this.centroids,
+        this.dimension,
+        this.listCount
+      );
+      const probes = mergeTopK(
+        [],
+        centroidScores,
+        Math.min(this.nprobe, this.listCount)
+      );
+
+      for (const { item: cluster } of probes) {
+        const list = this.lists[cluster];
+        const scores = new Float32Array(list.length);
+        for (let i = 0; i < list.length; i++) {
+          if (!this.rowMatchesModel(list[i], options.modelFingerprint)) {
+            scores[i] = -Infinity;
+            continue;
+          }
+          const offset = list[i] * this.dimension;
+          let dot = 0;
+          for (let d = 0; d < this.dimension; d++) {
+            dot += query[d] * this.matrix[offset + d];
+          }
+          scores[i] = dot;
+        }
+        topK = mergeTopK(topK, scores, k, (i) => this.ids[list[i]]);
+        scanned += list.length;
+      }
+    }
+
+    return {
+      results: topK.map(({ score, item }) => ({ userId: item, score })),
+      mode: exact ? "exact" : "ivf",
+      scanned,
+    };
+  }
+
+  // Debounce snapshot writes after incremental updates
+  scheduleSnapshot() {
+    if (this.snapshotTimer || this.snapshotDelayMs <= 0) return;
+
+    this.snapshotTimer = setTimeout(async () => {
+      this.snapshotTimer = null;
+      try {
+        this.saveSnapshot(await getGalleryStats());
+      } catch (error) {
+        console.error("❌ Vector index snapshot failed:", error.message);
+      }
+    }, this.snapshotDelayMs);
+    this.snapshotTimer.unref();
+  }
+
+  // Write the index to disk: magic, header length, JSON header, then the
+  // matrix, centroids and cluster assignments as raw little-endian arrays;
+  // sealed with the current master key when encryption is enabled
+  saveSnapshot(stats) {
+    try {
+      const header = Buffer.from(
+        JSON.stringify({
+          version: SNAPSHOT_VERSION,
+          dimension: this.dimension,
+          count: this.count,
+          listCount: this.listCount,
+          mode: this.mode,
+          ids: this.ids,
+          fingerprints: this.fingerprints,
+          stats,
+          savedAt: new Date().toISOString(),
+        })
+      );
+      const prefix = Buffer.alloc(8);
+      prefix.write(SNAPSHOT_MAGIC, 0, "ascii");
+      prefix.writeUInt32LE(header.length, 4);
+
+      const parts = [
+        prefix,
+        header,
+        toBuffer(this.matrix.subarray(0, this.count * this.dimension)),
+      ];
+      if (this.centroids) {
+        parts.push(toBuffer(this.centroids));
+        parts.push(toBuffer(this.assignments.subarray(0, this.count)));
+      }
+
+      writeFileAtomic(this.snapshotPath, sealSnapshot(Buffer.concat(parts)));
+
+      this.lastSnapshotAt = new Date().toISOString();
+      console.log(
+        `💾 Vector index snapshot saved (${this.count} templates) to ${this.snapshotPath}`
+      );
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to save vector index snapshot:", error.message);
+      return false;
+    }
+  }
+
+  // Load the snapshot when it matches the current gallery statistics
+  loadSnapshot(stats) {
+    try {
+      if (!fs.existsSync(this.snapshotPath)) return false;
+
+      const file = openSnapshot(fs.readFileSync(this.snapshotPath));
+      if (!file) {
+        console.log(
+          "ℹ️ Ignoring unencrypted vector index snapshot while encryption is enabled"
+        );
+        return false;
+      }
+      if (file.toString("ascii", 0, 4) !== SNAPSHOT_MAGIC) {
+        console.warn("⚠️ Ignoring vector index snapshot: invalid file");
+        return false;
+      }
+
+      const headerLength = file.readUInt32LE(4);
+      const header = JSON.parse(file.toString("utf8", 8, 8 + headerLength));
+
+      if (
+        header.version !== SNAPSHOT_VERSION ||
+        header.mode !== this.mode ||
+        JSON.stringify(header.stats) !== JSON.stringify(stats)
+      ) {
+        console.log("ℹ️ Vector index snapshot is stale, rebuilding");
+        return false;
+      }
+
+      this.reset();
+      this.dimension = header.dimension;
+      this.ensureCapacity(header.count);
+
+      let offset = 8 + headerLength;
+      const matrixBytes = header.count * header.dimension * 4;
+      this.matrix.set(
+        new Float32Array(
+          file.buffer.slice(
+            file.byteOffset + offset,
+            file.byteOffset + offset + matrixBytes
+          )
+        )
+      );
+      offset += matrixBytes;
+
+      this.ids = header.ids;
+      this.fingerprints = header.fingerprints;
+      this.count = header.count;
+      this.ids.forEach((id, row) => this.rowById.set(id, row));
+
+      if (header.listCount > 0) {
+        const centroidBytes = header.listCount * header.dimension * 4;
+        this.centroids = new Float32Array(
+          file.buffer.slice(
+            file.byteOffset + offset,
+            file.byteOffset + offset + centroidBytes
+          )
+        );
+        offset += centroidBytes;
+        this.listCount = header.listCount;
+
+        const assignments = new Int32Array(
+          file.buffer.slice(
+            file.byteOffset + offset,
+            file.byteOffset + offset + header.count * 4
+          )
+        );
+        this.lists = Array.from({ length: this.listCount }, () => []);
+        for (let row = 0; row < this.count; row++) {
+          this.assignments[row] = assignments[row];
+          this.lists[assignments[row]].push(row);
+        }
+      } else {
+        // Snapshot taken below the IVF size threshold, train now if needed
+        this.train();
+      }
+
+      this.lastSnapshotAt = header.savedAt;
+      return true;
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to load vector index snapshot, rebuilding:",
+        error.message
+      );
+      this.reset();
+      return false;
+    }
+  }
+
+  // Rewrite the snapshot under the current master key, or in plaintext with
+  // decrypt set; used by `npm run keys:rotate`
+  resealSnapshot(decrypt = false) {
+    if (!fs.existsSync(this.snapshotPath)) return false;
+
+    const contents = openSnapshot(fs.readFileSync(this.snapshotPath), true);
+    writeFileAtomic(
+      this.snapshotPath,
+      decrypt ? contents : sealSnapshot(contents)
+    );
+    return true;
+  }
+
+  // Flush pending changes, used on shutdown
+  async flush() {
+    if (!this.snapshotTimer) return;
+    clearTimeout(this.snapshotTimer);
+    this.snapshotTimer = null;
+    this.saveSnapshot(await getGalleryStats());
+  }
+
+  // Get index statistics
+  getStats() {
+    return {
+      ready: this.ready,
+      size: this.count,
+      dimension: this.dimension,
+      configuredMode: this.mode,
+      activeMode: this.getActiveMode(),
+      buildTimeMs: this.buildTimeMs,
+      builtAt: this.builtAt,
+      source: this.source,
+      recall: {
+        nlist: this.listCount,
+        nprobe: this.centroids ? Math.min(this.nprobe, this.listCount) : null,
+        ivfMinSize: this.ivfMinSize,
+      },
+      memoryBytes: this.matrix.byteLength,
+      snapshotPath: this.snapshotPath,
+      lastSnapshotAt: this.lastSnapshotAt,
+    };
+  }
+}
+
+// Index of the centroid with the highest dot product
+function nearestCentroid(vector, centroids, dimension, listCount) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < listCount; c++) {
+    const offset = c * dimension;
+    let dot = 0;
+    for (let i = 0; i < dimension; i++) {
+      dot += vector[i] * centroids[offset + i];
+    }
+    if (dot > bestScore) {
+      bestScore = dot;
+      best = c;
+    }
+  }
+  return best;
+}
+
+// Row indices in random order (Fisher-Yates)
+function shuffledRows(count) {
+  const rows = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rows[i], rows[j]] = [rows[j], rows[i]];
+  }
+  return rows;
+}
+
+function toBuffer(typedArray) {
+  return Buffer.from(
+    typedArray.buffer,
+    typedArray.byteOffset,
+    typedArray.byteLength
+  );
+}
+
+// Snapshots hold every enrolled centroid, so with a master key configured
+// they are sealed like stored embeddings: magic, master key version, wrapped
+// data key length, wrapped data key, then the sealed plaintext snapshot
+function sealSnapshot(contents) {
+  if (!encryptionService.isEnabled()) return contents;
+
+  const { ciphertext, wrappedKey, keyVersion } = encryptionService.encryptData(
+    contents,
+    SNAPSHOT_AAD
+  );
+  const prefix = Buffer.alloc(12);
+  prefix.write(SEALED_SNAPSHOT_MAGIC, 0, "ascii");
+  prefix.writeUInt32LE(keyVersion, 4);
+  prefix.writeUInt32LE(wrappedKey.length, 8);
+  return Buffer.concat([prefix, wrappedKey, ciphertext]);
+}
+
+// Plaintext snapshot contents, or null for an unencrypted file while
+// encryption is enabled unless allowPlaintext is set
+function openSnapshot(file, allowPlaintext = false) {
+  if (file.toString("ascii", 0, 4) !== SEALED_SNAPSHOT_MAGIC) {
+    return encryptionService.isEnabled() && !allowPlaintext ? null : file;
+  }
+
+  const wrappedKeyEnd = 12 + file.readUInt32LE(8);
+  return encryptionService.decryptData(
+    file.subarray(wrappedKeyEnd),
+    file.subarray(12, wrappedKeyEnd),
+    file.readUInt32LE(4),
+    SNAPSHOT_AAD
+  );
+}
+
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = new VectorIndex();
@@ -0,0 +1,202 @@
+/**
+ * Utility functions for aligning faces to the ArcFace reference template
+ */
+
+// Standard ArcFace 5-point template for a 112x112 crop
+// Order: left eye, right eye, nose tip, left mouth corner, right mouth corner
+const ARCFACE_REFERENCE_POINTS = [
+  [38.2946, 51.6963],
+  [73.5318, 51.5014],
+  [56.0252, 71.7366],
+  [41.5493, 92.3655],
+  [70.7299, 92.2041],
+];
+
+const LANDMARK_NAMES = [
+  "leftEye",
+  "rightEye",
+  "nose",
+  "leftMouth",
+  "rightMouth",
+];
+
+// Convert a landmarks object ({ leftEye: { x, y }, ... }) to an array of points
+function landmarksToPoints(landmarks) {
+  return LANDMARK_NAMES.map((name) => {
+    const point = landmarks[name];
+    if (!point || typeof point.x !== "number" || typeof point.y !== "number") {
+      throw new Error(`Missing landmark: ${name}`);
+    }
+    return [point.x, point.y];
+  });
+}
+
+// Convert an array of points back to a landmarks object
+function pointsToLandmarks(points) {
+  const landmarks = {};
+  LANDMARK_NAMES.forEach((name, i) => {
+    landmarks[name] = {
+      x: parseFloat(points[i][0].toFixed(2)),
+      y: parseFloat(points[i][1].toFixed(2)),
+    };
+  });
+  return landmarks;
+}
+
+// Least-squares similarity transform (rotation, uniform scale, translation)
+// mapping source points onto destination points (Umeyama without reflection)
+function estimateSimilarityTransform(sourcePoints, destinationPoints) {
+  if (
+    !Array.isArray(sourcePoints) ||
+    sourcePoints.length !== destinationPoints.length ||
+    sourcePoints.length < 2
+  ) {
+    throw new Error("At least two matching point pairs are required");
+  }
+
+  const count = sourcePoints.length;
+  let srcMeanX = 0;
+  let srcMeanY = 0;
+  let dstMeanX = 0;
+  let dstMeanY = 0;
+
+  for (let i = 0; i < count; i++) {
+    srcMeanX += sourcePoints[i][0] / count;
+    srcMeanY += sourcePoints[i][1] / count;
+    dstMeanX += destinationPoints[i][0] / count;
+    dstMeanY += destinationPoints[i][1] / count;
+  }
+
+  // Solve for a = s*cos(theta), b = s*sin(theta) on centered coordinates
+  let numeratorA = 0;
+  let numeratorB = 0;
+  let denominator = 0;
+
+  for (let i = 0; i < count; i++) {
+    const sx = sourcePoints[i][0] - srcMeanX;
+    const sy = sourcePoints[i][1] - srcMeanY;
+    const dx = destinationPoints[i][0] - dstMeanX;
+    const dy = destinationPoints[i][1] - dstMeanY;
+
+    numeratorA += sx * dx + sy * dy;
+    numeratorB += sx * dy - sy * dx;
+    denominator += sx * sx + sy * sy;
+  }
+
+  if (denominator === 0) {
+    throw new Error("Source points are degenerate (all identical)");
+  }
+
+  const a = numeratorA / denominator;
+  const b = numeratorB / denominator;
+  const tx = dstMeanX - (a * srcMeanX - b * srcMeanY);
+  const ty = dstMeanY - (b * srcMeanX + a * srcMeanY);
+
+  // Root mean square distance between mapped source and destination points
+  let squaredError = 0;
+  for (let i = 0; i < count; i++) {
+    const [x, y] = sourcePoints[i];
+    const mappedX = a * x - b * y + tx;
+    const mappedY = b * x + a * y + ty;
+    squaredError +=
+      (mappedX - destinationPoints[i][0]) ** 2 +
+      (mappedY - destinationPoints[i][1]) ** 2;
+  }
+
+  return {
+    matrix: [
+      [a, -b, tx],
+      [b, a, ty],
+    ],
+    scale: Math.sqrt(a * a + b * b),
+    rotation: (Math.atan2(b, a) * 180) / Math.PI,
+    translation: { x: tx, y: ty },
+    residual: Math.sqrt(squaredError / count),
+  };
+}
+
+// Warp an interleaved raw image with a 2x3 affine matrix (source -> output)
+// using bilinear sampling; pixels mapping outside the source are black
+function warpAffine(buffer, width, height, channels, matrix, outputSize) {
+  const [[a, b, tx], [c, d, ty]] = matrix;
+  const determinant = a * d - b * c;
+
+  if (determinant === 0) {
+    throw new Error("Transform matrix is not invertible");
+  }
+
+  // Invert the affine transform so every output pixel samples the source
+  const ia = d / determinant;
+  const ib = -b / determinant;
+  const ic = -c / determinant;
+  const id = a / determinant;
+  const itx = -(ia * tx + ib * ty);
+  const ity = -(ic * tx + id * ty);
+
+  const output = Buffer.alloc(outputSize * outputSize * channels);
+
+  for (let y = 0; y < outputSize; y++) {
+    for (let x = 0; x < outputSize; x++) {
+      const srcX = ia * x + ib * y + itx;
+      const srcY = ic * x + id * y + ity;
+
+      const x0 = Math.floor(srcX);
+      const y0 = Math.floor(srcY);
+      if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) continue;
+
+      const fx = srcX - x0;
+      const fy = srcY - y0;
+      const topLeft = (y0 * width + x0) * channels;
+      const topRight = topLeft + channels;
+      const bottomLeft = topLeft + width * channels;
+      const bottomRight = bottomLeft + channels;
+      const outIndex = (y * outputSize + x) * channels;
+
+      for (let ch = 0; ch < channels; ch++) {
+        const top =
+          buffer[topLeft + ch] * (1 - fx) + buffer[topRight + ch] * fx;
+        const bottom =
+          buffer[bottomLeft + ch] * (1 - fx) + buffer[bottomRight + ch] * fx;
+        output[outIndex + ch] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  return output;
+}
+
+// Mirror an interleaved raw image horizontally
+// The ArcFace template is left-right symmetric, so a mirrored aligned face
+// is still aligned (used for flip test-time augmentation)
+function flipHorizontal(buffer, width, height, channels) {
+  const output = Buffer.alloc(width * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * channels;
+      const target = (y * width + (width - 1 - x)) * channels;
+      for (let ch = 0; ch < channels; ch++) {
+        output[target + ch] = buffer[source + ch];
+      }
+    }
+  }
+
+  return output;
+}
+
+// Reference points scaled for a square output of the given size
+function getReferencePoints(outputSize = 112) {
+  const factor = outputSize / 112;
+  return ARCFACE_REFERENCE_POINTS.map(([x, y]) => [x * factor, y * factor]);
+}
+
+module.exports = {
+  ARCFACE_REFERENCE_POINTS,
+  LANDMARK_NAMES,
+  landmarksToPoints,
+  pointsToLandmarks,
+  estimateSimilarityTransform,
+  warpAffine,
+  flipHorizontal,
+  getReferencePoints,
+};
@@ -0,0 +1,287 @@
+/**
+ * Compact binary encodings for face embeddings
+ *
+ * Layout (little-endian), transported as base64:
+ *   magic "FE" (2 bytes) | version (1) | format (1) | dimension (uint16)
+ *   | model fingerprint (8 bytes, version 2 only)
+ *   | scale (float32, int8 only) | values
+ *
+ * Version 1 has no fingerprint; version 2 carries the first 8 bytes (16 hex
+ * characters) of the fingerprint of the model that produced the embedding.
+ *
+ * Formats:
+ *   f32 - IEEE float32, 4 bytes per value
+ *   f16 - IEEE float16, 2 bytes per value
+ *   i8  - symmetric int8, value = q * scale with scale = max|v| / 127
+ */
+
+const MAGIC = Buffer.from("FE");
+const HEADER_SIZE = 6;
+const FINGERPRINT_SIZE = 8;
+
+const FORMATS = {
+  f32: { id: 1, bytesPerValue: 4 },
+  f16: { id: 2, bytesPerValue: 2 },
+  i8: { id: 3, bytesPerValue: 1 },
+};
+
+// Names accepted in the `encoding` request parameter
+const ENCODING_ALIASES = {
+  json: "json",
+  f32: "f32",
+  float32: "f32",
+  f16: "f16",
+  float16: "f16",
+  i8: "i8",
+  int8: "i8",
+};
+
+// Resolve a requested encoding name, throws for unknown names
+function resolveEncoding(name) {
+  const encoding = ENCODING_ALIASES[String(name || "json").toLowerCase()];
+  if (!encoding) {
+    throw new Error(
+      `Invalid encoding: ${name}. Use one of ${Object.keys(
+        ENCODING_ALIASES
+      ).join(", ")}.`
+    );
+  }
+  return encoding;
+}
+
+// Encode an embedding to a base64 string in the given format
+// options.modelFingerprint (hex) switches to the version 2 header
+function encodeEmbedding(embedding, format = "f32", options = {}) {
+  const spec = FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported embedding format: ${format}`);
+  }
+  if (embedding.length === 0 || embedding.length > 0xffff) {
+    throw new Error(`Cannot encode embedding of size ${embedding.length}`);
+  }
+
+  const fingerprint = options.modelFingerprint
+    ? Buffer.from(
+        options.modelFingerprint.slice(0, FINGERPRINT_SIZE * 2),
+        "hex"
+      )
+    : null;
+  if (fingerprint && fingerprint.length !== FINGERPRINT_SIZE) {
+    throw new Error("Model fingerprint must be at least 16 hex characters");
+  }
+
+  const fingerprintSize = fingerprint ? FINGERPRINT_SIZE : 0;
+  const scaleSize = format === "i8" ? 4 : 0;
+  const buffer = Buffer.alloc(
+    HEADER_SIZE +
+      fingerprintSize +
+      scaleSize +
+      embedding.length * spec.bytesPerValue
+  );
+
+  MAGIC.copy(buffer, 0);
+  buffer.writeUInt8(fingerprint ? 2 : 1, 2);
+  buffer.writeUInt8(spec.id, 3);
+  buffer.writeUInt16LE(embedding.length, 4);
+  if (fingerprint) {
+    fingerprint.copy(buffer, HEADER_SIZE);
+  }
+
+  let offset = HEADER_SIZE + fingerprintSize;
+  if (format === "f32") {
+    for (const value of embedding) {
+      buffer.writeFloatLE(value, offset);
+      offset += 4;
+    }
+  } else if (format === "f16") {
+    for (const value of embedding) {
+      buffer.writeUInt16LE(float32ToFloat16Bits(value), offset);
+      offset += 2;
+    }
+  } else {
+    const maxAbs = embedding.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+    buffer.writeFloatLE(scale, offset);
+    offset += 4;
+
+    for (const value of embedding) {
+      buffer.writeInt8(
+        Math.max(-127, Math.min(127, Math.round(value / scale))),
+        offset
+      );
+      offset += 1;
+    }
+  }
+
+  return buffer.toString("base64");
+}
+
+// Check whether a string looks like an encoded embedding
+function isEncodedEmbedding(value) {
+  if (typeof value !== "string") return false;
+  const buffer = Buffer.from(value.trim().slice(0, 8), "base64");
+  return buffer.length >= 3 && buffer.subarray(0, 2).equals(MAGIC);
+}
+
+// Get the format of an encoded embedding without decoding it
+function getEncodingFormat(value) {
+  if (!isEncodedEmbedding(value)) return null;
+  const formatId = Buffer.from(value.trim().slice(0, 8), "base64").readUInt8(3);
+  return (
+    Object.keys(FORMATS).find((name) => FORMATS[name].id === formatId) || null
+  );
+}
+
+// Get the model fingerprint prefix of an encoded embedding (null if absent)
+function getEncodedFingerprint(value) {
+  if (!isEncodedEmbedding(value)) return null;
+  const header = Buffer.from(value.trim().slice(0, 24), "base64");
+  if (
+    header.readUInt8(2) !== 2 ||
+    header.length < HEADER_SIZE + FINGERPRINT_SIZE
+  ) {
+    return null;
+  }
+  return header
+    .subarray(HEADER_SIZE, HEADER_SIZE + FINGERPRINT_SIZE)
+    .toString("hex");
+}
+
+// Decode a base64 string produced by encodeEmbedding
+// Returns { embedding, format, dimension, modelFingerprint }
+function decodeEmbedding(encoded) {
+  const buffer = Buffer.from(String(encoded).trim(), "base64");
+
+  if (buffer.length < HEADER_SIZE || !buffer.subarray(0, 2).equals(MAGIC)) {
+    throw new Error("Not an encoded embedding (missing FE header)");
+  }
+
+  const version = buffer.readUInt8(2);
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported embedding encoding version: ${version}`);
+  }
+
+  const formatId = buffer.readUInt8(3);
+  const format = Object.keys(FORMATS).find(
+    (name) => FORMATS[name].id === formatId
+  );
+  if (!format) {
+    throw new Error(`Unknown embedding format id: ${formatId}`);
+  }
+
+  const dimension = buffer.readUInt16LE(4);
+  const fingerprintSize = version === 2 ? FINGERPRINT_SIZE : 0;
+  const scaleSize = format === "i8" ? 4 : 0;
+  const expectedSize =
+    HEADER_SIZE +
+    fingerprintSize +
+    scaleSize +
+    dimension * FORMATS[format].bytesPerValue;
+  if (buffer.length !== expectedSize) {
+    throw new Error(
+      `Encoded embedding is ${buffer.length} bytes, expected ${expectedSize} for ${dimension}D ${format}`
+    );
+  }
+
+  const modelFingerprint =
+    version === 2
+      ? buffer
+          .subarray(HEADER_SIZE, HEADER_SIZE + FINGERPRINT_SIZE)
+          .toString("hex")
+      : null;
+
+  const embedding = new Array(dimension);
+  let offset = HEADER_SIZE + fingerprintSize;
+  if (format === "f32") {
+    for (let i = 0; i < dimension; i++, offset += 4) {
+      embedding[i] = buffer.readFloatLE(offset);
+    }
+  } else if (format === "f16") {
+    for (let i = 0; i < dimension; i++, offset += 2) {
+      embedding[i] = float16BitsToFloat32(buffer.readUInt16LE(offset));
+    }
+  } else {
+    const scale = buffer.readFloatLE(offset);
+    offset += 4;
+    for (let i = 0; i < dimension; i++, offset += 1) {
+      embedding[i] = buffer.readInt8(offset) * scale;
+    }
+  }
+
+  return { embedding, format, dimension, modelFingerprint };
+}
+
+// Scratch views for reading the bits of a float32
+const float32View = new Float32Array(1);
+const uint32View = new Uint32Array(float32View.buffer);
+
+// Convert a number to IEEE 754 half precision bits (round to nearest even)
+function float32ToFloat16Bits(value) {
+  float32View[0] = value;
+  const bits = uint32View[0];
+
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = (bits >>> 23) & 0xff;
+  let mantissa = bits & 0x7fffff;
+
+  // NaN and infinity
+  if (exponent === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+
+  const halfExponent = exponent - 127 + 15;
+
+  // Overflow to infinity
+  if (halfExponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+
+  // Subnormal half or underflow to zero
+  if (halfExponent <= 0) {
+    if (halfExponent < -10) {
+      return sign;
+    }
+    mantissa |= 0x800000;
+    const shift = 14 - halfExponent;
+    let halfMantissa = mantissa >>> shift;
+    const remainder = mantissa & ((1 << shift) - 1);
+    const halfway = 1 << (shift - 1);
+    if (remainder > halfway || (remainder === halfway && halfMantissa & 1)) {
+      halfMantissa++;
+    }
+    return sign | halfMantissa;
+  }
+
+  let half = sign | (halfExponent << 10) | (mantissa >>> 13);
+  const remainder = mantissa & 0x1fff;
+  if (remainder > 0x1000 || (remainder === 0x1000 && half & 1)) {
+    // A carry into the exponent is still the correctly rounded result
+    half++;
+  }
+  return half;
+}
+
+// Convert IEEE 754 half precision bits to a number
+function float16BitsToFloat32(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >>> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * mantissa * Math.pow(2, -24);
+  }
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+}
+
+module.exports = {
+  FORMATS,
+  resolveEncoding,
+  encodeEmbedding,
+  decodeEmbedding,
+  isEncodedEmbedding,
+  getEncodingFormat,
+  getEncodedFingerprint,
+};
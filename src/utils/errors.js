@@ -0,0 +1,105 @@
+// Typed service errors with stable machine-readable codes
+// Routes map them to HTTP responses in one place (middleware/errorHandler),
+// so error messages can be reworded without changing status codes. Clients
+// should branch on `code`, never on the message text.
+
+// Error codes and their HTTP status
+const ERROR_CODES = {
+  // Request and input validation
+  INVALID_REQUEST: 400,
+  INVALID_IMAGE: 400,
+  UNSUPPORTED_IMAGE_FORMAT: 400,
+  INVALID_EMBEDDING: 400,
+  EMBEDDING_DIM_MISMATCH: 400,
+  UNKNOWN_MODEL: 400,
+  UNKNOWN_PROFILE: 400,
+  TOKENS_NOT_CONFIGURED: 400,
+  MODEL_FINGERPRINT_REQUIRED: 400,
+  REQUEST_TOO_LARGE: 413,
+  // Image quality
+  IMAGE_TOO_SMALL: 400,
+  IMAGE_TOO_LARGE: 400,
+  IMAGE_FILE_TOO_SMALL: 400,
+  IMAGE_FILE_TOO_LARGE: 400,
+  IMAGE_ASPECT_RATIO: 400,
+  IMAGE_TOO_DARK: 400,
+  IMAGE_TOO_BRIGHT: 400,
+  IMAGE_LOW_CONTRAST: 400,
+  IMAGE_BLURRY: 400,
+  NO_USABLE_FRAMES: 400,
+  // Face detection
+  FACE_NOT_FOUND: 400,
+  MULTIPLE_FACES: 400,
+  LANDMARKS_NOT_FOUND: 400,
+  // Template tokens
+  INVALID_TEMPLATE_TOKEN: 401,
+  UNSIGNED_TEMPLATE: 401,
+  // Presentation attacks
+  LIVENESS_CHECK_FAILED: 403,
+  // Missing resources
+  USER_NOT_FOUND: 404,
+  TEMPLATE_NOT_FOUND: 404,
+  ENDPOINT_NOT_FOUND: 404,
+  LIVENESS_SESSION_NOT_FOUND: 404,
+  // Conflicts with stored state
+  MODEL_MISMATCH: 409,
+  USER_EXISTS: 409,
+  NO_TEMPLATES: 409,
+  LAST_TEMPLATE: 409,
+  LIVENESS_SESSION_PENDING: 409,
+  LIVENESS_SESSION_CLOSED: 409,
+  // Dependencies not available
+  MODEL_NOT_LOADED: 503,
+  DB_UNAVAILABLE: 503,
+  LIVENESS_SESSIONS_FULL: 503,
+  // Anything not raised as a ServiceError
+  INTERNAL_ERROR: 500,
+};
+
+// Base class; details is optional JSON-safe context for the client
+class ServiceError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+// Bad request parameters or uploaded data
+class ValidationError extends ServiceError {}
+
+// Image rejected by the quality checks (lighting, blur, resolution, ...)
+class ImageQualityError extends ServiceError {}
+
+// No usable face (none or several) in the image
+class FaceDetectionError extends ServiceError {}
+
+// Missing or forged template token
+class AuthenticationError extends ServiceError {}
+
+// Face rejected as a presentation attack (photo, screen, print)
+class LivenessError extends ServiceError {}
+
+// User, template or liveness session does not exist
+class NotFoundError extends ServiceError {}
+
+// Request conflicts with stored state (other model, duplicate user, ...)
+class ConflictError extends ServiceError {}
+
+// Model or database not available
+class ServiceUnavailableError extends ServiceError {}
+
+module.exports = {
+  ERROR_CODES,
+  ServiceError,
+  ValidationError,
+  ImageQualityError,
+  FaceDetectionError,
+  AuthenticationError,
+  LivenessError,
+  NotFoundError,
+  ConflictError,
+  ServiceUnavailableError,
+};
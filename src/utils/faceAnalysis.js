@@ -0,0 +1,681 @@
+// Pixel analysis for the heuristic face detector, quality checks and passive
+// liveness cues
+// Pure functions over raw pixel buffers, so they can run on worker threads
+// (see services/analysisPool) as well as on the main thread
+
+// Mean and standard deviation of greyscale pixels (brightness and contrast)
+function computeImageStats(pixels) {
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let i = 0; i < pixels.length; i++) {
+    sum += pixels[i];
+    sumSquares += pixels[i] * pixels[i];
+  }
+
+  const mean = sum / pixels.length;
+  const variance = sumSquares / pixels.length - mean * mean;
+  const std = Math.sqrt(variance);
+
+  return { mean, std };
+}
+
+// Calculate Laplacian variance for blur detection
+function calculateLaplacianVariance(buffer, width, height) {
+  const laplacianKernel = [
+    [0, -1, 0],
+    [-1, 4, -1],
+    [0, -1, 0],
+  ];
+
+  let variance = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let sum = 0;
+      for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+          const pixelIndex = (y + ky) * width + (x + kx);
+          sum += buffer[pixelIndex] * laplacianKernel[ky + 1][kx + 1];
+        }
+      }
+      variance += sum * sum;
+      count++;
+    }
+  }
+
+  return variance / count;
+}
+
+// Enhanced face region detection with face-specific feature validation
+function findFaceRegions(
+  edgeBuffer,
+  width,
+  height,
+  edgeThreshold = 40,
+  regionThreshold = 25,
+  minFaceSize = 0.1
+) {
+  const regions = [];
+  const minRegionSize = Math.floor(width * minFaceSize);
+  const visited = new Set();
+
+  // Step 1: Find potential regions using edge detection
+  for (let y = minRegionSize; y < height - minRegionSize; y += 8) {
+    for (let x = minRegionSize; x < width - minRegionSize; x += 8) {
+      const index = y * width + x;
+      if (visited.has(index) || edgeBuffer[index] < edgeThreshold) continue;
+
+      const region = growRegion(
+        edgeBuffer,
+        width,
+        height,
+        x,
+        y,
+        visited,
+        regionThreshold
+      );
+
+      if (region.size > minRegionSize * minRegionSize * 0.08) {
+        regions.push({
+          x: region.minX,
+          y: region.minY,
+          width: region.maxX - region.minX,
+          height: region.maxY - region.minY,
+          size: region.size,
+          centerX: (region.minX + region.maxX) / 2,
+          centerY: (region.minY + region.maxY) / 2,
+          density:
+            region.size /
+            ((region.maxX - region.minX) * (region.maxY - region.minY)),
+        });
+      }
+    }
+  }
+
+  // Step 2: Filter regions by basic geometric constraints
+  const geometricFiltered = regions.filter((region) => {
+    const aspectRatio = region.width / region.height;
+    const sizeRatio =
+      Math.min(region.width, region.height) /
+      Math.max(region.width, region.height);
+
+    return (
+      aspectRatio > 0.6 &&
+      aspectRatio < 1.7 && // More flexible aspect ratio
+      sizeRatio > 0.5 && // Not too elongated
+      region.width > minRegionSize * 0.8 &&
+      region.height > minRegionSize * 0.8 &&
+      region.density > 0.1 && // Reasonable edge density
+      region.density < 0.8 // Not too dense (likely noise)
+    );
+  });
+
+  // Step 3: Apply face-specific feature validation
+  const faceValidated = [];
+  for (const region of geometricFiltered) {
+    const faceScore = calculateFaceScore(edgeBuffer, width, height, region);
+    if (faceScore > 0.3) {
+      // Minimum face confidence threshold
+      region.faceScore = faceScore;
+      faceValidated.push(region);
+    }
+  }
+
+  // Step 4: Remove overlapping regions (keep highest scoring)
+  const finalRegions = removeOverlappingRegions(faceValidated);
+
+  console.log(
+    `🔍 Face detection results: ${regions.length} initial → ${geometricFiltered.length} geometric → ${faceValidated.length} face-validated → ${finalRegions.length} final`
+  );
+
+  return finalRegions;
+}
+
+// Enhanced region growing algorithm with adaptive thresholding
+function growRegion(
+  buffer,
+  width,
+  height,
+  startX,
+  startY,
+  visited,
+  threshold = 30
+) {
+  const stack = [{ x: startX, y: startY }];
+  const region = {
+    minX: startX,
+    maxX: startX,
+    minY: startY,
+    maxY: startY,
+    size: 0,
+  };
+
+  while (stack.length > 0) {
+    const { x, y } = stack.pop();
+    const index = y * width + x;
+
+    if (visited.has(index) || x < 0 || x >= width || y < 0 || y >= height)
+      continue;
+    if (buffer[index] < threshold) continue;
+
+    visited.add(index);
+    region.size++;
+    region.minX = Math.min(region.minX, x);
+    region.maxX = Math.max(region.maxX, x);
+    region.minY = Math.min(region.minY, y);
+    region.maxY = Math.max(region.maxY, y);
+
+    // Add neighbors
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        stack.push({ x: x + dx, y: y + dy });
+      }
+    }
+  }
+
+  return region;
+}
+
+// Calculate face-specific confidence score for a region
+function calculateFaceScore(edgeBuffer, width, height, region) {
+  let score = 0;
+
+  // Score 1: Symmetry check (faces tend to be symmetric)
+  const symmetryScore = checkSymmetry(edgeBuffer, width, region);
+  score += symmetryScore * 0.3;
+
+  // Score 2: Eye-like patterns in upper third
+  const eyeScore = detectEyePatterns(edgeBuffer, width, region);
+  score += eyeScore * 0.25;
+
+  // Score 3: Mouth-like pattern in lower third
+  const mouthScore = detectMouthPattern(edgeBuffer, width, region);
+  score += mouthScore * 0.2;
+
+  // Score 4: Edge distribution (faces have specific edge patterns)
+  const edgeDistScore = analyzeEdgeDistribution(edgeBuffer, width, region);
+  score += edgeDistScore * 0.15;
+
+  // Score 5: Position preference (faces usually in center-upper area)
+  const positionScore = calculatePositionScore(region, width, height);
+  score += positionScore * 0.1;
+
+  return Math.min(score, 1.0);
+}
+
+// Check horizontal symmetry of edge patterns
+function checkSymmetry(edgeBuffer, width, region) {
+  const centerX = Math.floor((region.x + region.x + region.width) / 2);
+  let symmetrySum = 0;
+  let comparisons = 0;
+
+  for (let y = region.y; y < region.y + region.height; y += 2) {
+    for (let offset = 1; offset < Math.min(region.width / 2, 15); offset++) {
+      const leftIdx = y * width + (centerX - offset);
+      const rightIdx = y * width + (centerX + offset);
+
+      if (leftIdx >= 0 && rightIdx < edgeBuffer.length) {
+        const diff = Math.abs(edgeBuffer[leftIdx] - edgeBuffer[rightIdx]);
+        symmetrySum += Math.max(0, 50 - diff) / 50; // Normalize to 0-1
+        comparisons++;
+      }
+    }
+  }
+
+  return comparisons > 0 ? symmetrySum / comparisons : 0;
+}
+
+// Detect eye-like patterns (horizontal edge pairs in upper region)
+function detectEyePatterns(edgeBuffer, width, region) {
+  const bounds = getEyeRegionBounds(region);
+
+  // Look for horizontal edge concentrations (eye-like)
+  const peak = findPeakEdgeRow(edgeBuffer, width, bounds, 40, 2);
+
+  const expectedEyeWidth = region.width * 0.7;
+  return Math.min(peak.count / expectedEyeWidth, 1.0);
+}
+
+// Detect mouth-like patterns (horizontal edges in lower region)
+function detectMouthPattern(edgeBuffer, width, region) {
+  const bounds = getMouthRegionBounds(region);
+  const peak = findPeakEdgeRow(edgeBuffer, width, bounds, 35, 1);
+
+  const expectedMouthWidth = region.width * 0.6;
+  return Math.min(peak.count / expectedMouthWidth, 1.0);
+}
+
+// Upper band of a face region where the eyes are expected
+function getEyeRegionBounds(region) {
+  return {
+    top: region.y,
+    bottom: region.y + Math.floor(region.height * 0.4),
+    left: region.x + Math.floor(region.width * 0.15),
+    right: region.x + region.width - Math.floor(region.width * 0.15),
+  };
+}
+
+// Lower band of a face region where the mouth is expected
+function getMouthRegionBounds(region) {
+  return {
+    top: region.y + Math.floor(region.height * 0.6),
+    bottom: region.y + region.height,
+    left: region.x + Math.floor(region.width * 0.2),
+    right: region.x + region.width - Math.floor(region.width * 0.2),
+  };
+}
+
+// Find the row with the most edge pixels above threshold inside the bounds
+function findPeakEdgeRow(edgeBuffer, width, bounds, threshold, step) {
+  let peakRow = bounds.top;
+  let peakCount = 0;
+
+  for (let y = bounds.top; y < bounds.bottom; y += step) {
+    let horizontalEdges = 0;
+    for (let x = bounds.left; x < bounds.right; x++) {
+      const idx = y * width + x;
+      if (idx < edgeBuffer.length && edgeBuffer[idx] > threshold) {
+        horizontalEdges++;
+      }
+    }
+    if (horizontalEdges > peakCount) {
+      peakCount = horizontalEdges;
+      peakRow = y;
+    }
+  }
+
+  return { y: peakRow, count: peakCount };
+}
+
+// Estimate five facial landmarks from the eye and mouth edge patterns
+// Coarse by nature: eyes are the edge centroids of each half of the eye row,
+// mouth corners the outermost edges of the mouth row
+function estimateLandmarks(edgeBuffer, width, region) {
+  const eyeBounds = getEyeRegionBounds(region);
+  const mouthBounds = getMouthRegionBounds(region);
+  const eyeRow = findPeakEdgeRow(edgeBuffer, width, eyeBounds, 40, 2);
+  const mouthRow = findPeakEdgeRow(edgeBuffer, width, mouthBounds, 35, 1);
+
+  const centerX = region.x + region.width / 2;
+  const edgeCentroid = (left, right, row) => {
+    let sum = 0;
+    let count = 0;
+    for (let y = row - 2; y <= row + 2; y++) {
+      for (let x = left; x < right; x++) {
+        const idx = y * width + x;
+        if (idx >= 0 && idx < edgeBuffer.length && edgeBuffer[idx] > 40) {
+          sum += x;
+          count++;
+        }
+      }
+    }
+    return count > 0 ? sum / count : (left + right) / 2;
+  };
+
+  const leftEyeX = edgeCentroid(eyeBounds.left, Math.floor(centerX), eyeRow.y);
+  const rightEyeX = edgeCentroid(Math.ceil(centerX), eyeBounds.right, eyeRow.y);
+
+  let mouthLeft = mouthBounds.right;
+  let mouthRight = mouthBounds.left;
+  for (let x = mouthBounds.left; x < mouthBounds.right; x++) {
+    const idx = mouthRow.y * width + x;
+    if (idx < edgeBuffer.length && edgeBuffer[idx] > 35) {
+      mouthLeft = Math.min(mouthLeft, x);
+      mouthRight = Math.max(mouthRight, x);
+    }
+  }
+  if (mouthLeft >= mouthRight) {
+    mouthLeft = centerX - region.width * 0.15;
+    mouthRight = centerX + region.width * 0.15;
+  }
+
+  // Nose tip sits roughly halfway between the eye line and the mouth line
+  const noseY = eyeRow.y + (mouthRow.y - eyeRow.y) * 0.5;
+
+  return {
+    leftEye: { x: leftEyeX, y: eyeRow.y },
+    rightEye: { x: rightEyeX, y: eyeRow.y },
+    nose: { x: (leftEyeX + rightEyeX) / 2, y: noseY },
+    leftMouth: { x: mouthLeft, y: mouthRow.y },
+    rightMouth: { x: mouthRight, y: mouthRow.y },
+  };
+}
+
+// Analyze edge distribution patterns
+function analyzeEdgeDistribution(edgeBuffer, width, region) {
+  const totalPixels = region.width * region.height;
+  let edgePixels = 0;
+  let centerEdges = 0;
+
+  const centerX = region.x + Math.floor(region.width / 2);
+  const centerY = region.y + Math.floor(region.height / 2);
+  const centerRadius = Math.min(region.width, region.height) * 0.3;
+
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      const idx = y * width + x;
+      if (idx < edgeBuffer.length && edgeBuffer[idx] > 30) {
+        edgePixels++;
+
+        // Check if edge is in center region
+        const distFromCenter = Math.sqrt(
+          (x - centerX) ** 2 + (y - centerY) ** 2
+        );
+        if (distFromCenter < centerRadius) {
+          centerEdges++;
+        }
+      }
+    }
+  }
+
+  const edgeDensity = edgePixels / totalPixels;
+  const centerConcentration = centerEdges / Math.max(edgePixels, 1);
+
+  // Faces typically have moderate edge density with center concentration
+  const densityScore = edgeDensity > 0.1 && edgeDensity < 0.4 ? 1.0 : 0.5;
+  const concentrationScore =
+    centerConcentration > 0.3 ? 1.0 : centerConcentration / 0.3;
+
+  return (densityScore + concentrationScore) / 2;
+}
+
+// Calculate position-based score (faces usually in upper-center area)
+function calculatePositionScore(region, imageWidth, imageHeight) {
+  const centerX = region.centerX / imageWidth;
+  const centerY = region.centerY / imageHeight;
+
+  // Prefer regions in center horizontally, upper-center vertically
+  const horizontalScore = 1.0 - Math.abs(centerX - 0.5) * 2; // Peak at center
+  const verticalScore =
+    centerY < 0.6 ? 1.0 : Math.max(0, 1.0 - (centerY - 0.6) * 2.5);
+
+  return Math.max(0, (horizontalScore + verticalScore) / 2);
+}
+
+// Remove overlapping regions, keeping highest scoring ones
+function removeOverlappingRegions(regions) {
+  if (regions.length <= 1) return regions;
+
+  // Sort by face score (highest first)
+  const sortedRegions = regions.sort(
+    (a, b) => (b.faceScore || 0) - (a.faceScore || 0)
+  );
+  const finalRegions = [];
+
+  for (const region of sortedRegions) {
+    let hasOverlap = false;
+
+    for (const existing of finalRegions) {
+      const overlapArea = calculateOverlapArea(region, existing);
+      const minArea = Math.min(
+        region.width * region.height,
+        existing.width * existing.height
+      );
+
+      // If overlap is more than 30% of smaller region, consider it overlapping
+      if (overlapArea / minArea > 0.3) {
+        hasOverlap = true;
+        break;
+      }
+    }
+
+    if (!hasOverlap) {
+      finalRegions.push(region);
+    }
+  }
+
+  return finalRegions;
+}
+
+// Calculate overlap area between two regions
+function calculateOverlapArea(region1, region2) {
+  const left = Math.max(region1.x, region2.x);
+  const right = Math.min(region1.x + region1.width, region2.x + region2.width);
+  const top = Math.max(region1.y, region2.y);
+  const bottom = Math.min(
+    region1.y + region1.height,
+    region2.y + region2.height
+  );
+
+  if (left < right && top < bottom) {
+    return (right - left) * (bottom - top);
+  }
+
+  return 0;
+}
+
+// Run the edge-based detection passes on a square edge map
+// Sensitivity decreases pass by pass until a face region is found; every
+// region gets coarse landmarks, all in edge map coordinates
+function detectFaceRegions(edgeBuffer, size, options) {
+  const { edgeThresholds, regionThresholds, minFaceSize } = options;
+  let faceRegions = [];
+
+  // Try multiple detection passes with decreasing sensitivity
+  for (let i = 0; i < edgeThresholds.length && faceRegions.length === 0; i++) {
+    console.log(
+      `🔍 Face detection pass ${i + 1} with edge threshold ${edgeThresholds[i]}`
+    );
+    faceRegions = findFaceRegions(
+      edgeBuffer,
+      size,
+      size,
+      edgeThresholds[i],
+      regionThresholds[i],
+      minFaceSize
+    );
+    console.log(
+      `📊 Pass ${i + 1}: Detected ${faceRegions.length} potential face regions`
+    );
+  }
+
+  return faceRegions.map((region) => ({
+    ...region,
+    landmarks: estimateLandmarks(edgeBuffer, size, region),
+  }));
+}
+
+// Passive liveness cues of a square RGB face crop
+// Recaptured faces (prints, phone and monitor screens) tend to show:
+// - loss of fine detail: weak Laplacian response relative to the contrast
+// - moiré: isolated peaks in the mid-frequency spectrum (screen pixel grid
+//   beating with the camera sensor)
+// - print halftone: isolated peaks in the high-frequency spectrum
+// - glare: clipped, colourless highlights from glossy paper or glass
+// Each cue gives evidence in [0, 1]; score is the probability-like live score
+// 1 - P(spoof), combining the weighted evidence as independent cues
+function computeLivenessCues(rgbBuffer, size) {
+  const pixelCount = size * size;
+  const grey = new Float32Array(pixelCount);
+  let glarePixels = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgbBuffer[i * 3];
+    const g = rgbBuffer[i * 3 + 1];
+    const b = rgbBuffer[i * 3 + 2];
+    const value = 0.299 * r + 0.587 * g + 0.114 * b;
+    grey[i] = value;
+    sum += value;
+    sumSquares += value * value;
+
+    const max = Math.max(r, g, b);
+    if (max >= 245 && max - Math.min(r, g, b) <= 25) {
+      glarePixels++;
+    }
+  }
+
+  const mean = sum / pixelCount;
+  const std = Math.sqrt(Math.max(0, sumSquares / pixelCount - mean * mean));
+
+  // Fine detail relative to contrast, so lighting does not dominate
+  let laplacianSum = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      laplacianSum += Math.abs(
+        4 * grey[i] -
+          grey[i - 1] -
+          grey[i + 1] -
+          grey[i - size] -
+          grey[i + size]
+      );
+    }
+  }
+  const detailRatio = laplacianSum / ((size - 2) * (size - 2)) / (std + 1);
+
+  const { midPeakRatio, highPeakRatio } = spectralPeakRatios(grey, size, mean);
+  const glareFraction = glarePixels / pixelCount;
+
+  const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+  const cues = {
+    highFrequency: {
+      value: round(detailRatio, 4),
+      evidence: round(clamp01((0.08 - detailRatio) / 0.06), 3),
+      weight: 0.6,
+    },
+    moire: {
+      value: round(midPeakRatio, 1),
+      evidence: round(clamp01((midPeakRatio - 15) / 15), 3),
+      weight: 0.8,
+    },
+    halftone: {
+      value: round(highPeakRatio, 1),
+      evidence: round(clamp01((highPeakRatio - 15) / 15), 3),
+      weight: 0.8,
+    },
+    glare: {
+      value: round(glareFraction, 4),
+      evidence: round(clamp01((glareFraction - 0.005) / 0.03), 3),
+      weight: 0.5,
+    },
+  };
+
+  let liveProbability = 1;
+  for (const cue of Object.values(cues)) {
+    liveProbability *= 1 - cue.weight * cue.evidence;
+  }
+
+  return { score: round(liveProbability, 4), cues };
+}
+
+// Spectral peak strength of the mid (size/16 to size/4 cycles) and high
+// (size/4 to size/2) frequency bands of a Hann-windowed greyscale image
+// Each frequency's power is divided by the mean power of its radius, which
+// removes the smooth fall-off of natural images; what remains is the largest
+// whitened value of each band (around 10 for noise-like spectra, far higher
+// for periodic patterns). The axes are skipped, they carry the energy of
+// edges and the window border.
+function spectralPeakRatios(grey, size, mean) {
+  // Windowed, mean-free input
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  const input = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      input[y * size + x] = (grey[y * size + x] - mean) * window[x] * window[y];
+    }
+  }
+
+  // Separable DFT: rows, then columns
+  const cos = new Float64Array(size * size);
+  const sin = new Float64Array(size * size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      const angle = (2 * Math.PI * ((k * n) % size)) / size;
+      cos[k * size + n] = Math.cos(angle);
+      sin[k * size + n] = Math.sin(angle);
+    }
+  }
+
+  const rowRe = new Float64Array(size * size);
+  const rowIm = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let k = 0; k < size; k++) {
+      let re = 0;
+      let im = 0;
+      for (let n = 0; n < size; n++) {
+        const value = input[y * size + n];
+        re += value * cos[k * size + n];
+        im -= value * sin[k * size + n];
+      }
+      rowRe[y * size + k] = re;
+      rowIm[y * size + k] = im;
+    }
+  }
+
+  // Real input has a symmetric spectrum, positive horizontal frequencies
+  // are enough
+  const half = size / 2;
+  const bins = [];
+  const radialSum = new Float64Array(half + 1);
+  const radialCount = new Uint32Array(half + 1);
+  for (let u = 1; u < half; u++) {
+    for (let v = 0; v < size; v++) {
+      const fv = v < half ? v : v - size;
+      if (fv === 0) continue;
+
+      let re = 0;
+      let im = 0;
+      for (let n = 0; n < size; n++) {
+        const c = cos[v * size + n];
+        const s = sin[v * size + n];
+        re += rowRe[n * size + u] * c + rowIm[n * size + u] * s;
+        im += rowIm[n * size + u] * c - rowRe[n * size + u] * s;
+      }
+
+      const radius = Math.round(Math.sqrt(u * u + fv * fv));
+      if (radius > half) continue;
+      const power = re * re + im * im;
+      bins.push({ radius, power });
+      radialSum[radius] += power;
+      radialCount[radius]++;
+    }
+  }
+
+  let midPeakRatio = 0;
+  let highPeakRatio = 0;
+  for (const { radius, power } of bins) {
+    const radialMean = radialSum[radius] / radialCount[radius];
+    const whitened = radialMean > 0 ? power / radialMean : 0;
+    if (radius >= size / 16 && radius < size / 4) {
+      midPeakRatio = Math.max(midPeakRatio, whitened);
+    } else if (radius >= size / 4) {
+      highPeakRatio = Math.max(highPeakRatio, whitened);
+    }
+  }
+
+  return { midPeakRatio, highPeakRatio };
+}
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Tasks that may run on analysis worker threads
+const TASKS = {
+  imageStats: computeImageStats,
+  laplacianVariance: calculateLaplacianVariance,
+  detectFaceRegions,
+  livenessCues: computeLivenessCues,
+};
+
+module.exports = {
+  TASKS,
+  computeImageStats,
+  calculateLaplacianVariance,
+  findFaceRegions,
+  growRegion,
+  calculateFaceScore,
+  estimateLandmarks,
+  removeOverlappingRegions,
+  calculateOverlapArea,
+  detectFaceRegions,
+  computeLivenessCues,
+};
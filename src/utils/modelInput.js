@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+
+// Input preprocessing settings of recognition models
+// Layout and spatial size come from the ONNX input metadata; normalization
+// and channel order, which ONNX does not describe, come from a sidecar JSON
+// file next to the model (arcface.onnx -> arcface.json) or the model registry
+
+const SUPPORTED_LAYOUTS = ["nhwc", "nchw"];
+const SUPPORTED_CHANNEL_ORDERS = ["rgb", "bgr"];
+
+// (pixel - mean) / std with pixels in [0, 255]
+const NORMALIZATION_PRESETS = {
+  // [-1, 1], used by the InsightFace/ArcFace exports
+  arcface: { mean: 127.5, std: 127.5 },
+  // [0, 1]
+  unit: { mean: 0, std: 255 },
+  // ImageNet statistics, RGB order
+  imagenet: { mean: [123.675, 116.28, 103.53], std: [58.395, 57.12, 57.375] },
+  // Raw pixel values
+  none: { mean: 0, std: 1 },
+};
+
+// Read the metadata of a model input or output
+// onnxruntime-node 1.21+ exposes arrays of { name, isTensor, type, shape };
+// some builds key the metadata by name and older ones do not expose it at all
+function getTensorMetadata(session, kind, index = 0) {
+  const names = kind === "input" ? session.inputNames : session.outputNames;
+  const metadata =
+    kind === "input" ? session.inputMetadata : session.outputMetadata;
+  if (!metadata) return null;
+
+  const entry = Array.isArray(metadata)
+    ? metadata[index]
+    : metadata[names[index]];
+  if (!entry) return null;
+
+  const shape = entry.shape || entry.dims;
+  return {
+    name: entry.name || names[index],
+    type: entry.type || null,
+    shape: Array.isArray(shape) ? [...shape] : null,
+  };
+}
+
+// Work out layout and spatial size from a 4D image input shape
+// Symbolic dimensions (strings or -1) leave the size undetermined
+function inferInputLayout(shape) {
+  if (!Array.isArray(shape) || shape.length !== 4) return null;
+
+  const dim = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  let layout;
+  let height;
+  let width;
+  if (dim(shape[1]) === 3 && dim(shape[3]) !== 3) {
+    layout = "nchw";
+    [height, width] = [dim(shape[2]), dim(shape[3])];
+  } else if (dim(shape[3]) === 3) {
+    layout = "nhwc";
+    [height, width] = [dim(shape[1]), dim(shape[2])];
+  } else {
+    return null;
+  }
+
+  if (height && width && height !== width) {
+    throw new Error(
+      `Non-square model input ${width}x${height} is not supported`
+    );
+  }
+  return { layout, inputSize: height || width || null };
+}
+
+// Expand a normalization preset name or { mean, std } into per-channel arrays
+function resolveNormalization(value) {
+  const spec =
+    typeof value === "string"
+      ? NORMALIZATION_PRESETS[value.toLowerCase()]
+      : value;
+  if (!spec) {
+    throw new Error(
+      `Unknown normalization preset "${value}". Use one of ${Object.keys(
+        NORMALIZATION_PRESETS
+      ).join(", ")} or { "mean": ..., "std": ... }`
+    );
+  }
+
+  const toChannels = (channelValue) =>
+    Array.isArray(channelValue)
+      ? channelValue.map(Number)
+      : [0, 0, 0].fill(Number(channelValue));
+  const mean = toChannels(spec.mean !== undefined ? spec.mean : 0);
+  const std = toChannels(spec.std !== undefined ? spec.std : 1);
+  if (
+    mean.length !== 3 ||
+    std.length !== 3 ||
+    mean.some((v) => !Number.isFinite(v)) ||
+    std.some((v) => !Number.isFinite(v) || v === 0)
+  ) {
+    throw new Error(
+      "Normalization needs 3 mean and 3 non-zero std values (or one of each)"
+    );
+  }
+  return { mean, std };
+}
+
+// Validate a layout or channel order name
+function resolveOption(value, supported, label) {
+  const option = String(value).toLowerCase();
+  if (!supported.includes(option)) {
+    throw new Error(
+      `Unsupported ${label} "${value}". Use ${supported.join(" or ")}.`
+    );
+  }
+  return option;
+}
+
+// Default sidecar location: the model path with a .json extension
+function getSidecarPath(modelPath) {
+  return path.join(
+    path.dirname(modelPath),
+    `${path.basename(modelPath, path.extname(modelPath))}.json`
+  );
+}
+
+// Load the sidecar preprocessing file of a model, null when there is none
+function readSidecar(sidecarPath) {
+  if (!sidecarPath || !fs.existsSync(sidecarPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(sidecarPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid model sidecar ${sidecarPath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_LAYOUTS,
+  SUPPORTED_CHANNEL_ORDERS,
+  NORMALIZATION_PRESETS,
+  getTensorMetadata,
+  inferInputLayout,
+  resolveNormalization,
+  resolveOption,
+  getSidecarPath,
+  readSidecar,
+};
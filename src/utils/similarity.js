@@ -229,6 +229,103 @@ function isMatch(vectorA, vectorB, threshold = 0.6, metric = "cosine") {
   }
 }
 
+// Mean of L2-normalized vectors, normalized again (template centroid)
+// Optional weights (one non-negative number per vector) give a weighted mean
+function computeCentroid(vectors, weights = null) {
+  if (!Array.isArray(vectors) || vectors.length === 0) {
+    throw new Error("At least one vector is required");
+  }
+  if (
+    weights &&
+    (weights.length !== vectors.length ||
+      weights.some((weight) => !(weight >= 0)) ||
+      !weights.some((weight) => weight > 0))
+  ) {
+    throw new Error(
+      "Weights must be one non-negative number per vector, not all zero"
+    );
+  }
+
+  const dimension = vectors[0].length;
+  const sum = new Array(dimension).fill(0);
+
+  vectors.forEach((vector, index) => {
+    if (vector.length !== dimension) {
+      throw new Error(
+        `Vector dimensions must match. Expected ${dimension}, got ${vector.length}`
+      );
+    }
+    const unit = normalizeVector(vector);
+    const weight = weights ? weights[index] : 1;
+    for (let i = 0; i < dimension; i++) {
+      sum[i] += weight * unit[i];
+    }
+  });
+
+  return normalizeVector(sum);
+}
+
+// Write the L2-normalized vector into a Float32Array at the given row offset
+// Returns false for zero vectors, which cannot be scored by cosine similarity
+function writeUnitVector(vector, target, offset = 0) {
+  let magnitude = 0;
+  for (let i = 0; i < vector.length; i++) {
+    magnitude += vector[i] * vector[i];
+  }
+  magnitude = Math.sqrt(magnitude);
+
+  if (magnitude === 0 || !isFinite(magnitude)) {
+    return false;
+  }
+
+  for (let i = 0; i < vector.length; i++) {
+    target[offset + i] = vector[i] / magnitude;
+  }
+  return true;
+}
+
+// Score a unit query against a row-major matrix of unit vectors
+// With both sides normalized the dot product is the cosine similarity
+function scoreAgainstMatrix(query, matrix, dimension, rows) {
+  const scores = new Float32Array(rows);
+
+  for (let row = 0; row < rows; row++) {
+    const offset = row * dimension;
+    let dot = 0;
+    for (let i = 0; i < dimension; i++) {
+      dot += query[i] * matrix[offset + i];
+    }
+    scores[row] = dot;
+  }
+
+  return scores;
+}
+
+// Merge scores into a running top-K list (sorted by score, highest first)
+// Only scores that beat the current K-th best are inserted; -Infinity marks
+// excluded items, which are never inserted
+function mergeTopK(topK, scores, k, getItem = (index) => index) {
+  for (let i = 0; i < scores.length; i++) {
+    const score = scores[i];
+    if (score === -Infinity) continue;
+    if (topK.length === k && score <= topK[k - 1].score) continue;
+
+    // Binary search for the insertion point
+    let low = 0;
+    let high = topK.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (topK[mid].score >= score) low = mid + 1;
+      else high = mid;
+    }
+
+    topK.splice(low, 0, { score, item: getItem(i) });
+    if (topK.length > k) topK.pop();
+  }
+
+  return topK;
+}
+
 module.exports = {
   calculateCosineSimilarity,
   calculateEuclideanDistance,
@@ -236,4 +333,8 @@ module.exports = {
   normalizeVector,
   calculateAllSimilarities,
   isMatch,
+  computeCentroid,
+  writeUnitVector,
+  scoreAgainstMatrix,
+  mergeTopK,
 };
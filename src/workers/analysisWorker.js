@@ -0,0 +1,16 @@
+const { parentPort } = require("worker_threads");
+const { TASKS } = require("../utils/faceAnalysis");
+
+// Worker thread for CPU-heavy pixel analysis
+// Messages: { id, task, args } with task a key of faceAnalysis.TASKS;
+// replies { id, result } or { id, error }
+parentPort.on("message", ({ id, task, args }) => {
+  try {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown analysis task: ${task}`);
+    }
+    parentPort.postMessage({ id, result: TASKS[task](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+
+// The pool reads its size when first required
+process.env.ANALYSIS_WORKERS = "1";
+
+const analysisPool = require("../src/services/analysisPool");
+
+const pixels = () => Uint8Array.from([10, 20, 30, 40]);
+// Large enough that the worker is still busy when the test interferes
+const largeImage = () => [new Uint8Array(3000 * 3000), 3000, 3000];
+
+// Resolves once the dead worker has been replaced and is idle again
+async function waitForRestart(restarts) {
+  for (let i = 0; i < 100; i++) {
+    const slot = analysisPool.workers[0];
+    if (analysisPool.stats.restarts === restarts && slot && !slot.dead) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("Analysis worker was not restarted");
+}
+
+describe("analysis pool", () => {
+  const taskTimeoutMs = analysisPool.taskTimeoutMs;
+
+  before(() => {
+    analysisPool.start();
+  });
+
+  after(() => analysisPool.close());
+
+  it("runs a task on a worker thread", async () => {
+    const stats = await analysisPool.run("imageStats", [pixels()]);
+    assert.strictEqual(stats.mean, 25);
+  });
+
+  it("rejects unknown tasks without dispatching them", async () => {
+    await assert.rejects(
+      analysisPool.run("unknownTask", []),
+      /Unknown analysis task/
+    );
+  });
+
+  it("replaces a worker that crashes mid-task", async () => {
+    const restarts = analysisPool.stats.restarts;
+    const task = analysisPool.run("laplacianVariance", largeImage());
+    await analysisPool.workers[0].worker.terminate();
+
+    await assert.rejects(task, /Analysis worker exited/);
+    await waitForRestart(restarts + 1);
+
+    const stats = await analysisPool.run("imageStats", [pixels()]);
+    assert.strictEqual(stats.mean, 25);
+  });
+
+  it("terminates and replaces a worker whose task times out", async () => {
+    const restarts = analysisPool.stats.restarts;
+    analysisPool.taskTimeoutMs = 0;
+    try {
+      await assert.rejects(
+        analysisPool.run("laplacianVariance", largeImage()),
+        /timed out after 0ms/
+      );
+    } finally {
+      analysisPool.taskTimeoutMs = taskTimeoutMs;
+    }
+    await waitForRestart(restarts + 1);
+
+    const stats = await analysisPool.run("imageStats", [pixels()]);
+    assert.strictEqual(stats.mean, 25);
+    assert.strictEqual(analysisPool.getStats().running, 1);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  encodeEmbedding,
+  decodeEmbedding,
+  getEncodingFormat,
+  getEncodedFingerprint,
+  resolveEncoding,
+} = require("../src/utils/embeddingCodec");
+const {
+  calculateCosineSimilarity,
+  normalizeVector,
+} = require("../src/utils/similarity");
+
+// Seeded PRNG (mulberry32) so the error bounds are checked on fixed data
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomUnitVector(random, dimension) {
+  return normalizeVector(
+    Array.from({ length: dimension }, () => random() * 2 - 1)
+  );
+}
+
+// Probe with a target similarity to the stored embedding
+function correlatedVector(random, base, similarity) {
+  const noise = randomUnitVector(random, base.length);
+  const weight = Math.sqrt(1 - similarity * similarity);
+  return normalizeVector(
+    base.map((v, i) => similarity * v + weight * noise[i])
+  );
+}
+
+// Upper bounds on the similarity error, with headroom over the maxima in the
+// README table (measured by `npm run codec:report`)
+const ERROR_BOUNDS = { f32: 1e-7, f16: 1e-4, i8: 2e-3 };
+
+const FINGERPRINT = "0123456789abcdef0123456789abcdef";
+
+function withHeaderByte(encoded, offset, value) {
+  const buffer = Buffer.from(encoded, "base64");
+  buffer.writeUInt8(value, offset);
+  return buffer.toString("base64");
+}
+
+describe("embedding codec", () => {
+  for (const [format, bound] of Object.entries(ERROR_BOUNDS)) {
+    it(`keeps the ${format} similarity error below ${bound}`, () => {
+      const random = createRandom(42);
+      let maxError = 0;
+
+      for (let i = 0; i < 200; i++) {
+        const stored = randomUnitVector(random, 512);
+        const probe = correlatedVector(random, stored, random() * 2 - 1);
+        const { embedding, dimension } = decodeEmbedding(
+          encodeEmbedding(stored, format)
+        );
+
+        assert.strictEqual(dimension, 512);
+        maxError = Math.max(
+          maxError,
+          Math.abs(
+            calculateCosineSimilarity(embedding, probe) -
+              calculateCosineSimilarity(stored, probe)
+          )
+        );
+      }
+
+      assert.ok(maxError < bound, `max error ${maxError} >= ${bound}`);
+    });
+  }
+
+  it("round-trips float16 edge values", () => {
+    const values = [0, -0, 1, -2, 65504, 6.103515625e-5, 5.960464477539063e-8];
+    const { embedding } = decodeEmbedding(encodeEmbedding(values, "f16"));
+    assert.deepStrictEqual(embedding, values);
+
+    const overflow = decodeEmbedding(encodeEmbedding([1e6, -1e6], "f16"));
+    assert.deepStrictEqual(overflow.embedding, [Infinity, -Infinity]);
+  });
+
+  it("encodes an all-zero int8 embedding", () => {
+    const { embedding } = decodeEmbedding(encodeEmbedding([0, 0, 0], "i8"));
+    assert.deepStrictEqual(embedding, [0, 0, 0]);
+  });
+
+  it("carries the model fingerprint prefix in version 2", () => {
+    const encoded = encodeEmbedding([0.6, 0.8], "f16", {
+      modelFingerprint: FINGERPRINT,
+    });
+
+    assert.strictEqual(getEncodingFormat(encoded), "f16");
+    assert.strictEqual(
+      getEncodedFingerprint(encoded),
+      FINGERPRINT.slice(0, 16)
+    );
+    assert.strictEqual(
+      decodeEmbedding(encoded).modelFingerprint,
+      FINGERPRINT.slice(0, 16)
+    );
+    assert.strictEqual(
+      decodeEmbedding(encodeEmbedding([0.6, 0.8])).modelFingerprint,
+      null
+    );
+  });
+
+  it("rejects malformed input", () => {
+    const encoded = encodeEmbedding([0.6, 0.8], "f32");
+
+    assert.throws(
+      () => decodeEmbedding(Buffer.from("XX0000").toString("base64")),
+      /missing FE header/
+    );
+    assert.throws(() => decodeEmbedding(""), /missing FE header/);
+    assert.throws(
+      () => decodeEmbedding(withHeaderByte(encoded, 2, 9)),
+      /Unsupported embedding encoding version: 9/
+    );
+    assert.throws(
+      () => decodeEmbedding(withHeaderByte(encoded, 3, 7)),
+      /Unknown embedding format id: 7/
+    );
+    assert.throws(
+      () => decodeEmbedding(withHeaderByte(encoded, 4, 3)),
+      /expected 18 for 3D f32/
+    );
+    assert.throws(
+      () =>
+        decodeEmbedding(
+          Buffer.from(encoded, "base64").subarray(0, 10).toString("base64")
+        ),
+      /is 10 bytes, expected 14/
+    );
+  });
+
+  it("rejects embeddings and fingerprints it cannot encode", () => {
+    assert.throws(() => encodeEmbedding([], "f32"), /size 0/);
+    assert.throws(() => encodeEmbedding([1], "f64"), /Unsupported/);
+    assert.throws(
+      () => encodeEmbedding([1], "f32", { modelFingerprint: "abc" }),
+      /16 hex characters/
+    );
+  });
+
+  it("resolves encoding aliases", () => {
+    assert.strictEqual(resolveEncoding(undefined), "json");
+    assert.strictEqual(resolveEncoding("Float16"), "f16");
+    assert.strictEqual(resolveEncoding("int8"), "i8");
+    assert.throws(() => resolveEncoding("base64"), /Invalid encoding/);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Both services read their configuration when first required
+const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), "vector-index-"));
+process.env.MASTER_KEY = crypto.randomBytes(32).toString("base64");
+process.env.MASTER_KEY_VERSION = "1";
+process.env.INDEX_SNAPSHOT_PATH = path.join(snapshotDir, "index.bin");
+
+const encryptionService = require("../src/services/encryptionService");
+const vectorIndex = require("../src/services/vectorIndex");
+
+const embedding = [0.25, -0.5, 0.125, 0.75];
+
+describe("embedding encryption", () => {
+  it("round-trips an embedding for the same owner", () => {
+    const sealed = encryptionService.encryptEmbedding(embedding, 7);
+    assert.strictEqual(sealed.cipherVersion, encryptionService.cipherVersion);
+    assert.deepStrictEqual(
+      encryptionService.decryptEmbedding(
+        sealed.ciphertext,
+        sealed.wrappedKey,
+        sealed.keyVersion,
+        7,
+        sealed.cipherVersion
+      ),
+      embedding
+    );
+  });
+
+  it("refuses a ciphertext copied onto another user's row", () => {
+    const sealed = encryptionService.encryptEmbedding(embedding, 7);
+    for (const [owner, cipherVersion] of [
+      [8, sealed.cipherVersion],
+      [7, null],
+    ]) {
+      assert.throws(() =>
+        encryptionService.decryptEmbedding(
+          sealed.ciphertext,
+          sealed.wrappedKey,
+          sealed.keyVersion,
+          owner,
+          cipherVersion
+        )
+      );
+    }
+  });
+
+  it("refuses to encrypt an embedding without an owner", () => {
+    assert.throws(
+      () => encryptionService.encryptEmbedding(embedding),
+      /bound to a user/
+    );
+  });
+
+  it("keeps the ciphertext when re-wrapping the data key", () => {
+    const sealed = encryptionService.encryptEmbedding(embedding, 3);
+    const { wrappedKey, keyVersion } = encryptionService.rewrapKey(
+      sealed.wrappedKey,
+      sealed.keyVersion
+    );
+    assert.notDeepStrictEqual(wrappedKey, sealed.wrappedKey);
+    assert.deepStrictEqual(
+      encryptionService.decryptEmbedding(
+        sealed.ciphertext,
+        wrappedKey,
+        keyVersion,
+        3,
+        sealed.cipherVersion
+      ),
+      embedding
+    );
+  });
+});
+
+describe("vector index snapshot", () => {
+  const stats = { count: 2, maxId: 2, lastUpdated: null };
+
+  before(() => {
+    vectorIndex.upsertRow("alice", [1, 0, 0, 0]);
+    vectorIndex.upsertRow("bob", [0, 1, 0, 0]);
+  });
+
+  after(() => {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  it("is sealed on disk while encryption is enabled", () => {
+    assert.strictEqual(vectorIndex.saveSnapshot(stats), true);
+
+    const file = fs.readFileSync(vectorIndex.snapshotPath);
+    assert.strictEqual(file.toString("ascii", 0, 4), "FVIE");
+    assert.strictEqual(file.includes(Buffer.from("alice")), false);
+
+    vectorIndex.reset();
+    assert.strictEqual(vectorIndex.loadSnapshot(stats), true);
+    assert.deepStrictEqual(vectorIndex.ids, ["alice", "bob"]);
+  });
+
+  it("ignores an unencrypted snapshot and reseals it", () => {
+    vectorIndex.resealSnapshot(true);
+    assert.strictEqual(
+      fs.readFileSync(vectorIndex.snapshotPath).toString("ascii", 0, 4),
+      "FVIX"
+    );
+    assert.strictEqual(vectorIndex.loadSnapshot(stats), false);
+
+    vectorIndex.resealSnapshot();
+    assert.strictEqual(
+      fs.readFileSync(vectorIndex.snapshotPath).toString("ascii", 0, 4),
+      "FVIE"
+    );
+    assert.strictEqual(vectorIndex.loadSnapshot(stats), true);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const InferenceQueue = require("../src/services/inferenceQueue");
+
+// Batch runner that records each batch and doubles its inputs
+function createRunner() {
+  const batches = [];
+  const runBatch = async (inputs) => {
+    batches.push([...inputs]);
+    return inputs.map((input) => input * 2);
+  };
+  return { batches, runBatch };
+}
+
+describe("inference queue", () => {
+  it("batches requests that arrive while a batch is running", async () => {
+    const { batches, runBatch } = createRunner();
+    const queue = new InferenceQueue(runBatch, { maxBatchSize: 8 });
+
+    const results = await Promise.all([1, 2, 3].map((n) => queue.enqueue(n)));
+
+    assert.deepStrictEqual(results, [2, 4, 6]);
+    assert.deepStrictEqual(batches, [[1], [2, 3]]);
+  });
+
+  it("collects requests within the wait window into one batch", async () => {
+    const { batches, runBatch } = createRunner();
+    const queue = new InferenceQueue(runBatch, {
+      maxBatchSize: 8,
+      maxWaitMs: 20,
+    });
+
+    const results = await Promise.all([1, 2, 3].map((n) => queue.enqueue(n)));
+
+    assert.deepStrictEqual(results, [2, 4, 6]);
+    assert.deepStrictEqual(batches, [[1, 2, 3]]);
+  });
+
+  it("flushes as soon as a batch is full and splits the overflow", async () => {
+    const { batches, runBatch } = createRunner();
+    const queue = new InferenceQueue(runBatch, {
+      maxBatchSize: 2,
+      maxWaitMs: 10000,
+    });
+
+    const results = await Promise.all([
+      queue.enqueueMany([1, 2, 3]),
+      queue.enqueueMany([4]),
+    ]);
+
+    assert.deepStrictEqual(results, [[2, 4, 6], [8]]);
+    assert.deepStrictEqual(batches, [
+      [1, 2],
+      [3, 4],
+    ]);
+  });
+
+  it("rejects every request in a failed batch and keeps serving", async () => {
+    let calls = 0;
+    const queue = new InferenceQueue(
+      async (inputs) => {
+        calls++;
+        if (calls === 1) throw new Error("session failed");
+        // Wrong result count on the second batch
+        if (calls === 2) return inputs.slice(1);
+        return inputs;
+      },
+      { maxBatchSize: 2, maxWaitMs: 10000 }
+    );
+
+    await assert.rejects(queue.enqueueMany(["a", "b"]), /session failed/);
+    await assert.rejects(
+      queue.enqueueMany(["c", "d"]),
+      /returned 1 results for 2 inputs/
+    );
+    assert.deepStrictEqual(await queue.enqueueMany(["e", "f"]), ["e", "f"]);
+
+    const stats = queue.getStats();
+    assert.strictEqual(stats.batches, 3);
+    assert.strictEqual(stats.failedBatches, 2);
+  });
+
+  it("reports the batch size distribution", async () => {
+    const { runBatch } = createRunner();
+    const queue = new InferenceQueue(runBatch, {
+      maxBatchSize: 3,
+      maxWaitMs: 10000,
+    });
+
+    await queue.enqueueMany([1, 2, 3]);
+    await queue.enqueueMany([4, 5, 6]);
+    await Promise.all([queue.enqueueMany([7, 8]), queue.flush()]);
+
+    const stats = queue.getStats();
+    assert.strictEqual(stats.queued, 0);
+    assert.strictEqual(stats.batches, 3);
+    assert.strictEqual(stats.items, 8);
+    assert.strictEqual(stats.averageBatchSize, 2.67);
+    assert.deepStrictEqual(stats.batchSizes, { 2: 1, 3: 2 });
+    assert.ok(stats.queueMs.max >= stats.queueMs.p95);
+    assert.ok(stats.queueMs.p95 >= stats.queueMs.p50);
+
+    queue.resetStats();
+    assert.strictEqual(queue.getStats().batches, 0);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+
+const {
+  jsonBodyLimit,
+  mountJsonParsers,
+} = require("../src/middleware/jsonBody");
+const { errorHandler } = require("../src/middleware/errorHandler");
+
+const SESSION_MAX_FRAMES = 3;
+
+// One 10MB image as a base64 data URI
+const frame = `data:image/jpeg;base64,${"A".repeat(
+  Math.ceil((10 * 1024 * 1024) / 3) * 4
+)}`;
+
+describe("JSON body limits", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    mountJsonParsers(app, {
+      burstMaxFrames: 2,
+      sessionMaxFrames: SESSION_MAX_FRAMES,
+    });
+    // Report how many frames reached the route
+    app.all("*", (req, res) =>
+      res.json({ frames: (req.body.frames || []).length })
+    );
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const send = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("caps routes without images at the small global limit", async () => {
+    const { status, body } = await send("PATCH", "/api/users/alice", {
+      name: "A".repeat(2 * 1024 * 1024),
+    });
+    assert.strictEqual(status, 413);
+    assert.strictEqual(body.code, "REQUEST_TOO_LARGE");
+  });
+
+  it("fits one full-size image on single-image routes", async () => {
+    const accepted = await send("POST", "/api/identify", { image: frame });
+    assert.strictEqual(accepted.status, 200);
+
+    const rejected = await send("POST", "/api/identify", {
+      frames: [frame, frame],
+    });
+    assert.strictEqual(rejected.status, 400);
+    assert.strictEqual(rejected.body.code, "IMAGE_FILE_TOO_LARGE");
+  });
+
+  it("accepts maxFrames full-size frames for a liveness session", async () => {
+    const path = "/api/liveness/sessions/abc/frames";
+    const frames = Array(SESSION_MAX_FRAMES).fill(frame);
+
+    const accepted = await send("POST", path, { frames });
+    assert.strictEqual(accepted.status, 200);
+    assert.strictEqual(accepted.body.frames, SESSION_MAX_FRAMES);
+
+    const rejected = await send("POST", path, { frames: [...frames, frame] });
+    assert.strictEqual(rejected.status, 400);
+    assert.strictEqual(rejected.body.code, "IMAGE_FILE_TOO_LARGE");
+  });
+
+  it("sizes the limit by frame count", () => {
+    const body = JSON.stringify({ userId: "alice", frames: [frame, frame] });
+    assert.ok(Buffer.byteLength(body) <= jsonBodyLimit(2));
+    assert.ok(Buffer.byteLength(body) > jsonBodyLimit(1));
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { migrate, rollback, loadMigrations } = require("../src/config/migrator");
+
+// In-memory stand-in for pg.Pool covering the queries the migrator issues
+// Migrations record the statements they run in pool.log
+function createFakePool() {
+  const pool = { applied: [], log: [], released: 0 };
+  const client = {
+    async query(text, params = []) {
+      const sql = text.trim();
+      if (sql.startsWith("SELECT version, name, applied_at")) {
+        return { rows: [...pool.applied] };
+      }
+      if (sql.startsWith("INSERT INTO schema_migrations")) {
+        pool.applied.push({
+          version: params[0],
+          name: params[1],
+          applied_at: new Date(),
+        });
+      } else if (sql.startsWith("DELETE FROM schema_migrations")) {
+        pool.applied = pool.applied.filter((row) => row.version !== params[0]);
+      } else {
+        pool.log.push(sql.split(/\s+/).slice(0, 2).join(" "));
+      }
+      return { rows: [] };
+    },
+    release() {
+      pool.released++;
+    },
+  };
+  pool.connect = async () => client;
+  return pool;
+}
+
+function writeMigration(directory, file, body) {
+  fs.writeFileSync(path.join(directory, file), body);
+}
+
+describe("migrator", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    for (const [file, table] of [
+      ["001_first.js", "first"],
+      ["002_second.js", "second"],
+      ["003_third.js", "third"],
+    ]) {
+      writeMigration(
+        directory,
+        file,
+        `module.exports = {
+          up: (client) => client.query("UP ${table}"),
+          down: (client) => client.query("DOWN ${table}"),
+        };`
+      );
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("loads migrations sorted by version", () => {
+    const migrations = loadMigrations(directory);
+    assert.deepStrictEqual(
+      migrations.map((migration) => migration.version),
+      [1, 2, 3]
+    );
+  });
+
+  it("rejects duplicate versions", () => {
+    writeMigration(
+      directory,
+      "002_duplicate.js",
+      "module.exports = { up: async () => {}, down: async () => {} };"
+    );
+    assert.throws(() => loadMigrations(directory), /Duplicate migration/);
+  });
+
+  it("applies pending migrations up to the target version", async () => {
+    const pool = createFakePool();
+
+    const first = await migrate(pool, { directory, to: 2 });
+    assert.strictEqual(first.version, 2);
+    assert.deepStrictEqual(
+      pool.log.filter((sql) => sql.startsWith("UP ")),
+      ["UP first", "UP second"]
+    );
+
+    const second = await migrate(pool, { directory });
+    assert.deepStrictEqual(
+      second.applied.map((migration) => migration.version),
+      [3]
+    );
+    assert.strictEqual(pool.released, 2);
+  });
+
+  it("refuses a schema written by a newer release", async () => {
+    const pool = createFakePool();
+    pool.applied.push({ version: 9, name: "future", applied_at: new Date() });
+
+    await assert.rejects(migrate(pool, { directory }), {
+      code: "SCHEMA_VERSION_UNKNOWN",
+    });
+  });
+
+  it("rolls back one step by default, newest first", async () => {
+    const pool = createFakePool();
+    await migrate(pool, { directory });
+
+    const single = await rollback(pool, { directory });
+    assert.deepStrictEqual(
+      single.reverted.map((migration) => migration.version),
+      [3]
+    );
+    assert.strictEqual(single.version, 2);
+
+    const rest = await rollback(pool, { directory, steps: 2 });
+    assert.deepStrictEqual(
+      rest.reverted.map((migration) => migration.version),
+      [2, 1]
+    );
+    assert.strictEqual(rest.version, 0);
+    assert.deepStrictEqual(pool.applied, []);
+  });
+
+  it("rejects rollback steps that are not positive integers", async () => {
+    const pool = createFakePool();
+    await migrate(pool, { directory });
+
+    for (const steps of [0, -1, 1.5, NaN, "2"]) {
+      await assert.rejects(
+        rollback(pool, { directory, steps }),
+        /positive integer/
+      );
+    }
+    assert.strictEqual(pool.applied.length, 3);
+  });
+});
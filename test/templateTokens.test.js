@@ -0,0 +1,56 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+process.env.TEMPLATE_TOKEN_SECRET = "test-secret-that-is-long-enough-for-hs256";
+
+const templateTokenService = require("../src/services/templateTokenService");
+
+const embedding = [0.5, -0.25, 0.125, 0.75];
+const claims = {
+  userId: "alice",
+  modelVersion: "arcface",
+  modelFingerprint: "abc123",
+  tta: "none",
+};
+
+describe("template tokens", () => {
+  it("round-trips the embedding and claims", () => {
+    const { token } = templateTokenService.issueToken(embedding, claims);
+    const verified = templateTokenService.verifyToken(token);
+
+    assert.deepStrictEqual(verified.embedding, embedding);
+    assert.strictEqual(verified.userId, "alice");
+    assert.strictEqual(verified.modelFingerprint, "abc123");
+  });
+
+  it("rejects a token whose payload was altered", () => {
+    const [prefix, payload, signature] = templateTokenService
+      .issueToken(embedding, claims)
+      .token.split(".");
+    const altered = JSON.parse(Buffer.from(payload, "base64url").toString());
+    altered.sub = "mallory";
+    const forged = [
+      prefix,
+      Buffer.from(JSON.stringify(altered)).toString("base64url"),
+      signature,
+    ].join(".");
+
+    assert.throws(() => templateTokenService.verifyToken(forged), {
+      code: "INVALID_TEMPLATE_TOKEN",
+    });
+  });
+
+  it("reports TOKENS_NOT_CONFIGURED without a signing key", () => {
+    const secret = process.env.TEMPLATE_TOKEN_SECRET;
+    delete process.env.TEMPLATE_TOKEN_SECRET;
+    const unconfigured = new templateTokenService.constructor();
+    process.env.TEMPLATE_TOKEN_SECRET = secret;
+
+    assert.throws(() => unconfigured.assertEnabled(), {
+      code: "TOKENS_NOT_CONFIGURED",
+    });
+    assert.throws(() => unconfigured.issueToken(embedding, claims), {
+      code: "TOKENS_NOT_CONFIGURED",
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, afterEach, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  DEFAULT_THRESHOLDS,
+  loadValidationProfiles,
+} = require("../src/config/validationProfiles");
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+
+function withConfig(config) {
+  const configPath = path.join(configDir, "profiles.json");
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  process.env.VALIDATION_PROFILES_CONFIG = configPath;
+}
+
+describe("validation profiles", () => {
+  afterEach(() => {
+    delete process.env.VALIDATION_PROFILES_CONFIG;
+    delete process.env.VALIDATION_PROFILE;
+  });
+
+  after(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  it("resolves extends chains and applies overrides", () => {
+    withConfig({
+      profiles: { kiosk: { extends: "strict", minContrast: 20 } },
+      overrides: { maxFileSize: 5242880 },
+    });
+    const { profiles, defaultProfile } = loadValidationProfiles();
+
+    assert.strictEqual(defaultProfile, "default");
+    assert.strictEqual(profiles.kiosk.minContrast, 20);
+    assert.strictEqual(profiles.kiosk.blurThreshold, 150);
+    assert.strictEqual(profiles.default.maxFileSize, 5242880);
+    assert.strictEqual(
+      profiles.default.minBrightness,
+      DEFAULT_THRESHOLDS.minBrightness
+    );
+  });
+
+  it("never resolves inherited property names", () => {
+    const { profiles } = loadValidationProfiles();
+
+    for (const name of ["constructor", "toString", "__proto__"]) {
+      assert.strictEqual(Object.hasOwn(profiles, name), false);
+      assert.strictEqual(profiles[name], undefined);
+    }
+
+    process.env.VALIDATION_PROFILE = "constructor";
+    assert.throws(loadValidationProfiles, /"constructor" is not defined/);
+  });
+
+  it("rejects inherited names as thresholds or parents", () => {
+    withConfig({ overrides: { toString: 1 } });
+    assert.throws(loadValidationProfiles, /Unknown threshold "toString"/);
+
+    withConfig({ profiles: { kiosk: { extends: "hasOwnProperty" } } });
+    assert.throws(
+      loadValidationProfiles,
+      /profile "hasOwnProperty" is not defined/
+    );
+  });
+
+  it("keeps a configured __proto__ profile as a plain entry", () => {
+    fs.writeFileSync(
+      path.join(configDir, "proto.json"),
+      '{ "profiles": { "__proto__": { "minContrast": 5 } } }'
+    );
+    process.env.VALIDATION_PROFILES_CONFIG = path.join(configDir, "proto.json");
+    const { profiles } = loadValidationProfiles();
+
+    assert.strictEqual(profiles.__proto__.minContrast, 5);
+    assert.strictEqual(profiles.default.minContrast, 15);
+  });
+});
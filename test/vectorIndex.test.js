@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const vectorIndex = require("../src/services/vectorIndex");
+const { mergeTopK } = require("../src/utils/similarity");
+
+const MODEL_A = "a".repeat(64);
+const MODEL_B = "b".repeat(64);
+
+function unit(vector) {
+  const norm = Math.hypot(...vector);
+  return Float32Array.from(vector, (value) => value / norm);
+}
+
+describe("vector index", () => {
+  beforeEach(() => {
+    vectorIndex.reset();
+    vectorIndex.snapshotDelayMs = 0;
+    vectorIndex.ready = true;
+    vectorIndex.add("alice", [1, 0, 0], MODEL_A);
+    vectorIndex.add("bob", [0.9, 0.1, 0], MODEL_B);
+    vectorIndex.add("carol", [0.8, 0.2, 0], null);
+    vectorIndex.add("dave", [0, 0, 1], MODEL_A);
+  });
+
+  it("ranks every user without a model filter", () => {
+    const { results } = vectorIndex.search(unit([1, 0, 0]), 3);
+    assert.deepStrictEqual(
+      results.map((result) => result.userId),
+      ["alice", "bob", "carol"]
+    );
+  });
+
+  it("skips users enrolled with another model", () => {
+    const { results } = vectorIndex.search(unit([1, 0, 0]), 4, {
+      modelFingerprint: MODEL_A,
+    });
+    assert.deepStrictEqual(
+      results.map((result) => result.userId),
+      ["alice", "carol", "dave"]
+    );
+
+    const other = vectorIndex.search(unit([1, 0, 0]), 4, {
+      modelFingerprint: MODEL_B,
+    });
+    assert.deepStrictEqual(
+      other.results.map((result) => result.userId),
+      ["bob", "carol"]
+    );
+  });
+
+  it("keeps fingerprints aligned when rows move", () => {
+    vectorIndex.remove("alice");
+    vectorIndex.rename("dave", "dave2");
+    vectorIndex.add("bob", [0, 1, 0], MODEL_A);
+
+    const { results } = vectorIndex.search(unit([0, 0, 1]), 4, {
+      modelFingerprint: MODEL_A,
+    });
+    assert.deepStrictEqual(results.map((result) => result.userId).sort(), [
+      "bob",
+      "carol",
+      "dave2",
+    ]);
+  });
+});
+
+describe("mergeTopK", () => {
+  it("never returns excluded scores", () => {
+    const topK = mergeTopK([], Float32Array.from([0.5, -Infinity, 0.2]), 3);
+    assert.deepStrictEqual(
+      topK.map((entry) => entry.item),
+      [0, 2]
+    );
+  });
+});